@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -13,18 +13,67 @@ function App() {
   const [orders, setOrders] = useState([]);
   const [reservations, setReservations] = useState([]);
   const [cart, setCart] = useState([]);
+  // Latest tokens; refreshes replace them here without re-rendering
+  const session = useRef(null);
+  const refreshing = useRef(null);
 
   // Login Persistence
   useEffect(() => {
     const storedUser = localStorage.getItem('steakzUser');
     if (storedUser) {
-      setUser(JSON.parse(storedUser));
+      session.current = JSON.parse(storedUser);
+      setUser(session.current);
     }
   }, []);
 
+  const endSession = () => {
+    session.current = null;
+    setUser(null);
+    localStorage.removeItem('steakzUser');
+    setView('login');
+  };
+
+  // Trades the refresh token for a new pair. Parallel 401s share one refresh: sending a rotated
+  // refresh token again would end the session.
+  const refreshSession = () => {
+    if (!refreshing.current) {
+      const { refreshToken } = session.current || {};
+      refreshing.current = fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      })
+        .then(async (response) => {
+          if (!response.ok || !session.current) return false;
+          const { token, refreshToken: nextRefreshToken } = await response.json();
+          session.current = { ...session.current, token, refreshToken: nextRefreshToken };
+          localStorage.setItem('steakzUser', JSON.stringify(session.current));
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => { refreshing.current = null; });
+    }
+    return refreshing.current;
+  };
+
+  // Sends a request with the access token; on 401 refreshes once and retries, or returns to login
+  const authFetch = async (url, options = {}) => {
+    const send = () => fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${session.current?.token}` }
+    });
+    const response = await send();
+    if (response.status !== 401) return response;
+    if (await refreshSession()) return send();
+    toast.error('Session expired, please log in again', { toastId: 'session-expired' });
+    endSession();
+    return response;
+  };
+
   // Fetch Data
   useEffect(() => {
     if (user && activeBranchId) {
+      fetchMenu();
       fetchInventory();
       fetchOrders();
       fetchReservations();
@@ -33,22 +82,27 @@ function App() {
 
   const fetchInventory = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/inventory/${activeBranchId}`, {
-        headers: { Authorization: `Bearer ${user.token}` }
-      });
+      const response = await authFetch(`${API_BASE_URL}/inventory/${activeBranchId}`);
       const data = await response.json();
       setInventory(data);
-      setMenuItems(data.map(item => item.menuItem));
     } catch (error) {
       console.error('Error fetching inventory:', error);
     }
   };
 
+  const fetchMenu = async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/menu?branchId=${activeBranchId}&available=true`);
+      const data = await response.json();
+      setMenuItems(data.map(item => ({ ...item, price: item.effectivePrice })));
+    } catch (error) {
+      console.error('Error fetching menu:', error);
+    }
+  };
+
   const fetchOrders = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders/${activeBranchId}`, {
-        headers: { Authorization: `Bearer ${user.token}` }
-      });
+      const response = await authFetch(`${API_BASE_URL}/orders/${activeBranchId}`);
       const data = await response.json();
       setOrders(data);
     } catch (error) {
@@ -58,9 +112,7 @@ function App() {
 
   const fetchReservations = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/reservations/${activeBranchId}`, {
-        headers: { Authorization: `Bearer ${user.token}` }
-      });
+      const response = await authFetch(`${API_BASE_URL}/reservations/${activeBranchId}`);
       const data = await response.json();
       setReservations(data);
     } catch (error) {
@@ -79,6 +131,7 @@ function App() {
       const data = await response.json();
       
       if (response.ok) {
+        session.current = data;
         setUser(data);
         localStorage.setItem('steakzUser', JSON.stringify(data));
         setView('menu');
@@ -90,10 +143,16 @@ function App() {
     }
   };
 
+  // Logs out by refresh token, which still works once the access token has expired
   const handleLogout = () => {
-    setUser(null);
-    localStorage.removeItem('steakzUser');
-    setView('login');
+    if (session.current?.refreshToken) {
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: session.current.refreshToken })
+      }).catch(() => {});
+    }
+    endSession();
   };
 
   const handleSignup = async (email, password) => {
@@ -119,20 +178,16 @@ function App() {
 
   const placeOrder = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders/create`, {
+      const response = await authFetch(`${API_BASE_URL}/orders/create`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${user.token}`
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           branchId: activeBranchId,
           items: cart.map(item => ({
             menuItemId: item.id,
             quantity: item.quantity,
             price: item.price
-          })),
-          total: cart.reduce((sum, item) => sum + item.price * item.quantity, 0)
+          }))
         })
       });
 
@@ -152,12 +207,9 @@ function App() {
 
   const makeReservation = async (date, time, guests, notes) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/reservations/create`, {
+      const response = await authFetch(`${API_BASE_URL}/reservations/create`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${user.token}`
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           branchId: activeBranchId,
           date,
@@ -187,12 +239,9 @@ function App() {
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/inventory/${itemId}`, {
+      const response = await authFetch(`${API_BASE_URL}/inventory/${itemId}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${user.token}`
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ quantity })
       });
 
@@ -210,18 +259,15 @@ function App() {
   };
 
   const updateOrderStatus = async (orderId, status) => {
-    if (!['STAFF', 'MANAGER', 'ADMIN'].includes(user.role)) {
+    if (!['CHEF', 'STAFF', 'MANAGER', 'ADMIN'].includes(user.role)) {
       toast.error('Unauthorized');
       return;
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/orders/status/${orderId}`, {
+      const response = await authFetch(`${API_BASE_URL}/orders/status/${orderId}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${user.token}`
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ status })
       });
 
@@ -469,7 +515,7 @@ function App() {
                 <p className="text-gray-400">Status: {order.status}</p>
                 <p className="text-gray-400">Total: ${order.total.toFixed(2)}</p>
               </div>
-              {['STAFF', 'MANAGER', 'ADMIN'].includes(user.role) && (
+              {['CHEF', 'STAFF', 'MANAGER', 'ADMIN'].includes(user.role) && (
                 <select
                   value={order.status}
                   onChange={(e) => updateOrderStatus(order.id, e.target.value)}
@@ -565,7 +611,7 @@ function App() {
                   Reservation #{reservation.id}
                 </p>
                 <p className="text-gray-400">
-                  Date: {new Date(reservation.date).toLocaleDateString()}
+                  Date: {reservation.localDate}
                 </p>
                 <p className="text-gray-400">Time: {reservation.time}</p>
                 <p className="text-gray-400">Guests: {reservation.guests}</p>
@@ -604,7 +650,7 @@ function App() {
               <div>
                 <p className="text-white font-semibold">{item.menuItem.name}</p>
                 <p className="text-gray-400">
-                  Current Quantity: {item.quantity}
+                  On Hand: {item.onHand} | Reserved: {item.reserved} | Available: {item.available}
                 </p>
                 <p className="text-gray-400">
                   Min Quantity: {item.minQuantity}
@@ -0,0 +1,106 @@
+// @ts-check
+/**
+ * Application error types.
+ * Handlers and services throw these; the error middleware (middleware/errorHandler.js) turns them
+ * into `{ code, message, details, requestId }` responses with the matching HTTP status.
+ * Anything that is not an AppError (or a known Prisma error) is answered as a 500 without internals.
+ */
+
+/** Default machine-readable code per status */
+const STATUS_CODES = /** @type {Record<number, string>} */ ({
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  423: 'LOCKED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR'
+});
+
+/**
+ * @typedef {Object} AppErrorOptions
+ * @property {number} [statusCode] HTTP status, default 500
+ * @property {string} [code] stable machine-readable code, default derived from statusCode
+ * @property {any} [details] extra data for the client (field errors, expected totals...)
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message
+   * @param {AppErrorOptions} [options]
+   */
+  constructor(message, { statusCode = 500, code, details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.code = code || STATUS_CODES[statusCode] || 'ERROR';
+    this.details = details ?? null;
+  }
+}
+
+/** 400: the request is malformed or breaks a business rule about its input */
+class ValidationError extends AppError {
+  /**
+   * @param {string} message
+   * @param {any} [details]
+   */
+  constructor(message, details) {
+    super(message, { statusCode: 400, details });
+    this.name = 'ValidationError';
+  }
+}
+
+/** 401: missing, invalid or expired credentials */
+class UnauthorizedError extends AppError {
+  /**
+   * @param {string} message
+   * @param {string} [code]
+   */
+  constructor(message, code) {
+    super(message, { statusCode: 401, code });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/** 403: authenticated but not allowed (role or branch scope) */
+class ForbiddenError extends AppError {
+  /**
+   * @param {string} message
+   * @param {string} [code]
+   */
+  constructor(message, code) {
+    super(message, { statusCode: 403, code });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/** 404: the addressed record does not exist (or is outside the caller's view) */
+class NotFoundError extends AppError {
+  /** @param {string} message */
+  constructor(message) {
+    super(message, { statusCode: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 409: the request clashes with current state (duplicates, stock, state machines) */
+class ConflictError extends AppError {
+  /**
+   * @param {string} message
+   * @param {any} [details]
+   */
+  constructor(message, details) {
+    super(message, { statusCode: 409, details });
+    this.name = 'ConflictError';
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+};
@@ -0,0 +1,26 @@
+// @ts-check
+/**
+ * Marks a legacy route as deprecated (RFC 8594): `Deprecation` and successor `Link` headers for clients,
+ * plus one server warning per route so remaining callers show up in the logs.
+ */
+
+const warnedRoutes = new Set();
+
+/**
+ * @param {string} successor path of the replacement route
+ * @returns {import('express').RequestHandler}
+ */
+const deprecatedAlias = (successor) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+  const key = `${req.method} ${req.route?.path}`;
+  if (!warnedRoutes.has(key)) {
+    warnedRoutes.add(key);
+    console.warn(`[Deprecated] ${key} is deprecated; use ${successor}`);
+  }
+  next();
+};
+
+module.exports = {
+  deprecatedAlias,
+};
@@ -0,0 +1,115 @@
+// @ts-check
+/**
+ * Request ids and the single error-to-response mapping for the API.
+ * Every error body has the shape `{ code, message, details, requestId }`; the request id is also
+ * echoed in the X-Request-Id header and in the server log so a report can be traced.
+ */
+const crypto = require('crypto');
+const { AppError, NotFoundError } = require('../errors');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Reuses a well-formed incoming X-Request-Id (from a proxy) or generates one.
+ * @type {import('express').RequestHandler}
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  /** @type {any} */ (req).id = id;
+  res.set('X-Request-Id', id);
+  next();
+};
+
+/**
+ * Fallback for unmatched routes; register after every route.
+ * @type {import('express').RequestHandler}
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+/**
+ * Maps Prisma errors by name/code so the client library need not be loaded here.
+ * P2002 unique violation, P2025 record missing, P2003 foreign key, P2000 value too long.
+ * @param {any} err
+ * @returns {AppError | null}
+ */
+const fromPrismaError = (err) => {
+  if (err?.name === 'PrismaClientValidationError') {
+    return new AppError('Invalid data for this operation', { statusCode: 400 });
+  }
+  if (err?.name !== 'PrismaClientKnownRequestError') return null;
+
+  const target = err.meta?.target;
+  const fields = Array.isArray(target) ? target : target ? [target] : [];
+  switch (err.code) {
+    case 'P2002':
+      return new AppError(
+        fields.length ? `A record with this ${fields.join(', ')} already exists` : 'A record with these values already exists',
+        { statusCode: 409, code: 'DUPLICATE', details: { fields } }
+      );
+    case 'P2025':
+      return new AppError('Record not found', { statusCode: 404 });
+    case 'P2003':
+      return new AppError('Operation conflicts with related records', {
+        statusCode: 409,
+        details: err.meta?.field_name ? { field: err.meta.field_name } : null
+      });
+    case 'P2000':
+      return new AppError('Value too long for its field', {
+        statusCode: 400,
+        details: err.meta?.column_name ? { field: err.meta.column_name } : null
+      });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Normalizes anything thrown into an AppError.
+ * @param {any} err
+ * @returns {AppError}
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+  const prismaError = fromPrismaError(err);
+  if (prismaError) return prismaError;
+  // express.json() body parser failures (malformed JSON, oversize payload)
+  if (err?.type === 'entity.parse.failed') return new AppError('Malformed JSON body', { statusCode: 400 });
+  if (err?.type === 'entity.too.large') return new AppError('Request body too large', { statusCode: 413, code: 'PAYLOAD_TOO_LARGE' });
+  return new AppError('Internal server error');
+};
+
+/**
+ * Express error middleware; register last.
+ * @type {import('express').ErrorRequestHandler}
+ */
+const errorHandler = (err, req, res, next) => {
+  const requestId = /** @type {any} */ (req).id ?? null;
+  const appError = toAppError(err);
+
+  if (appError.statusCode >= 500) {
+    console.error(`[${requestId}] ${req.method} ${req.originalUrl} failed:`, err);
+  } else if (!(err instanceof AppError)) {
+    console.warn(`[${requestId}] ${req.method} ${req.originalUrl} ${appError.statusCode}:`, err.code || err.type || err.name);
+  }
+
+  if (res.headersSent) return next(err);
+  if (/** @type {any} */ (appError).retryAfterSeconds) {
+    res.set('Retry-After', String(/** @type {any} */ (appError).retryAfterSeconds));
+  }
+  res.status(appError.statusCode).json({
+    code: appError.code,
+    message: appError.message,
+    details: appError.details,
+    requestId
+  });
+};
+
+module.exports = {
+  assignRequestId,
+  notFoundHandler,
+  errorHandler,
+  toAppError,
+};
@@ -3,7 +3,9 @@
  * Reusable RBAC utilities with branch-level enforcement.
  * Admins bypass branch checks; all other roles are locked to their branchId/activeBranchId.
  * These helpers are intentionally framework-light to fit the existing Express setup.
+ * Denials are passed to next() as typed errors so the error middleware shapes the response.
  */
+const { ValidationError, UnauthorizedError, ForbiddenError } = require('../errors');
 
 /** @typedef {'ADMIN' | 'MANAGER' | 'CHEF' | 'STAFF' | 'CUSTOMER'} Role */
 
@@ -30,11 +32,11 @@ const requireRoles = (allowedRoles = []) => {
   return (/** @type {ExtendedRequest} */ req, res, next) => {
     const role = normalizeRole(req.user?.role);
     if (!role) {
-      res.status(401).json({ message: 'Authentication required' });
+      next(new UnauthorizedError('Authentication required'));
       return;
     }
     if (!allowed.includes(role)) {
-      res.status(403).json({ message: `Access denied: role ${role} requires ${allowed.join(', ')}` });
+      next(new ForbiddenError(`Access denied: role ${role} requires ${allowed.join(', ')}`));
       return;
     }
     next();
@@ -64,7 +66,7 @@ const enforceBranchAccess = (resolver) => {
     try {
       const role = normalizeRole(req.user?.role);
       if (!role) {
-        res.status(401).json({ message: 'Authentication required' });
+        next(new UnauthorizedError('Authentication required'));
         return;
       }
 
@@ -80,21 +82,20 @@ const enforceBranchAccess = (resolver) => {
       const resourceBranchId = resolved != null ? Number(resolved) : null;
 
       if (!resourceBranchId) {
-        res.status(400).json({ message: 'Branch context required' });
+        next(new ValidationError('Branch context required'));
         return;
       }
       if (!userBranchId) {
-        res.status(403).json({ message: 'Branch access denied: no active branch' });
+        next(new ForbiddenError('Branch access denied: no active branch'));
         return;
       }
       if (Number(resourceBranchId) !== Number(userBranchId)) {
-        res.status(403).json({ message: `Branch access denied: resource branch ${resourceBranchId} does not match active branch ${userBranchId}` });
+        next(new ForbiddenError(`Branch access denied: resource branch ${resourceBranchId} does not match active branch ${userBranchId}`));
         return;
       }
       next();
     } catch (err) {
-      console.error('enforceBranchAccess error', err);
-      res.status(500).json({ message: 'Branch enforcement failed' });
+      next(err);
     }
   };
 };
@@ -121,7 +122,7 @@ const requireChefOrdersOnly = () => {
 
     // CHEF is locked to their assigned branch (no switching allowed)
     if (!req.user?.branchId) {
-      res.status(403).json({ message: 'CHEF: Branch assignment required' });
+      next(new ForbiddenError('CHEF: Branch assignment required'));
       return;
     }
 
@@ -140,7 +141,7 @@ const blockChefFromNonOrders = () => {
   return (/** @type {ExtendedRequest} */ req, res, next) => {
     const role = normalizeRole(req.user?.role);
     if (role === 'CHEF') {
-      res.status(403).json({ message: 'CHEF role can only access Orders. Access denied.' });
+      next(new ForbiddenError('CHEF role can only access Orders. Access denied.'));
       return;
     }
     next();
@@ -0,0 +1,205 @@
+// @ts-check
+/**
+ * Declarative request validation.
+ * A route schema describes params/query/body as plain-data field specs; validate(schema) checks
+ * them before the handler runs and rejects with a ValidationError whose `details` lists the
+ * field-level errors. Because schemas are data, the same objects also generate the API reference
+ * (see backend/validation/apiDocs.js).
+ * Route params and query strings arrive as text, so numeric/boolean specs accept their string
+ * forms there; JSON bodies must carry real numbers and booleans.
+ */
+const { ValidationError } = require('../errors');
+const { isValidTimeZone } = require('../services/branchTime');
+
+/**
+ * @typedef {'string' | 'integer' | 'number' | 'boolean' | 'email' | 'date' | 'datetime' | 'time' | 'timezone' | 'array' | 'object' | 'any'} FieldType
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {FieldType} type
+ * @property {boolean} [required]
+ * @property {boolean} [nullable]
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [minLength]
+ * @property {number} [maxLength]
+ * @property {RegExp} [pattern]
+ * @property {string} [patternMessage]
+ * @property {string[]} [enum]
+ * @property {boolean} [ignoreCase] compare enum values case-insensitively (the handler normalizes)
+ * @property {FieldSpec} [items] element spec for arrays
+ * @property {number} [minItems]
+ * @property {number} [maxItems]
+ * @property {Record<string, FieldSpec>} [properties] nested fields for objects
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} RouteSchema
+ * @property {string} method
+ * @property {string} path
+ * @property {string} summary
+ * @property {string} [auth] who may call it, for the docs
+ * @property {string} [deprecated] successor route when this path is a deprecated alias
+ * @property {Record<string, FieldSpec>} [params]
+ * @property {Record<string, FieldSpec>} [query]
+ * @property {Record<string, FieldSpec>} [body]
+ */
+
+/** @typedef {{ location: string, field: string, message: string }} FieldError */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const INTEGER_STRING = /^-?\d+$/;
+const NUMBER_STRING = /^-?\d+(\.\d+)?$/;
+
+/** @param {string} value */
+const isCalendarDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const d = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return d.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Converts string forms from params/query into typed values; returns undefined when impossible.
+ * @param {any} value
+ * @param {FieldType} type
+ */
+const fromText = (value, type) => {
+  if (typeof value !== 'string') return value;
+  if (type === 'integer') return INTEGER_STRING.test(value) ? Number(value) : undefined;
+  if (type === 'number') return NUMBER_STRING.test(value) ? Number(value) : undefined;
+  if (type === 'boolean') return value === 'true' ? true : value === 'false' ? false : undefined;
+  return value;
+};
+
+/**
+ * Validates one value against its spec, appending to errors.
+ * @param {any} raw
+ * @param {FieldSpec} spec
+ * @param {string} field
+ * @param {string} location
+ * @param {boolean} textual params/query values arrive as strings
+ * @param {FieldError[]} errors
+ */
+const checkField = (raw, spec, field, location, textual, errors) => {
+  const fail = (/** @type {string} */ message) => errors.push({ location, field, message });
+
+  if (raw === undefined || (raw === '' && spec.type !== 'string')) {
+    if (spec.required) fail('is required');
+    return;
+  }
+  if (raw === null) {
+    if (!spec.nullable) fail(spec.required ? 'is required' : 'must not be null');
+    return;
+  }
+
+  const value = textual ? fromText(raw, spec.type) : raw;
+  switch (spec.type) {
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isInteger(value)) return fail('must be an integer');
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      return;
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (spec.minItems != null && value.length < spec.minItems) return fail(`must contain at least ${spec.minItems} item(s)`);
+      if (spec.maxItems != null && value.length > spec.maxItems) return fail(`must contain at most ${spec.maxItems} item(s)`);
+      if (spec.items) {
+        const items = spec.items;
+        value.forEach((item, i) => checkField(item, { ...items, required: true }, `${field}[${i}]`, location, textual, errors));
+      }
+      return;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      if (spec.properties) checkFields(value, spec.properties, location, textual, errors, `${field}.`);
+      return;
+    case 'any':
+      return;
+    default:
+      if (typeof value !== 'string') return fail('must be a string');
+  }
+
+  if (typeof value === 'number') {
+    if (spec.min != null && value < spec.min) return fail(`must be at least ${spec.min}`);
+    if (spec.max != null && value > spec.max) return fail(`must be at most ${spec.max}`);
+    return;
+  }
+
+  const text = value.trim();
+  if (spec.required && !text) return fail('is required');
+  if (spec.minLength != null && text.length < spec.minLength) return fail(`must be at least ${spec.minLength} characters`);
+  if (spec.maxLength != null && text.length > spec.maxLength) return fail(`must be at most ${spec.maxLength} characters`);
+  if (spec.type === 'email' && !EMAIL_PATTERN.test(text)) return fail('must be a valid email address');
+  if (spec.type === 'date' && !isCalendarDate(text)) return fail('must be a date in YYYY-MM-DD format');
+  if (spec.type === 'datetime' && Number.isNaN(Date.parse(text))) return fail('must be an ISO 8601 date or date-time');
+  if (spec.type === 'time' && !TIME_PATTERN.test(text)) return fail('must be a time in HH:mm format');
+  if (spec.type === 'timezone' && !isValidTimeZone(text)) return fail('must be an IANA timezone such as Europe/Paris');
+  if (spec.enum && !spec.enum.includes(spec.ignoreCase ? text.toUpperCase() : text)) return fail(`must be one of: ${spec.enum.join(', ')}`);
+  if (spec.pattern && !spec.pattern.test(text)) return fail(spec.patternMessage || 'has an invalid format');
+};
+
+/**
+ * @param {Record<string, any>} source
+ * @param {Record<string, FieldSpec>} specs
+ * @param {string} location
+ * @param {boolean} textual
+ * @param {FieldError[]} errors
+ * @param {string} [prefix]
+ */
+const checkFields = (source, specs, location, textual, errors, prefix = '') => {
+  for (const [name, spec] of Object.entries(specs)) {
+    checkField(source?.[name], spec, `${prefix}${name}`, location, textual, errors);
+  }
+};
+
+/**
+ * Validates a request against a route schema without touching the handler's inputs.
+ * @param {RouteSchema} schema
+ * @param {{ params?: any, query?: any, body?: any }} req
+ * @returns {FieldError[]}
+ */
+const validateRequest = (schema, req) => {
+  /** @type {FieldError[]} */
+  const errors = [];
+  if (schema.params) checkFields(req.params || {}, schema.params, 'params', true, errors);
+  if (schema.query) checkFields(req.query || {}, schema.query, 'query', true, errors);
+  if (schema.body) {
+    if (req.body != null && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+      errors.push({ location: 'body', field: '', message: 'must be a JSON object' });
+    } else {
+      checkFields(req.body || {}, schema.body, 'body', false, errors);
+    }
+  }
+  return errors;
+};
+
+/**
+ * validate middleware factory.
+ * @param {RouteSchema} schema
+ * @returns {import('express').RequestHandler}
+ */
+const validate = (schema) => {
+  return (req, res, next) => {
+    // Express 5 leaves req.body undefined when no JSON was sent; handlers destructure it
+    if (req.body === undefined) req.body = {};
+    const errors = validateRequest(schema, req);
+    if (errors.length) {
+      next(new ValidationError('Validation failed', errors));
+      return;
+    }
+    next();
+  };
+};
+
+module.exports = {
+  validate,
+  validateRequest,
+};
@@ -0,0 +1,182 @@
+// User management: the single /api/admin/users resource.
+// ADMIN manages MANAGER/CHEF/STAFF/CUSTOMER accounts in any branch; MANAGER manages CHEF/STAFF in their own
+// branch (rules in services/userManagement.js). The older /api/admin/staff* paths remain as deprecated aliases.
+
+const bcrypt = require('bcrypt');
+const { validate } = require('../middleware/validate');
+const { requireRoles } = require('../middleware/rbac');
+const { deprecatedAlias } = require('../middleware/deprecation');
+const schemas = require('../validation/schemas');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { SAFE_USER_SELECT } = require('../services/safeUser');
+const { STAFF_PROFILE_SELECT } = require('../services/staffProfile');
+const { revokeAllUserSessions } = require('../services/authTokens');
+const { unlockUser } = require('../services/loginProtection');
+const {
+  STAFF_USER_ROLES,
+  assertCanAssignRole,
+  resolveManagedBranchId,
+  assertCanManageUser
+} = require('../services/userManagement');
+
+const MANAGED_USER_SELECT = {
+  ...SAFE_USER_SELECT,
+  branch: { select: { id: true, name: true } },
+  staffProfile: { select: STAFF_PROFILE_SELECT }
+};
+
+module.exports = function registerAdminUserRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+
+  // Loads the addressed account and checks the caller may manage it
+  async function loadManagedUser(req) {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { ...MANAGED_USER_SELECT, lockedUntil: true }
+    });
+    if (!user) throw new NotFoundError('User not found');
+    assertCanManageUser(req.user, user);
+    return user;
+  }
+
+  async function listUsers(req, res, branchId, roles) {
+    const role = (req.user.role || '').toUpperCase();
+    const scopedBranchId = role === 'ADMIN' ? branchId : resolveManagedBranchId(req.user, branchId);
+    const status = req.query.status || 'active';
+
+    const users = await prisma.user.findMany({
+      where: {
+        ...(scopedBranchId ? { branchId: scopedBranchId } : {}),
+        ...(roles ? { role: { in: roles } } : {}),
+        ...(status === 'active' ? { deactivatedAt: null } : {}),
+        ...(status === 'deactivated' ? { deactivatedAt: { not: null } } : {})
+      },
+      select: MANAGED_USER_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(users);
+  }
+
+  async function createUser(req, res) {
+    const { email, password } = req.body;
+    const role = assertCanAssignRole(req.user, req.body.role);
+    const branchId = resolveManagedBranchId(req.user, req.body.branchId);
+
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    const existing = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    if (existing) throw new ConflictError('User with this email already exists');
+
+    const user = await prisma.user.create({
+      data: { email, password: await bcrypt.hash(password, 10), role, branchId },
+      select: MANAGED_USER_SELECT
+    });
+    console.info('[RBAC] User created:', { actorId: req.user.id, userId: user.id, role, branchId });
+    res.status(201).json({ message: 'User created', user });
+  }
+
+  async function resetPassword(req, res) {
+    // `newPassword` is the field name of the old POST route
+    const password = req.body.password ?? req.body.newPassword;
+    if (!password) throw new ValidationError('password is required');
+    const target = await loadManagedUser(req);
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await prisma.$transaction(async (prismaTx) => {
+      const updated = await prismaTx.user.update({
+        where: { id: target.id },
+        data: { password: hashedPassword },
+        select: MANAGED_USER_SELECT
+      });
+      // Old password's sessions must not outlive it
+      await revokeAllUserSessions(prismaTx, target.id);
+      return updated;
+    });
+    console.info('[RBAC] Password reset:', { actorId: req.user.id, userId: user.id });
+    res.json({ message: 'Password reset successfully', user });
+  }
+
+  // ---------------- /api/admin/users ----------------
+  // ?branchId (ADMIN; managers always see their branch), ?role, ?status=active|deactivated|all (default active)
+  app.get('/api/admin/users', authenticateToken, validate(schemas.listUsers), managers, async (req, res) => {
+    const role = req.query.role ? [req.query.role.toString().toUpperCase()] : null;
+    const branchId = req.query.branchId ? parseInt(req.query.branchId) : null;
+    await listUsers(req, res, branchId, role);
+  });
+
+  app.post('/api/admin/users', authenticateToken, validate(schemas.createUser), managers, createUser);
+
+  app.patch('/api/admin/users/:id/role', authenticateToken, validate(schemas.updateUserRole), managers, async (req, res) => {
+    const target = await loadManagedUser(req);
+    const role = assertCanAssignRole(req.user, req.body.role);
+    const user = await prisma.user.update({ where: { id: target.id }, data: { role }, select: MANAGED_USER_SELECT });
+    console.info('[RBAC] Role changed:', { actorId: req.user.id, userId: user.id, from: target.role, to: role });
+    res.json({ message: 'Role updated', user });
+  });
+
+  // Moving branch also clears the persisted active branch, which pointed into the old one
+  app.patch('/api/admin/users/:id/branch', authenticateToken, validate(schemas.moveUserBranch), requireRoles(['ADMIN']), async (req, res) => {
+    const target = await loadManagedUser(req);
+    const branch = await prisma.branch.findUnique({ where: { id: req.body.branchId }, select: { id: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    const user = await prisma.user.update({
+      where: { id: target.id },
+      data: { branchId: branch.id, activeBranchId: null },
+      select: MANAGED_USER_SELECT
+    });
+    console.info('[RBAC] User moved:', { actorId: req.user.id, userId: user.id, from: target.branchId, to: branch.id });
+    res.json({ message: 'User moved', user });
+  });
+
+  // Deactivated accounts cannot log in and lose every session; history (orders, feedback) is kept
+  app.post('/api/admin/users/:id/deactivate', authenticateToken, validate(schemas.deactivateUser), managers, async (req, res) => {
+    const target = await loadManagedUser(req);
+    if (target.deactivatedAt) throw new ConflictError('User is already deactivated');
+    const user = await prisma.$transaction(async (prismaTx) => {
+      const updated = await prismaTx.user.update({
+        where: { id: target.id },
+        data: { deactivatedAt: new Date() },
+        select: MANAGED_USER_SELECT
+      });
+      await revokeAllUserSessions(prismaTx, target.id);
+      await prismaTx.securityEvent.create({
+        data: { type: 'ACCOUNT_DEACTIVATED', userId: target.id, branchId: target.branchId, actorId: req.user.id, ip: req.ip || null }
+      });
+      return updated;
+    });
+    res.json({ message: 'User deactivated', user });
+  });
+
+  app.post('/api/admin/users/:id/reactivate', authenticateToken, validate(schemas.reactivateUser), managers, async (req, res) => {
+    const target = await loadManagedUser(req);
+    if (!target.deactivatedAt) throw new ConflictError('User is not deactivated');
+    const [user] = await prisma.$transaction([
+      prisma.user.update({ where: { id: target.id }, data: { deactivatedAt: null }, select: MANAGED_USER_SELECT }),
+      prisma.securityEvent.create({
+        data: { type: 'ACCOUNT_REACTIVATED', userId: target.id, branchId: target.branchId, actorId: req.user.id, ip: req.ip || null }
+      })
+    ]);
+    res.json({ message: 'User reactivated', user });
+  });
+
+  app.post('/api/admin/users/:id/reset-password', authenticateToken, validate(schemas.resetUserPassword), managers, resetPassword);
+
+  // Clears a login lockout; recorded as an ACCOUNT_UNLOCKED security event
+  app.post('/api/admin/users/:id/unlock', authenticateToken, validate(schemas.unlockUser), managers, async (req, res) => {
+    const target = await loadManagedUser(req);
+    await unlockUser(prisma, target, req.user.id, req.ip);
+    console.info('[Security] User unlocked:', { userId: target.id, actorId: req.user.id });
+    res.json({
+      message: 'User unlocked',
+      user: { id: target.id, email: target.email, wasLockedUntil: target.lockedUntil }
+    });
+  });
+
+  // ---------------- Deprecated aliases ----------------
+  app.post('/api/admin/staff', authenticateToken, validate(schemas.createStaffAlias), deprecatedAlias('/api/admin/users'), managers, createUser);
+  app.post('/api/admin/staff/create', authenticateToken, validate(schemas.createStaffLegacyAlias), deprecatedAlias('/api/admin/users'), managers, createUser);
+  app.patch('/api/admin/staff/:id/reset-password', authenticateToken, validate(schemas.resetStaffPasswordAlias), deprecatedAlias('/api/admin/users/:id/reset-password'), managers, resetPassword);
+  app.get('/api/admin/staff/:branchId', authenticateToken, validate(schemas.listStaffAlias), deprecatedAlias('/api/admin/users'), managers, async (req, res) => {
+    await listUsers(req, res, parseInt(req.params.branchId), STAFF_USER_ROLES);
+  });
+};
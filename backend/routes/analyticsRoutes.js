@@ -0,0 +1,49 @@
+// Consolidated analytics: the one place where figures of several branches appear in a single response.
+// ADMIN only, and the caller must opt in with ?crossBranch=true so no client gets mixed-branch data by
+// accident. Single-branch analytics stay at GET /api/branches/:id/analytics.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, NotFoundError } = require('../errors');
+const { getBranchAnalyticsRow, consolidateBranchRows } = require('../services/branchAnalytics');
+
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = function registerAnalyticsRoutes({ app, prisma, authenticateToken }) {
+  app.get(
+    '/api/analytics/consolidated',
+    authenticateToken,
+    validate(schemas.consolidatedAnalytics),
+    requireRoles(['ADMIN']),
+    async (req, res) => {
+      if (req.query.crossBranch !== 'true') {
+        throw new ValidationError('Cross-branch data requires explicit opt-in: pass crossBranch=true');
+      }
+      const { from, to } = req.query;
+      if (to < from) throw new ValidationError('to must not be before from');
+      if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+        throw new ValidationError(`Range cannot exceed ${MAX_RANGE_DAYS} days`);
+      }
+      const branchIds = req.query.branchIds ? [...new Set(req.query.branchIds.split(',').map(Number))] : null;
+
+      const branches = await prisma.branch.findMany({
+        where: branchIds ? { id: { in: branchIds } } : {},
+        select: { id: true, name: true, timezone: true },
+        orderBy: { name: 'asc' }
+      });
+      const missing = branchIds ? branchIds.filter(id => !branches.some(b => b.id === id)) : [];
+      if (missing.length) throw new NotFoundError(`Branch not found: ${missing.join(', ')}`);
+
+      // One branch at a time keeps the connection pool free for live traffic
+      const rows = [];
+      for (const branch of branches) {
+        rows.push(await getBranchAnalyticsRow(prisma, branch, { from, to }));
+      }
+
+      console.info('[Analytics] Consolidated report:', { actorId: req.user.id, branches: rows.length, from, to });
+      res.json({ crossBranch: true, from, to, branches: rows, totals: consolidateBranchRows(rows) });
+    }
+  );
+};
@@ -0,0 +1,44 @@
+// Branch data exports (CSV / JSON Lines) for ADMIN and MANAGER (own branch).
+// Rows are streamed in batches by services/dataExport.js; the inventory export is a current snapshot
+// and ignores from/to.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, NotFoundError } = require('../errors');
+const { getBranchTimeZone, todayInZone, addDays, startOfLocalDay } = require('../services/branchTime');
+const { EXPORT_RESOURCES, streamExport } = require('../services/dataExport');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+module.exports = function registerExportRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  app.get('/api/branches/:branchId/exports/:resource', authenticateToken, validate(schemas.exportBranchData), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const { resource } = req.params;
+    const format = req.query.format || 'csv';
+
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    const timeZone = getBranchTimeZone(branch);
+
+    // Inclusive from/to dates in branch time; default the last 30 days
+    const today = todayInZone(timeZone);
+    const to = req.query.to || today;
+    const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    if (to < from) throw new ValidationError('to must not be before from');
+    const ranged = Boolean(EXPORT_RESOURCES[resource].dateField);
+
+    console.info('[Export]', { actorId: req.user.id, branchId, resource, format, ...(ranged ? { from, to } : {}) });
+    await streamExport(prisma, res, {
+      resource,
+      format,
+      branchId,
+      timeZone,
+      range: ranged ? { start: startOfLocalDay(from, timeZone), end: startOfLocalDay(addDays(to, 1), timeZone) } : null,
+      filename: ranged ? `branch-${branchId}-${resource}-${from}-to-${to}` : `branch-${branchId}-${resource}-${today}`
+    });
+  });
+};
@@ -0,0 +1,125 @@
+// Branch ledger: FinancialRecord CRUD and profit & loss for ADMIN and MANAGER (own branch).
+// Revenue from completed orders and the cost of received purchase orders are posted automatically
+// (services/financeLedger.js) and cannot be edited or deleted here, so the ledger always agrees with them.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { roundCurrency } = require('../services/orderPricing');
+const { getBranchTimeZone, todayInZone, addDays, startOfLocalDay } = require('../services/branchTime');
+const { normalizeCategory, buildProfitAndLoss } = require('../services/financeLedger');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+module.exports = function registerFinanceRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  async function getTimeZone(branchId) {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    return getBranchTimeZone(branch);
+  }
+
+  // Inclusive from/to dates in branch time; default the last 30 days
+  function resolveRange(query, timeZone) {
+    const to = query.to || todayInZone(timeZone);
+    const from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    if (to < from) throw new ValidationError('to must not be before from');
+    return { from, to, start: startOfLocalDay(from, timeZone), end: startOfLocalDay(addDays(to, 1), timeZone) };
+  }
+
+  // Loads the addressed record; managers only reach their own branch
+  async function loadRecord(req) {
+    const record = await prisma.financialRecord.findUnique({ where: { id: parseInt(req.params.id) } });
+    if (!record) throw new NotFoundError('Financial record not found');
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN' && record.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Managers can only access their own branch ledger');
+    }
+    return record;
+  }
+
+  const assertEditable = (record) => {
+    if (record.orderId) throw new ConflictError('Revenue posted from an order cannot be changed', { orderId: record.orderId });
+    if (record.purchaseOrderId) {
+      throw new ConflictError('Cost posted from a purchase order cannot be changed', { purchaseOrderId: record.purchaseOrderId });
+    }
+  };
+
+  // A plain date books the record at the start of that branch-local day
+  const toRecordDate = (date, timeZone) => (date ? startOfLocalDay(date, timeZone) : new Date());
+
+  app.get('/api/branches/:branchId/financial-records', authenticateToken, validate(schemas.listFinancialRecords), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const timeZone = await getTimeZone(branchId);
+    const { from, to, start, end } = resolveRange(req.query, timeZone);
+    const records = await prisma.financialRecord.findMany({
+      where: {
+        branchId,
+        date: { gte: start, lt: end },
+        ...(req.query.type ? { type: req.query.type.toString().toUpperCase() } : {}),
+        ...(req.query.category ? { category: normalizeCategory(req.query.category) } : {})
+      },
+      orderBy: [{ date: 'desc' }, { id: 'desc' }]
+    });
+    res.json({ from, to, timezone: timeZone, records });
+  });
+
+  app.post('/api/branches/:branchId/financial-records', authenticateToken, validate(schemas.createFinancialRecord), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const timeZone = await getTimeZone(branchId);
+    const { type, category, amount, description, date } = req.body;
+    const record = await prisma.financialRecord.create({
+      data: {
+        branchId,
+        type: type.toUpperCase(),
+        category: normalizeCategory(category),
+        amount: roundCurrency(amount),
+        description: description.trim(),
+        date: toRecordDate(date, timeZone)
+      }
+    });
+    res.status(201).json(record);
+  });
+
+  // Grouped by ?groupBy=day|week|month (default month) and by category
+  app.get('/api/branches/:branchId/profit-loss', authenticateToken, validate(schemas.profitAndLoss), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const timeZone = await getTimeZone(branchId);
+    const { from, to, start, end } = resolveRange(req.query, timeZone);
+    const records = await prisma.financialRecord.findMany({
+      where: { branchId, date: { gte: start, lt: end } },
+      select: { type: true, category: true, amount: true, date: true }
+    });
+    res.json({ branchId, from, to, timezone: timeZone, ...buildProfitAndLoss(records, req.query.groupBy || 'month', timeZone) });
+  });
+
+  app.get('/api/financial-records/:id', authenticateToken, validate(schemas.getFinancialRecord), managers, async (req, res) => {
+    res.json(await loadRecord(req));
+  });
+
+  app.patch('/api/financial-records/:id', authenticateToken, validate(schemas.updateFinancialRecord), managers, async (req, res) => {
+    const existing = await loadRecord(req);
+    assertEditable(existing);
+    const { type, category, amount, description, date } = req.body;
+    const record = await prisma.financialRecord.update({
+      where: { id: existing.id },
+      data: {
+        ...(type !== undefined ? { type: type.toUpperCase() } : {}),
+        ...(category !== undefined ? { category: normalizeCategory(category) } : {}),
+        ...(amount !== undefined ? { amount: roundCurrency(amount) } : {}),
+        ...(description !== undefined ? { description: description.trim() } : {}),
+        ...(date !== undefined ? { date: toRecordDate(date, await getTimeZone(existing.branchId)) } : {})
+      }
+    });
+    res.json(record);
+  });
+
+  app.delete('/api/financial-records/:id', authenticateToken, validate(schemas.deleteFinancialRecord), managers, async (req, res) => {
+    const existing = await loadRecord(req);
+    assertEditable(existing);
+    await prisma.financialRecord.delete({ where: { id: existing.id } });
+    res.json({ message: 'Financial record deleted' });
+  });
+};
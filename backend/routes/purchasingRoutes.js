@@ -0,0 +1,228 @@
+// Suppliers and purchase orders for ADMIN and MANAGER (own branch): reorder suggestions from stock
+// below minQuantity, drafts, sending and receiving. Receiving restocks and posts the cost to the
+// ledger in one transaction (services/purchasing.js).
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { getBranchTimeZone, startOfLocalDay } = require('../services/branchTime');
+const {
+  PURCHASE_ORDER_INCLUDE,
+  toPurchaseOrderResponse,
+  assertPurchaseOrderStatus,
+  loadLineTargets,
+  normalizePurchaseLines,
+  getReorderSuggestions,
+  resolveReceivedQuantities,
+  receivePurchaseOrder
+} = require('../services/purchasing');
+
+const SUPPLIER_FIELDS = ['contactName', 'email', 'phone', 'notes'];
+
+module.exports = function registerPurchasingRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  const isAdmin = (req) => (req.user.role || '').toUpperCase() === 'ADMIN';
+
+  async function getTimeZone(branchId) {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    return getBranchTimeZone(branch);
+  }
+
+  // Trimmed optional supplier fields; blank values clear them
+  const supplierData = (body) => Object.fromEntries(
+    SUPPLIER_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]?.trim() || null])
+  );
+
+  // Loads the addressed supplier; managers only reach their own branch
+  async function loadSupplier(req) {
+    const supplier = await prisma.supplier.findUnique({ where: { id: parseInt(req.params.id) } });
+    if (!supplier) throw new NotFoundError('Supplier not found');
+    if (!isAdmin(req) && supplier.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Managers can only manage suppliers of their own branch');
+    }
+    return supplier;
+  }
+
+  // A purchase order goes to an active supplier of its own branch
+  async function assertOrderableSupplier(branchId, supplierId) {
+    const supplier = await prisma.supplier.findUnique({ where: { id: supplierId }, select: { branchId: true, active: true } });
+    if (!supplier || supplier.branchId !== branchId) throw new ValidationError('supplierId must be a supplier of this branch');
+    if (!supplier.active) throw new ValidationError('Supplier is inactive');
+  }
+
+  // Loads the addressed purchase order; managers only reach their own branch
+  async function loadPurchaseOrder(req) {
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({ where: { id: parseInt(req.params.id) }, include: PURCHASE_ORDER_INCLUDE });
+    if (!purchaseOrder) throw new NotFoundError('Purchase order not found');
+    if (!isAdmin(req) && purchaseOrder.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Managers can only manage purchase orders of their own branch');
+    }
+    return purchaseOrder;
+  }
+
+  const respond = async (res, purchaseOrder, status = 200) => {
+    res.status(status).json(toPurchaseOrderResponse(purchaseOrder, await getTimeZone(purchaseOrder.branchId)));
+  };
+
+  const createPurchaseOrder = (req, branchId, timeZone, lines) => prisma.purchaseOrder.create({
+    data: {
+      branchId,
+      supplierId: req.body.supplierId,
+      expectedDelivery: req.body.expectedDelivery ? startOfLocalDay(req.body.expectedDelivery, timeZone) : null,
+      notes: req.body.notes?.trim() || null,
+      createdById: req.user.id,
+      lines: { create: lines }
+    },
+    include: PURCHASE_ORDER_INCLUDE
+  });
+
+  // Suppliers
+  app.get('/api/branches/:branchId/suppliers', authenticateToken, validate(schemas.listSuppliers), managers, ownBranch, async (req, res) => {
+    const suppliers = await prisma.supplier.findMany({
+      where: {
+        branchId: parseInt(req.params.branchId),
+        ...(req.query.active !== undefined ? { active: req.query.active === 'true' } : {})
+      },
+      orderBy: { name: 'asc' }
+    });
+    res.json(suppliers);
+  });
+
+  app.post('/api/branches/:branchId/suppliers', authenticateToken, validate(schemas.createSupplier), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const name = req.body.name.trim();
+    const existing = await prisma.supplier.findUnique({ where: { branchId_name: { branchId, name } }, select: { id: true } });
+    if (existing) throw new ConflictError(`Supplier "${name}" already exists at this branch`);
+    const supplier = await prisma.supplier.create({ data: { branchId, name, ...supplierData(req.body) } });
+    res.status(201).json(supplier);
+  });
+
+  app.patch('/api/suppliers/:id', authenticateToken, validate(schemas.updateSupplier), managers, async (req, res) => {
+    const existing = await loadSupplier(req);
+    const name = req.body.name?.trim();
+    if (name !== undefined && name !== existing.name) {
+      const clash = await prisma.supplier.findUnique({ where: { branchId_name: { branchId: existing.branchId, name } }, select: { id: true } });
+      if (clash) throw new ConflictError(`Supplier "${name}" already exists at this branch`);
+    }
+    const supplier = await prisma.supplier.update({
+      where: { id: existing.id },
+      data: {
+        ...(name !== undefined ? { name } : {}),
+        ...(req.body.active !== undefined ? { active: req.body.active } : {}),
+        ...supplierData(req.body)
+      }
+    });
+    res.json(supplier);
+  });
+
+  // Reorder suggestions and purchase orders
+  app.get('/api/branches/:branchId/reorder-suggestions', authenticateToken, validate(schemas.reorderSuggestions), managers, ownBranch, async (req, res) => {
+    res.json(await getReorderSuggestions(prisma, parseInt(req.params.branchId)));
+  });
+
+  app.get('/api/branches/:branchId/purchase-orders', authenticateToken, validate(schemas.listPurchaseOrders), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const timeZone = await getTimeZone(branchId);
+    const purchaseOrders = await prisma.purchaseOrder.findMany({
+      where: { branchId, ...(req.query.status ? { status: req.query.status } : {}) },
+      include: PURCHASE_ORDER_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(purchaseOrders.map(po => toPurchaseOrderResponse(po, timeZone)));
+  });
+
+  app.post('/api/branches/:branchId/purchase-orders', authenticateToken, validate(schemas.createPurchaseOrder), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const timeZone = await getTimeZone(branchId);
+    await assertOrderableSupplier(branchId, req.body.supplierId);
+    const lines = normalizePurchaseLines(req.body.lines, await loadLineTargets(prisma, req.body.lines), branchId);
+    await respond(res, await createPurchaseOrder(req, branchId, timeZone, lines), 201);
+  });
+
+  // Drafts one purchase order with every suggested reorder line
+  app.post('/api/branches/:branchId/purchase-orders/from-low-stock', authenticateToken, validate(schemas.draftLowStockPurchaseOrder), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const timeZone = await getTimeZone(branchId);
+    await assertOrderableSupplier(branchId, req.body.supplierId);
+    const suggestions = await getReorderSuggestions(prisma, branchId);
+    if (!suggestions.length) throw new ValidationError('No stock needs reordering');
+    const lines = suggestions.map(s => ({
+      inventoryItemId: s.inventoryItemId,
+      ingredientId: s.ingredientId,
+      quantity: s.suggestedQuantity,
+      unitCost: s.unitCost
+    }));
+    await respond(res, await createPurchaseOrder(req, branchId, timeZone, lines), 201);
+  });
+
+  app.get('/api/purchase-orders/:id', authenticateToken, validate(schemas.getPurchaseOrder), managers, async (req, res) => {
+    await respond(res, await loadPurchaseOrder(req));
+  });
+
+  // Drafts only; `lines` replaces every line
+  app.patch('/api/purchase-orders/:id', authenticateToken, validate(schemas.updatePurchaseOrder), managers, async (req, res) => {
+    const existing = await loadPurchaseOrder(req);
+    assertPurchaseOrderStatus(existing, 'DRAFT', 'edited');
+    const { supplierId, expectedDelivery, notes } = req.body;
+    if (supplierId !== undefined) await assertOrderableSupplier(existing.branchId, supplierId);
+    const lines = req.body.lines
+      ? normalizePurchaseLines(req.body.lines, await loadLineTargets(prisma, req.body.lines), existing.branchId)
+      : null;
+    const timeZone = await getTimeZone(existing.branchId);
+
+    const updated = await prisma.$transaction(async (prismaTx) => {
+      // Guard against the order having been sent since it was read; holds the row until commit
+      const { count } = await prismaTx.purchaseOrder.updateMany({
+        where: { id: existing.id, status: 'DRAFT' },
+        data: {
+          ...(supplierId !== undefined ? { supplierId } : {}),
+          ...(expectedDelivery !== undefined ? { expectedDelivery: expectedDelivery ? startOfLocalDay(expectedDelivery, timeZone) : null } : {}),
+          ...(notes !== undefined ? { notes: notes?.trim() || null } : {})
+        }
+      });
+      if (count === 0) throw new ConflictError('Purchase order changed concurrently, please reload');
+      if (lines) {
+        await prismaTx.purchaseOrderLine.deleteMany({ where: { purchaseOrderId: existing.id } });
+        await prismaTx.purchaseOrderLine.createMany({ data: lines.map(l => ({ purchaseOrderId: existing.id, ...l })) });
+      }
+      return prismaTx.purchaseOrder.findUnique({ where: { id: existing.id }, include: PURCHASE_ORDER_INCLUDE });
+    });
+    res.json(toPurchaseOrderResponse(updated, timeZone));
+  });
+
+  app.delete('/api/purchase-orders/:id', authenticateToken, validate(schemas.deletePurchaseOrder), managers, async (req, res) => {
+    const existing = await loadPurchaseOrder(req);
+    assertPurchaseOrderStatus(existing, 'DRAFT', 'deleted');
+    await prisma.purchaseOrder.delete({ where: { id: existing.id } });
+    res.json({ message: 'Purchase order deleted' });
+  });
+
+  app.post('/api/purchase-orders/:id/send', authenticateToken, validate(schemas.sendPurchaseOrder), managers, async (req, res) => {
+    const existing = await loadPurchaseOrder(req);
+    assertPurchaseOrderStatus(existing, 'DRAFT', 'sent');
+    if (!existing.lines.length) throw new ValidationError('A purchase order needs at least one line');
+    const { count } = await prisma.purchaseOrder.updateMany({
+      where: { id: existing.id, status: 'DRAFT' },
+      data: { status: 'SENT', sentAt: new Date() }
+    });
+    if (count === 0) throw new ConflictError('Purchase order changed concurrently, please reload');
+    await respond(res, await prisma.purchaseOrder.findUnique({ where: { id: existing.id }, include: PURCHASE_ORDER_INCLUDE }));
+  });
+
+  // Lines not listed in the body arrive in full
+  app.post('/api/purchase-orders/:id/receive', authenticateToken, validate(schemas.receivePurchaseOrder), managers, async (req, res) => {
+    const existing = await loadPurchaseOrder(req);
+    assertPurchaseOrderStatus(existing, 'SENT', 'received');
+    const received = resolveReceivedQuantities(existing.lines, req.body?.lines);
+
+    const updated = await prisma.$transaction(async (prismaTx) => {
+      await receivePurchaseOrder(prismaTx, existing, received, req.user.id);
+      return prismaTx.purchaseOrder.findUnique({ where: { id: existing.id }, include: PURCHASE_ORDER_INCLUDE });
+    });
+    await respond(res, updated);
+  });
+};
@@ -0,0 +1,145 @@
+// Ingredients and recipes: ADMIN and MANAGER (own branch) keep ingredient stock and the recipe of
+// each menu item; STAFF may read both. Orders reserve and consume ingredients through the recipe
+// (services/inventoryStock.js); items without a recipe keep their InventoryItem plate count.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { roundQuantity, recordOpeningStock, setStockLevel } = require('../services/stockLedger');
+const { toIngredientResponse, normalizeRecipeLines, toRecipeResponse } = require('../services/recipes');
+
+const RECIPE_INCLUDE = {
+  recipeLines: {
+    select: {
+      ingredientId: true,
+      quantity: true,
+      ingredient: { select: { name: true, unit: true, quantity: true, reserved: true } }
+    },
+    orderBy: { id: 'asc' }
+  }
+};
+
+module.exports = function registerRecipeRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const readers = requireRoles(['ADMIN', 'MANAGER', 'STAFF']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  const isAdmin = (req) => (req.user.role || '').toUpperCase() === 'ADMIN';
+
+  // Loads the addressed ingredient; non-admins only reach their own branch
+  async function loadIngredient(req) {
+    const ingredient = await prisma.ingredient.findUnique({ where: { id: parseInt(req.params.id) } });
+    if (!ingredient) throw new NotFoundError('Ingredient not found');
+    if (!isAdmin(req) && ingredient.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Ingredients of another branch cannot be accessed');
+    }
+    return ingredient;
+  }
+
+  // Loads the addressed (not deleted) menu item with its recipe; non-admins only reach their own branch
+  async function loadMenuItem(req) {
+    const menuItem = await prisma.menuItem.findUnique({ where: { id: parseInt(req.params.id) }, include: RECIPE_INCLUDE });
+    if (!menuItem || menuItem.deletedAt) throw new NotFoundError('Menu item not found');
+    if (!isAdmin(req) && menuItem.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Recipes of another branch cannot be accessed');
+    }
+    return menuItem;
+  }
+
+  const assertNameFree = async (branchId, name, exceptId) => {
+    const existing = await prisma.ingredient.findUnique({ where: { branchId_name: { branchId, name } }, select: { id: true } });
+    if (existing && existing.id !== exceptId) throw new ConflictError(`Ingredient "${name}" already exists at this branch`);
+  };
+
+  app.get('/api/branches/:branchId/ingredients', authenticateToken, validate(schemas.listIngredients), readers, ownBranch, async (req, res) => {
+    const ingredients = await prisma.ingredient.findMany({
+      where: { branchId: parseInt(req.params.branchId) },
+      orderBy: { name: 'asc' }
+    });
+    const result = ingredients.map(toIngredientResponse);
+    res.json(req.query.lowStock === 'true' ? result.filter(i => i.lowStock) : result);
+  });
+
+  app.post('/api/branches/:branchId/ingredients', authenticateToken, validate(schemas.createIngredient), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const { unit, quantity = 0, minQuantity = 0 } = req.body;
+    const name = req.body.name.trim();
+    await assertNameFree(branchId, name);
+    const ingredient = await prisma.$transaction(async (prismaTx) => {
+      const created = await prismaTx.ingredient.create({ data: { branchId, name, unit, minQuantity: roundQuantity(minQuantity) } });
+      await recordOpeningStock(prismaTx, { ingredientId: created.id }, roundQuantity(quantity), req.user.id);
+      return prismaTx.ingredient.findUnique({ where: { id: created.id } });
+    });
+    res.status(201).json(toIngredientResponse(ingredient));
+  });
+
+  app.patch('/api/ingredients/:id', authenticateToken, validate(schemas.updateIngredient), managers, async (req, res) => {
+    const existing = await loadIngredient(req);
+    const { unit, quantity, minQuantity, reason } = req.body;
+    const name = req.body.name?.trim();
+    if (name !== undefined) await assertNameFree(existing.branchId, name, existing.id);
+    // Recipe amounts are in the ingredient's unit, so it is fixed while recipes use it
+    if (unit !== undefined && unit !== existing.unit && await prisma.recipeLine.count({ where: { ingredientId: existing.id } })) {
+      throw new ConflictError('Unit cannot change while recipes use this ingredient', { unit: existing.unit });
+    }
+    const ingredient = await prisma.$transaction(async (prismaTx) => {
+      if (quantity !== undefined) {
+        await setStockLevel(prismaTx, { ingredientId: existing.id }, roundQuantity(quantity), {
+          reason: reason?.trim() || null,
+          userId: req.user.id
+        });
+      }
+      return prismaTx.ingredient.update({
+        where: { id: existing.id },
+        data: {
+          ...(name !== undefined ? { name } : {}),
+          ...(unit !== undefined ? { unit } : {}),
+          ...(minQuantity !== undefined ? { minQuantity: roundQuantity(minQuantity) } : {})
+        }
+      });
+    });
+    res.json(toIngredientResponse(ingredient));
+  });
+
+  app.delete('/api/ingredients/:id', authenticateToken, validate(schemas.deleteIngredient), managers, async (req, res) => {
+    const existing = await loadIngredient(req);
+    const [recipeCount, orderCount, purchaseCount] = await Promise.all([
+      prisma.recipeLine.count({ where: { ingredientId: existing.id } }),
+      prisma.orderItemIngredient.count({ where: { ingredientId: existing.id } }),
+      prisma.purchaseOrderLine.count({ where: { ingredientId: existing.id } })
+    ]);
+    if (recipeCount || orderCount || purchaseCount) {
+      throw new ConflictError('Ingredient is used by recipes, orders or purchase orders', {
+        recipeLines: recipeCount,
+        orderLines: orderCount,
+        purchaseLines: purchaseCount
+      });
+    }
+    await prisma.ingredient.delete({ where: { id: existing.id } });
+    res.json({ message: 'Ingredient deleted' });
+  });
+
+  app.get('/api/menu/:id/recipe', authenticateToken, validate(schemas.getRecipe), readers, async (req, res) => {
+    res.json(toRecipeResponse(await loadMenuItem(req)));
+  });
+
+  // Replaces the whole recipe; an empty list returns the item to its plate count
+  app.put('/api/menu/:id/recipe', authenticateToken, validate(schemas.replaceRecipe), managers, async (req, res) => {
+    const menuItem = await loadMenuItem(req);
+    const ingredients = await prisma.ingredient.findMany({
+      where: { id: { in: req.body.lines.map(l => l.ingredientId) } },
+      select: { id: true, branchId: true }
+    });
+    const lines = normalizeRecipeLines(req.body.lines, ingredients, menuItem.branchId);
+
+    const updated = await prisma.$transaction(async (prismaTx) => {
+      await prismaTx.recipeLine.deleteMany({ where: { menuItemId: menuItem.id } });
+      if (lines.length) {
+        await prismaTx.recipeLine.createMany({ data: lines.map(l => ({ menuItemId: menuItem.id, ...l })) });
+      }
+      return prismaTx.menuItem.findUnique({ where: { id: menuItem.id }, include: RECIPE_INCLUDE });
+    });
+    res.json(toRecipeResponse(updated));
+  });
+};
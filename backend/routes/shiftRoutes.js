@@ -0,0 +1,194 @@
+// Shift scheduling: MANAGER plans shifts for their own branch (ADMIN for any), a weekly rota view,
+// and a read-only "my shifts" list for staff. Conflict rules live in services/shiftSchedule.js.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../errors');
+const { STAFF_USER_ROLES } = require('../services/userManagement');
+const { assertStaffAccount } = require('../services/staffProfile');
+const { LOCK_SCOPES, lockForTransaction } = require('../services/transactionLocks');
+const { getBranchTimeZone, todayInZone, addDays, getWeekStart, startOfLocalDay, toLocalDateString, toLocalTimeString } = require('../services/branchTime');
+const {
+  resolveShiftTimes,
+  assertNoShiftConflicts,
+  withLocalShiftTimes,
+  getWeekRange,
+  buildRota
+} = require('../services/shiftSchedule');
+
+const BRANCH_HOURS_SELECT = { id: true, name: true, openingTime: true, closingTime: true, timezone: true };
+const SHIFT_USER_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  staffProfile: { select: { displayName: true, position: true } }
+};
+const SHIFT_INCLUDE = { user: { select: SHIFT_USER_SELECT } };
+const MY_SHIFTS_DEFAULT_DAYS = 28;
+
+module.exports = function registerShiftRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+
+  async function loadBranch(db, branchId) {
+    const branch = await db.branch.findUnique({ where: { id: branchId }, select: BRANCH_HOURS_SELECT });
+    if (!branch) throw new NotFoundError('Branch not found');
+    return branch;
+  }
+
+  // The scheduled user must be an active staff account; its profile position is the default
+  async function loadMember(db, userId) {
+    const member = await db.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true, branchId: true, deactivatedAt: true, staffProfile: { select: { position: true, active: true } } }
+    });
+    if (!member) throw new NotFoundError('Staff member not found');
+    assertStaffAccount(member);
+    if (member.deactivatedAt || member.staffProfile?.active === false) {
+      throw new ValidationError('Staff member is not active');
+    }
+    return member;
+  }
+
+  // Loads the addressed shift; managers only reach shifts of their own branch
+  async function loadShift(req) {
+    const shift = await prisma.shift.findUnique({ where: { id: parseInt(req.params.id) }, include: SHIFT_INCLUDE });
+    if (!shift) throw new NotFoundError('Shift not found');
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN' && shift.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Managers can only manage shifts of their own branch');
+    }
+    return shift;
+  }
+
+  // Checks conflicts against the member's other shifts and writes in one transaction
+  async function saveShift({ shiftId, branch, member, times, data }) {
+    return prisma.$transaction(async (prismaTx) => {
+      // One write per member at a time, so two concurrent ones cannot both pass the overlap check
+      await lockForTransaction(prismaTx, LOCK_SCOPES.USER_SHIFTS, member.id);
+      const memberShifts = await prismaTx.shift.findMany({
+        where: {
+          userId: member.id,
+          ...(shiftId ? { id: { not: shiftId } } : {}),
+          startsAt: { lt: times.endsAt },
+          endsAt: { gt: times.startsAt }
+        },
+        select: { id: true, branchId: true, startsAt: true, endsAt: true }
+      });
+      assertNoShiftConflicts({ branch, member, ...times, memberShifts });
+
+      const fields = { ...data, userId: member.id, startsAt: times.startsAt, endsAt: times.endsAt };
+      return shiftId
+        ? prismaTx.shift.update({ where: { id: shiftId }, data: fields, include: SHIFT_INCLUDE })
+        : prismaTx.shift.create({ data: { ...fields, branchId: branch.id }, include: SHIFT_INCLUDE });
+    });
+  }
+
+  const resolvePosition = (requested, member) => {
+    const position = requested ? requested.toUpperCase() : member.staffProfile?.position;
+    if (!position) throw new ValidationError('position is required for staff without a staff profile');
+    return position;
+  };
+
+  // ?from/?to are dates in each shift's branch timezone; default the next four weeks
+  // Registered before /api/shifts/:id
+  app.get('/api/shifts/mine', authenticateToken, validate(schemas.myShifts), requireRoles(STAFF_USER_ROLES), async (req, res) => {
+    const branch = await loadBranch(prisma, req.user.branchId);
+    const timeZone = getBranchTimeZone(branch);
+    const from = req.query.from || todayInZone(timeZone);
+    const to = req.query.to || addDays(from, MY_SHIFTS_DEFAULT_DAYS - 1);
+    if (to < from) throw new ValidationError('to must not be before from');
+
+    const shifts = await prisma.shift.findMany({
+      where: {
+        userId: req.user.id,
+        startsAt: { gte: startOfLocalDay(from, timeZone), lt: startOfLocalDay(addDays(to, 1), timeZone) }
+      },
+      include: { branch: { select: { id: true, name: true, timezone: true } } },
+      orderBy: { startsAt: 'asc' }
+    });
+    res.json({
+      from,
+      to,
+      shifts: shifts.map(s => withLocalShiftTimes(s, getBranchTimeZone(s.branch)))
+    });
+  });
+
+  // Monday-Sunday rota of the week containing ?week (default this week)
+  app.get(
+    '/api/branches/:branchId/rota',
+    authenticateToken,
+    validate(schemas.branchRota),
+    managers,
+    enforceBranchAccess((req) => parseInt(req.params.branchId)),
+    async (req, res) => {
+      const branch = await loadBranch(prisma, parseInt(req.params.branchId));
+      const timeZone = getBranchTimeZone(branch);
+      const weekStart = getWeekStart(req.query.week || todayInZone(timeZone));
+      const { start, end } = getWeekRange(weekStart, timeZone);
+
+      const shifts = await prisma.shift.findMany({
+        where: { branchId: branch.id, startsAt: { gte: start, lt: end } },
+        include: SHIFT_INCLUDE,
+        orderBy: [{ startsAt: 'asc' }, { id: 'asc' }]
+      });
+      res.json({ branchId: branch.id, ...buildRota(weekStart, timeZone, shifts) });
+    }
+  );
+
+  // Body: { branchId?, userId, date, startTime, endTime, position?, notes? } in branch-local time
+  app.post(
+    '/api/shifts',
+    authenticateToken,
+    validate(schemas.createShift),
+    managers,
+    enforceBranchAccess((req) => req.body.branchId ?? req.user.branchId),
+    async (req, res) => {
+      const { userId, date, startTime, endTime, notes = null } = req.body;
+      const branch = await loadBranch(prisma, req.body.branchId ?? req.user.branchId);
+      const member = await loadMember(prisma, userId);
+      const times = resolveShiftTimes(branch, { date, startTime, endTime });
+      const position = resolvePosition(req.body.position, member);
+
+      const shift = await saveShift({ branch, member, times, data: { position, notes } });
+      res.status(201).json(withLocalShiftTimes(shift, getBranchTimeZone(branch)));
+    }
+  );
+
+  app.get('/api/shifts/:id', authenticateToken, validate(schemas.getShift), managers, async (req, res) => {
+    const shift = await loadShift(req);
+    const branch = await loadBranch(prisma, shift.branchId);
+    res.json(withLocalShiftTimes(shift, getBranchTimeZone(branch)));
+  });
+
+  // Omitted fields keep their current value; the whole shift is re-checked for conflicts
+  app.patch('/api/shifts/:id', authenticateToken, validate(schemas.updateShift), managers, async (req, res) => {
+    const existing = await loadShift(req);
+    const branch = await loadBranch(prisma, existing.branchId);
+    const timeZone = getBranchTimeZone(branch);
+    const member = await loadMember(prisma, req.body.userId ?? existing.userId);
+
+    const times = resolveShiftTimes(branch, {
+      date: req.body.date ?? toLocalDateString(existing.startsAt, timeZone),
+      startTime: req.body.startTime ?? toLocalTimeString(existing.startsAt, timeZone),
+      endTime: req.body.endTime ?? toLocalTimeString(existing.endsAt, timeZone)
+    });
+    // A reassigned shift takes the new member's position unless one is given
+    const reassigned = req.body.userId !== undefined && req.body.userId !== existing.userId;
+    const position = (req.body.position || reassigned) ? resolvePosition(req.body.position, member) : existing.position;
+
+    const shift = await saveShift({
+      shiftId: existing.id,
+      branch,
+      member,
+      times,
+      data: { position, ...(req.body.notes !== undefined ? { notes: req.body.notes } : {}) }
+    });
+    res.json(withLocalShiftTimes(shift, timeZone));
+  });
+
+  app.delete('/api/shifts/:id', authenticateToken, validate(schemas.deleteShift), managers, async (req, res) => {
+    const shift = await loadShift(req);
+    await prisma.shift.delete({ where: { id: shift.id } });
+    res.json({ message: 'Shift deleted' });
+  });
+};
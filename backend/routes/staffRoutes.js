@@ -0,0 +1,82 @@
+// Staff directory: staff accounts of a branch with their StaffProfile (position, pay rate, contact, active).
+// Replaces the sandbox /api/test/branches/:branchId/staff registry. Profiles are written under the same
+// rules as /api/admin/users: ADMIN for any staff account, MANAGER for CHEF/STAFF of their own branch.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ForbiddenError, NotFoundError } = require('../errors');
+const { SAFE_USER_SELECT } = require('../services/safeUser');
+const { STAFF_USER_ROLES, assertCanManageUser } = require('../services/userManagement');
+const { STAFF_PROFILE_SELECT, assertStaffAccount, buildProfileData } = require('../services/staffProfile');
+
+const STAFF_MEMBER_SELECT = { ...SAFE_USER_SELECT, staffProfile: { select: STAFF_PROFILE_SELECT } };
+
+module.exports = function registerStaffRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+
+  // ?position filters by job title, ?active=true|false by the profile's active flag.
+  // Accounts without a profile are listed with `staffProfile: null` unless a filter is given.
+  app.get(
+    '/api/branches/:branchId/staff',
+    authenticateToken,
+    validate(schemas.listBranchStaff),
+    managers,
+    enforceBranchAccess((req) => parseInt(req.params.branchId)),
+    async (req, res) => {
+      const { position, active } = req.query;
+      const profileFilter = {
+        ...(position ? { position: position.toString().toUpperCase() } : {}),
+        ...(active !== undefined ? { active: active === 'true' } : {})
+      };
+      const staff = await prisma.user.findMany({
+        where: {
+          branchId: parseInt(req.params.branchId),
+          role: { in: STAFF_USER_ROLES },
+          deactivatedAt: null,
+          ...(Object.keys(profileFilter).length ? { staffProfile: { is: profileFilter } } : {})
+        },
+        select: STAFF_MEMBER_SELECT,
+        orderBy: { email: 'asc' }
+      });
+      res.json(staff);
+    }
+  );
+
+  // Staff may read their own profile; ADMIN any, MANAGER those of their branch
+  app.get('/api/staff/:userId/profile', authenticateToken, validate(schemas.getStaffProfile), async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const member = await prisma.user.findUnique({ where: { id: userId }, select: STAFF_MEMBER_SELECT });
+    if (!member) throw new NotFoundError('User not found');
+
+    const role = (req.user.role || '').toUpperCase();
+    const allowed = member.id === req.user.id
+      || role === 'ADMIN'
+      || (role === 'MANAGER' && member.branchId === req.user.branchId);
+    if (!allowed) throw new ForbiddenError('You cannot view this staff profile');
+    assertStaffAccount(member);
+    res.json(member);
+  });
+
+  // Creates the profile on first call (position required), otherwise updates only the fields sent
+  app.put('/api/staff/:userId/profile', authenticateToken, validate(schemas.upsertStaffProfile), managers, async (req, res) => {
+    const member = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.userId) },
+      select: { id: true, role: true, branchId: true, staffProfile: { select: { id: true } } }
+    });
+    if (!member) throw new NotFoundError('User not found');
+    assertStaffAccount(member);
+    assertCanManageUser(req.user, member);
+
+    const creating = !member.staffProfile;
+    const data = buildProfileData(req.body, creating);
+    const profile = await prisma.staffProfile.upsert({
+      where: { userId: member.id },
+      create: { ...data, userId: member.id },
+      update: data,
+      select: STAFF_PROFILE_SELECT
+    });
+    console.info('[Staff] Profile saved:', { actorId: req.user.id, userId: member.id, created: creating });
+    res.status(creating ? 201 : 200).json({ message: creating ? 'Staff profile created' : 'Staff profile updated', staffProfile: profile });
+  });
+};
@@ -0,0 +1,108 @@
+// Stock-takes of a branch: ADMIN and MANAGER (own branch) open, approve or cancel a count; STAFF
+// submit counted quantities and see the count blind, without expected quantities or variance.
+// Approval posts the corrections to the stock ledger (services/stockCounts.js).
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const {
+  STOCK_COUNT_INCLUDE,
+  buildCountLines,
+  toStockCountResponse,
+  assertCountOpen,
+  resolveCountedQuantities,
+  recordCounts,
+  approveStockCount
+} = require('../services/stockCounts');
+
+module.exports = function registerStockCountRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const counters = requireRoles(['ADMIN', 'MANAGER', 'STAFF']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  const isAdmin = (req) => (req.user.role || '').toUpperCase() === 'ADMIN';
+  const isManager = (req) => ['ADMIN', 'MANAGER'].includes((req.user.role || '').toUpperCase());
+
+  // Loads the addressed count; non-admins only reach their own branch
+  async function loadCount(req) {
+    const count = await prisma.stockCount.findUnique({ where: { id: parseInt(req.params.id) }, include: STOCK_COUNT_INCLUDE });
+    if (!count) throw new NotFoundError('Stock count not found');
+    if (!isAdmin(req) && count.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Stock counts of another branch cannot be accessed');
+    }
+    return count;
+  }
+
+  const respond = (req, res, count, status = 200) => {
+    res.status(status).json(toStockCountResponse(count, { showVariance: isManager(req) }));
+  };
+
+  const reload = (id) => prisma.stockCount.findUnique({ where: { id }, include: STOCK_COUNT_INCLUDE });
+
+  app.get('/api/branches/:branchId/stock-counts', authenticateToken, validate(schemas.listStockCounts), counters, ownBranch, async (req, res) => {
+    const counts = await prisma.stockCount.findMany({
+      where: {
+        branchId: parseInt(req.params.branchId),
+        ...(req.query.status ? { status: req.query.status.toString().toUpperCase() } : {})
+      },
+      include: STOCK_COUNT_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(counts.map(count => toStockCountResponse(count, { showVariance: isManager(req) })));
+  });
+
+  // One open count per branch, covering all of its stock
+  app.post('/api/branches/:branchId/stock-counts', authenticateToken, validate(schemas.openStockCount), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    const open = await prisma.stockCount.findFirst({ where: { branchId, status: 'OPEN' }, select: { id: true } });
+    if (open) throw new ConflictError('This branch already has an open stock count', { stockCountId: open.id });
+    const lines = await buildCountLines(prisma, branchId);
+    if (!lines.length) throw new ValidationError('This branch has no stock to count');
+
+    const count = await prisma.stockCount.create({
+      data: {
+        branchId,
+        notes: req.body?.notes?.trim() || null,
+        openedById: req.user.id,
+        lines: { create: lines }
+      },
+      include: STOCK_COUNT_INCLUDE
+    });
+    respond(req, res, count, 201);
+  });
+
+  app.get('/api/stock-counts/:id', authenticateToken, validate(schemas.getStockCount), counters, async (req, res) => {
+    respond(req, res, await loadCount(req));
+  });
+
+  // Lines not listed keep their earlier count, if any
+  app.post('/api/stock-counts/:id/lines', authenticateToken, validate(schemas.submitStockCountLines), counters, async (req, res) => {
+    const count = await loadCount(req);
+    assertCountOpen(count, 'counted');
+    const counted = resolveCountedQuantities(count.lines, req.body.lines);
+    await prisma.$transaction((prismaTx) => recordCounts(prismaTx, count, counted, req.user.id));
+    respond(req, res, await reload(count.id));
+  });
+
+  app.post('/api/stock-counts/:id/approve', authenticateToken, validate(schemas.approveStockCount), managers, async (req, res) => {
+    const count = await loadCount(req);
+    assertCountOpen(count, 'approved');
+    if (!count.lines.some(l => l.countedQuantity != null)) throw new ValidationError('Nothing has been counted yet');
+    await prisma.$transaction((prismaTx) => approveStockCount(prismaTx, count, req.user.id));
+    respond(req, res, await reload(count.id));
+  });
+
+  app.post('/api/stock-counts/:id/cancel', authenticateToken, validate(schemas.cancelStockCount), managers, async (req, res) => {
+    const count = await loadCount(req);
+    assertCountOpen(count, 'cancelled');
+    const { count: updated } = await prisma.stockCount.updateMany({
+      where: { id: count.id, status: 'OPEN' },
+      data: { status: 'CANCELLED', cancelledAt: new Date() }
+    });
+    if (updated === 0) throw new ConflictError('Stock count changed concurrently, please reload');
+    respond(req, res, await reload(count.id));
+  });
+};
@@ -0,0 +1,113 @@
+// Stock ledger for ADMIN and MANAGER (own branch): movement history of each inventory item and
+// ingredient, hand-recorded restocks, waste and adjustments, and a per-branch check of on-hand
+// quantities against the ledger. Movements are written through services/stockLedger.js only.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { getBranchTimeZone, addDays, startOfLocalDay } = require('../services/branchTime');
+const { MOVEMENT_USER_SELECT, roundQuantity, recordMovement, checkManualDelta, reconcileStock } = require('../services/stockLedger');
+
+module.exports = function registerStockLedgerRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  const isAdmin = (req) => (req.user.role || '').toUpperCase() === 'ADMIN';
+
+  async function getTimeZone(branchId) {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    return getBranchTimeZone(branch);
+  }
+
+  // Plate-counted inventory rows and ingredients share the ledger; each stock kind knows how to load its row
+  const STOCK_KINDS = {
+    inventory: {
+      key: 'inventoryItemId',
+      label: 'Inventory item',
+      load: (id) => prisma.inventoryItem.findUnique({ where: { id }, include: { menuItem: { select: { name: true } } } }),
+      describe: (item) => ({ inventoryItemId: item.id, name: item.menuItem.name, unit: 'plates', quantity: item.quantity })
+    },
+    ingredients: {
+      key: 'ingredientId',
+      label: 'Ingredient',
+      load: (id) => prisma.ingredient.findUnique({ where: { id } }),
+      describe: (g) => ({ ingredientId: g.id, name: g.name, unit: g.unit, quantity: g.quantity })
+    }
+  };
+
+  // Loads the addressed stock row; managers only reach their own branch
+  async function loadStock(req, kind) {
+    const stock = await kind.load(parseInt(req.params.id));
+    if (!stock) throw new NotFoundError(`${kind.label} not found`);
+    if (!isAdmin(req) && stock.branchId !== req.user.branchId) {
+      throw new ForbiddenError('Managers can only access stock of their own branch');
+    }
+    return stock;
+  }
+
+  // Optional inclusive from/to dates in branch time; without them the whole history
+  function resolveRange(query, timeZone) {
+    if (query.from && query.to && query.to < query.from) throw new ValidationError('to must not be before from');
+    return {
+      ...(query.from ? { gte: startOfLocalDay(query.from, timeZone) } : {}),
+      ...(query.to ? { lt: startOfLocalDay(addDays(query.to, 1), timeZone) } : {})
+    };
+  }
+
+  const listMovements = (kind) => async (req, res) => {
+    const stock = await loadStock(req, kind);
+    const timeZone = await getTimeZone(stock.branchId);
+    const movements = await prisma.inventoryMovement.findMany({
+      where: {
+        [kind.key]: stock.id,
+        createdAt: resolveRange(req.query, timeZone),
+        ...(req.query.type ? { type: req.query.type.toString().toUpperCase() } : {})
+      },
+      include: { user: { select: MOVEMENT_USER_SELECT } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+    res.json({ ...kind.describe(stock), timezone: timeZone, movements });
+  };
+
+  // Restock, waste or adjustment by hand; stock never goes below zero
+  const addMovement = (kind) => async (req, res) => {
+    const stock = await loadStock(req, kind);
+    const type = req.body.type.toUpperCase();
+    const delta = roundQuantity(req.body.delta);
+    const signError = checkManualDelta(type, delta);
+    if (signError) throw new ValidationError(signError, [{ location: 'body', field: 'delta', message: signError }]);
+    if (kind.key === 'inventoryItemId' && !Number.isInteger(delta)) {
+      throw new ValidationError('Plates move in whole numbers', [{ location: 'body', field: 'delta', message: 'must be a whole number of plates' }]);
+    }
+
+    const movement = await prisma.$transaction(async (prismaTx) => {
+      const created = await recordMovement(prismaTx, { [kind.key]: stock.id }, {
+        type,
+        delta,
+        reason: req.body.reason.trim(),
+        userId: req.user.id
+      });
+      // Checked after the update so concurrent movements cannot both pass
+      if (created.quantityAfter < 0) {
+        throw new ConflictError('Stock cannot go below zero', { quantity: roundQuantity(created.quantityAfter - delta), delta });
+      }
+      return prismaTx.inventoryMovement.findUnique({ where: { id: created.id }, include: { user: { select: MOVEMENT_USER_SELECT } } });
+    });
+    res.status(201).json(movement);
+  };
+
+  app.get('/api/inventory/:id/movements', authenticateToken, validate(schemas.listInventoryMovements), managers, listMovements(STOCK_KINDS.inventory));
+  app.post('/api/inventory/:id/movements', authenticateToken, validate(schemas.recordInventoryMovement), managers, addMovement(STOCK_KINDS.inventory));
+  app.get('/api/ingredients/:id/movements', authenticateToken, validate(schemas.listIngredientMovements), managers, listMovements(STOCK_KINDS.ingredients));
+  app.post('/api/ingredients/:id/movements', authenticateToken, validate(schemas.recordIngredientMovement), managers, addMovement(STOCK_KINDS.ingredients));
+
+  // On-hand quantities against the sum of their movements; any difference was written around the ledger
+  app.get('/api/branches/:branchId/stock-reconciliation', authenticateToken, validate(schemas.stockReconciliation), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    res.json(await reconcileStock(prisma, branchId));
+  });
+};
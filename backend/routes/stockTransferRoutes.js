@@ -0,0 +1,164 @@
+// Stock transfers between branches for ADMIN and MANAGER. Each step belongs to one side and is
+// checked with enforceBranchAccess against that side's branch: the receiving branch requests,
+// cancels and receives; the source branch approves, rejects, ships and takes back a lost shipment. ADMIN acts for either side
+// and sees every open transfer. Stock moves in services/stockTransfers.js.
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../errors');
+const {
+  OPEN_TRANSFER_STATUSES,
+  STOCK_TRANSFER_INCLUDE,
+  toStockTransferResponse,
+  assertTransferStatus,
+  normalizeTransferLines,
+  advanceTransfer,
+  shipStockTransfer,
+  receiveStockTransfer,
+  returnStockTransfer
+} = require('../services/stockTransfers');
+
+module.exports = function registerStockTransferRoutes({ app, prisma, authenticateToken }) {
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+  const admins = requireRoles(['ADMIN']);
+  const ownBranch = enforceBranchAccess((req) => parseInt(req.params.branchId));
+
+  const isAdmin = (req) => (req.user.role || '').toUpperCase() === 'ADMIN';
+
+  // Loads the addressed transfer once per request; the side checks below resolve its branches
+  async function loadTransfer(req) {
+    if (!req.stockTransfer) {
+      const transfer = await prisma.stockTransfer.findUnique({ where: { id: parseInt(req.params.id) }, include: STOCK_TRANSFER_INCLUDE });
+      if (!transfer) throw new NotFoundError('Stock transfer not found');
+      req.stockTransfer = transfer;
+    }
+    return req.stockTransfer;
+  }
+  const sourceSide = enforceBranchAccess(async (req) => (await loadTransfer(req)).fromBranchId);
+  const receivingSide = enforceBranchAccess(async (req) => (await loadTransfer(req)).toBranchId);
+
+  const reload = async (id) => toStockTransferResponse(await prisma.stockTransfer.findUnique({ where: { id }, include: STOCK_TRANSFER_INCLUDE }));
+
+  // Transfers into (`direction=in`) or out of (`out`) a branch, or both
+  app.get('/api/branches/:branchId/stock-transfers', authenticateToken, validate(schemas.listBranchStockTransfers), managers, ownBranch, async (req, res) => {
+    const branchId = parseInt(req.params.branchId);
+    const direction = req.query.direction?.toString().toLowerCase();
+    const sides = [
+      ...(direction !== 'in' ? [{ fromBranchId: branchId }] : []),
+      ...(direction !== 'out' ? [{ toBranchId: branchId }] : [])
+    ];
+    const transfers = await prisma.stockTransfer.findMany({
+      where: { OR: sides, ...(req.query.status ? { status: req.query.status.toString().toUpperCase() } : {}) },
+      include: STOCK_TRANSFER_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(transfers.map(toStockTransferResponse));
+  });
+
+  // Every branch; open transfers unless a status is given
+  app.get('/api/stock-transfers', authenticateToken, validate(schemas.listStockTransfers), admins, async (req, res) => {
+    const transfers = await prisma.stockTransfer.findMany({
+      where: { status: req.query.status ? req.query.status.toString().toUpperCase() : { in: OPEN_TRANSFER_STATUSES } },
+      include: STOCK_TRANSFER_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(transfers.map(toStockTransferResponse));
+  });
+
+  // Requested by the receiving branch (:branchId) from fromBranchId
+  app.post('/api/branches/:branchId/stock-transfers', authenticateToken, validate(schemas.requestStockTransfer), managers, ownBranch, async (req, res) => {
+    const toBranchId = parseInt(req.params.branchId);
+    const { fromBranchId, lines } = req.body;
+    if (fromBranchId === toBranchId) throw new ValidationError('A branch cannot transfer stock to itself');
+    const [toBranch, fromBranch] = await Promise.all([
+      prisma.branch.findUnique({ where: { id: toBranchId }, select: { id: true } }),
+      prisma.branch.findUnique({ where: { id: fromBranchId }, select: { id: true } })
+    ]);
+    if (!toBranch) throw new NotFoundError('Branch not found');
+    if (!fromBranch) throw new NotFoundError('Source branch not found');
+
+    const destinationItems = await prisma.inventoryItem.findMany({
+      where: { id: { in: lines.map(l => l.inventoryItemId) } },
+      select: { id: true, branchId: true, menuItem: { select: { name: true } } }
+    });
+    const sourceItems = await prisma.inventoryItem.findMany({
+      where: {
+        branchId: fromBranchId,
+        menuItem: { deletedAt: null, name: { in: destinationItems.map(i => i.menuItem.name), mode: 'insensitive' } }
+      },
+      select: { id: true, menuItem: { select: { name: true } } }
+    });
+
+    const transfer = await prisma.stockTransfer.create({
+      data: {
+        fromBranchId,
+        toBranchId,
+        notes: req.body.notes?.trim() || null,
+        requestedById: req.user.id,
+        lines: { create: normalizeTransferLines(lines, destinationItems, sourceItems, toBranchId) }
+      },
+      include: STOCK_TRANSFER_INCLUDE
+    });
+    res.status(201).json(toStockTransferResponse(transfer));
+  });
+
+  // Either side; ADMIN any
+  app.get('/api/stock-transfers/:id', authenticateToken, validate(schemas.getStockTransfer), managers, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    if (!isAdmin(req) && ![transfer.fromBranchId, transfer.toBranchId].includes(req.user.branchId)) {
+      throw new ForbiddenError('Only the two branches of a transfer can view it');
+    }
+    res.json(toStockTransferResponse(transfer));
+  });
+
+  app.post('/api/stock-transfers/:id/approve', authenticateToken, validate(schemas.approveStockTransfer), managers, sourceSide, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    assertTransferStatus(transfer, ['REQUESTED'], 'approved');
+    await advanceTransfer(prisma, transfer, { status: 'APPROVED', reviewedAt: new Date(), reviewedById: req.user.id });
+    res.json(await reload(transfer.id));
+  });
+
+  app.post('/api/stock-transfers/:id/reject', authenticateToken, validate(schemas.rejectStockTransfer), managers, sourceSide, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    assertTransferStatus(transfer, ['REQUESTED', 'APPROVED'], 'rejected');
+    await advanceTransfer(prisma, transfer, {
+      status: 'REJECTED',
+      reviewedAt: new Date(),
+      reviewedById: req.user.id,
+      reason: req.body?.reason?.trim() || null
+    });
+    res.json(await reload(transfer.id));
+  });
+
+  app.post('/api/stock-transfers/:id/cancel', authenticateToken, validate(schemas.cancelStockTransfer), managers, receivingSide, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    assertTransferStatus(transfer, ['REQUESTED'], 'cancelled');
+    await advanceTransfer(prisma, transfer, { status: 'CANCELLED', cancelledAt: new Date(), reason: req.body?.reason?.trim() || null });
+    res.json(await reload(transfer.id));
+  });
+
+  // Takes the plates out of the source branch's stock
+  app.post('/api/stock-transfers/:id/ship', authenticateToken, validate(schemas.shipStockTransfer), managers, sourceSide, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    assertTransferStatus(transfer, ['APPROVED'], 'shipped');
+    await prisma.$transaction((prismaTx) => shipStockTransfer(prismaTx, transfer, req.user.id));
+    res.json(await reload(transfer.id));
+  });
+
+  // Adds the plates to the receiving branch's stock
+  app.post('/api/stock-transfers/:id/receive', authenticateToken, validate(schemas.receiveStockTransfer), managers, receivingSide, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    assertTransferStatus(transfer, ['SHIPPED'], 'received');
+    await prisma.$transaction((prismaTx) => receiveStockTransfer(prismaTx, transfer, req.user.id));
+    res.json(await reload(transfer.id));
+  });
+
+  // A shipment that will not arrive; puts the plates back into the source branch's stock
+  app.post('/api/stock-transfers/:id/return', authenticateToken, validate(schemas.returnStockTransfer), managers, sourceSide, async (req, res) => {
+    const transfer = await loadTransfer(req);
+    assertTransferStatus(transfer, ['SHIPPED'], 'returned');
+    await prisma.$transaction((prismaTx) => returnStockTransfer(prismaTx, transfer, req.user.id, req.body?.reason?.trim() || null));
+    res.json(await reload(transfer.id));
+  });
+};
@@ -0,0 +1,188 @@
+// Time clock: staff clock in/out of their own branch with breaks, linked to their scheduled shift when
+// there is one. Managers see the branch's time entries and a labour cost report (services/labourCost.js).
+
+const { validate } = require('../middleware/validate');
+const { requireRoles, enforceBranchAccess } = require('../middleware/rbac');
+const schemas = require('../validation/schemas');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { STAFF_USER_ROLES } = require('../services/userManagement');
+const { getBranchTimeZone, todayInZone, addDays, startOfLocalDay, toLocalDateString } = require('../services/branchTime');
+const { getBreakMinutes, getWorkedMinutes, getLabourSummary } = require('../services/labourCost');
+
+// A shift can be clocked into from this long before its start until it ends
+const CLOCK_IN_EARLY_MINUTES = 60;
+const REPORT_DEFAULT_DAYS = 7;
+
+const ENTRY_INCLUDE = {
+  breaks: { orderBy: { startedAt: 'asc' } },
+  shift: { select: { id: true, startsAt: true, endsAt: true, position: true } }
+};
+
+// Adds break/worked minutes (open entries and breaks count until now) and the local day
+const toEntryResponse = (entry, timeZone, now = new Date()) => ({
+  ...entry,
+  localDate: toLocalDateString(entry.clockInAt, timeZone),
+  onBreak: entry.breaks.some(b => !b.endedAt),
+  breakMinutes: Math.round(getBreakMinutes(entry.breaks, entry.clockOutAt || now)),
+  workedMinutes: Math.round(getWorkedMinutes(entry, now))
+});
+
+module.exports = function registerTimeClockRoutes({ app, prisma, authenticateToken }) {
+  const staffOnly = requireRoles(STAFF_USER_ROLES);
+  const managers = requireRoles(['ADMIN', 'MANAGER']);
+
+  async function getTimeZone(branchId) {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } });
+    if (!branch) throw new NotFoundError('Branch not found');
+    return getBranchTimeZone(branch);
+  }
+
+  const findOpenEntry = (db, userId) =>
+    db.timeEntry.findFirst({ where: { userId, clockOutAt: null }, include: ENTRY_INCLUDE });
+
+  async function requireOpenEntry(db, userId) {
+    const entry = await findOpenEntry(db, userId);
+    if (!entry) throw new ConflictError('You are not clocked in');
+    return entry;
+  }
+
+  // Explicit shiftId must be the caller's; otherwise the shift running now (or starting soon) is used
+  async function resolveShiftId(db, user, shiftId, now) {
+    if (shiftId) {
+      const shift = await db.shift.findFirst({ where: { id: shiftId, userId: user.id }, select: { id: true } });
+      if (!shift) throw new NotFoundError('Shift not found');
+      return shift.id;
+    }
+    const shift = await db.shift.findFirst({
+      where: {
+        userId: user.id,
+        branchId: user.branchId,
+        startsAt: { lte: new Date(now.getTime() + CLOCK_IN_EARLY_MINUTES * 60 * 1000) },
+        endsAt: { gt: now }
+      },
+      orderBy: { startsAt: 'asc' },
+      select: { id: true }
+    });
+    return shift?.id ?? null;
+  }
+
+  // Inclusive from/to dates in branch time; default the last week
+  function resolveRange(query, timeZone) {
+    const to = query.to || todayInZone(timeZone);
+    const from = query.from || addDays(to, -(REPORT_DEFAULT_DAYS - 1));
+    if (to < from) throw new ValidationError('to must not be before from');
+    return { from, to, start: startOfLocalDay(from, timeZone), end: startOfLocalDay(addDays(to, 1), timeZone) };
+  }
+
+  // ---------------- Own clock ----------------
+  app.get('/api/time-clock/status', authenticateToken, validate(schemas.timeClockStatus), staffOnly, async (req, res) => {
+    const entry = await findOpenEntry(prisma, req.user.id);
+    const timeZone = await getTimeZone(req.user.branchId);
+    res.json({ clockedIn: !!entry, entry: entry ? toEntryResponse(entry, timeZone) : null });
+  });
+
+  // The hourly rate is copied from the staff profile so later pay changes do not alter past cost
+  app.post('/api/time-clock/clock-in', authenticateToken, validate(schemas.clockIn), staffOnly, async (req, res) => {
+    const now = new Date();
+    const entry = await prisma.$transaction(async (prismaTx) => {
+      const open = await findOpenEntry(prismaTx, req.user.id);
+      if (open) throw new ConflictError('Already clocked in', { entryId: open.id });
+      const profile = await prismaTx.staffProfile.findUnique({
+        where: { userId: req.user.id },
+        select: { hourlyRate: true }
+      });
+      return prismaTx.timeEntry.create({
+        data: {
+          branchId: req.user.branchId,
+          userId: req.user.id,
+          shiftId: await resolveShiftId(prismaTx, req.user, req.body?.shiftId, now),
+          clockInAt: now,
+          hourlyRate: profile?.hourlyRate ?? null,
+          notes: req.body?.notes ?? null
+        },
+        include: ENTRY_INCLUDE
+      });
+    }).catch((err) => {
+      // A concurrent clock-in got there first; the open-entry unique index refused this one
+      if (err?.code === 'P2002') throw new ConflictError('Already clocked in');
+      throw err;
+    });
+    res.status(201).json(toEntryResponse(entry, await getTimeZone(entry.branchId)));
+  });
+
+  app.post('/api/time-clock/break/start', authenticateToken, validate(schemas.startBreak), staffOnly, async (req, res) => {
+    const entry = await prisma.$transaction(async (prismaTx) => {
+      const open = await requireOpenEntry(prismaTx, req.user.id);
+      if (open.breaks.some(b => !b.endedAt)) throw new ConflictError('Already on a break');
+      await prismaTx.timeBreak.create({ data: { timeEntryId: open.id, startedAt: new Date() } });
+      return prismaTx.timeEntry.findUnique({ where: { id: open.id }, include: ENTRY_INCLUDE });
+    });
+    res.json(toEntryResponse(entry, await getTimeZone(entry.branchId)));
+  });
+
+  app.post('/api/time-clock/break/end', authenticateToken, validate(schemas.endBreak), staffOnly, async (req, res) => {
+    const entry = await prisma.$transaction(async (prismaTx) => {
+      const open = await requireOpenEntry(prismaTx, req.user.id);
+      const current = open.breaks.find(b => !b.endedAt);
+      if (!current) throw new ConflictError('You are not on a break');
+      await prismaTx.timeBreak.update({ where: { id: current.id }, data: { endedAt: new Date() } });
+      return prismaTx.timeEntry.findUnique({ where: { id: open.id }, include: ENTRY_INCLUDE });
+    });
+    res.json(toEntryResponse(entry, await getTimeZone(entry.branchId)));
+  });
+
+  // Ends a running break at the same instant
+  app.post('/api/time-clock/clock-out', authenticateToken, validate(schemas.clockOut), staffOnly, async (req, res) => {
+    const now = new Date();
+    const entry = await prisma.$transaction(async (prismaTx) => {
+      const open = await requireOpenEntry(prismaTx, req.user.id);
+      await prismaTx.timeBreak.updateMany({ where: { timeEntryId: open.id, endedAt: null }, data: { endedAt: now } });
+      return prismaTx.timeEntry.update({
+        where: { id: open.id },
+        data: { clockOutAt: now, ...(req.body?.notes !== undefined ? { notes: req.body.notes } : {}) },
+        include: ENTRY_INCLUDE
+      });
+    });
+    res.json(toEntryResponse(entry, await getTimeZone(entry.branchId)));
+  });
+
+  // ---------------- Branch reports ----------------
+  app.get(
+    '/api/branches/:branchId/time-entries',
+    authenticateToken,
+    validate(schemas.listTimeEntries),
+    managers,
+    enforceBranchAccess((req) => parseInt(req.params.branchId)),
+    async (req, res) => {
+      const branchId = parseInt(req.params.branchId);
+      const timeZone = await getTimeZone(branchId);
+      const { from, to, start, end } = resolveRange(req.query, timeZone);
+      const entries = await prisma.timeEntry.findMany({
+        where: {
+          branchId,
+          clockInAt: { gte: start, lt: end },
+          ...(req.query.userId ? { userId: parseInt(req.query.userId) } : {})
+        },
+        include: { ...ENTRY_INCLUDE, user: { select: { id: true, email: true, role: true } } },
+        orderBy: { clockInAt: 'asc' }
+      });
+      res.json({ from, to, timezone: timeZone, entries: entries.map(e => toEntryResponse(e, timeZone)) });
+    }
+  );
+
+  // Hours x rate per staff member and per day for entries clocked in between from and to
+  app.get(
+    '/api/branches/:branchId/labour-cost',
+    authenticateToken,
+    validate(schemas.labourCost),
+    managers,
+    enforceBranchAccess((req) => parseInt(req.params.branchId)),
+    async (req, res) => {
+      const branchId = parseInt(req.params.branchId);
+      const timeZone = await getTimeZone(branchId);
+      const { from, to, start, end } = resolveRange(req.query, timeZone);
+      const summary = await getLabourSummary(prisma, { branchId, start, end, timeZone });
+      res.json({ branchId, from, to, timezone: timeZone, ...summary });
+    }
+  );
+};
@@ -4,6 +4,37 @@ const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { requireRoles, enforceBranchAccess, requireChefOrdersOnly, blockChefFromNonOrders } = require('./middleware/rbac');
+const { validate } = require('./middleware/validate');
+const { assignRequestId, notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+const schemas = require('./validation/schemas');
+const registerAdminUserRoutes = require('./routes/adminUserRoutes');
+const registerStaffRoutes = require('./routes/staffRoutes');
+const registerShiftRoutes = require('./routes/shiftRoutes');
+const registerTimeClockRoutes = require('./routes/timeClockRoutes');
+const registerFinanceRoutes = require('./routes/financeRoutes');
+const registerAnalyticsRoutes = require('./routes/analyticsRoutes');
+const registerExportRoutes = require('./routes/exportRoutes');
+const registerRecipeRoutes = require('./routes/recipeRoutes');
+const registerPurchasingRoutes = require('./routes/purchasingRoutes');
+const registerStockLedgerRoutes = require('./routes/stockLedgerRoutes');
+const registerStockTransferRoutes = require('./routes/stockTransferRoutes');
+const registerStockCountRoutes = require('./routes/stockCountRoutes');
+const { MENU_STOCK_INCLUDE, getBranchPriceOverrides, toMenuResponse, toPublicMenuItem } = require('./services/menu');
+const { priceOrder, roundCurrency } = require('./services/orderPricing');
+const { assertOrderTransition, getAllowedTransitions, OrderTransitionError } = require('./services/orderStatus');
+const { getStockLevels, reserveStock, applyOrderStatusStock } = require('./services/inventoryStock');
+const { publishOrderEvent, getEventsSince, subscribeToBranch, formatSseEvent } = require('./services/orderEvents');
+const { RESERVATION_DURATION_MINUTES, ReservationRejectedError, assertReservationFits, getAvailableSlots } = require('./services/reservationCapacity');
+const { SessionError, issueSession, rotateRefreshToken, revokeSession, findRefreshSession, revokeAllUserSessions, isSessionActive } = require('./services/authTokens');
+const { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./services/loginProtection');
+const { LOCK_SCOPES, lockForTransaction } = require('./services/transactionLocks');
+const { SAFE_USER_SELECT, PUBLIC_USER_SELECT, toSafeUser } = require('./services/safeUser');
+const { getLabourSummary, labourPercentOfRevenue } = require('./services/labourCost');
+const { resolveAnalyticsWindow, getPreviousWindow, summarizeOrders, buildSalesSeries, comparePeriods, buildHeatmaps, rankMenuItems } = require('./services/salesAnalytics');
+const { postOrderRevenue } = require('./services/financeLedger');
+const { recordOpeningStock, setStockLevel } = require('./services/stockLedger');
+const { isValidTimeZone, getBranchTimeZone, toLocalDateString, toLocalTimeString, addDays, startOfLocalDay, getLocalDayRange, todayInZone } = require('./services/branchTime');
 // Load environment variables
 require('dotenv').config();
 
@@ -11,7 +42,8 @@ const app = express();
 const prisma = new PrismaClient();
 const PORT = 3001;
 
-app.use(cors());
+app.use(assignRequestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 
 // SAFE TEST ONLY / Multi-Branch Enhancement: register additive test routes
@@ -20,29 +52,45 @@ const registerTestRoutes = require('./testRoutes'); // SAFE TEST ONLY
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    throw new UnauthorizedError('Authentication required');
+  }
+
+  let decoded;
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' });
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
     }
+    throw new UnauthorizedError('Invalid token');
+  }
+  // Tokens issued before sessions existed never expire; force those clients to log in again
+  if (!decoded.sid || !(await isSessionActive(prisma, decoded.sid))) {
+    throw new UnauthorizedError('Session revoked', 'SESSION_REVOKED');
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
-    
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
+  // Full row for req.user; it is never sent as is, responses use a safe select or toSafeUser
+  const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
 
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ message: 'Invalid token' });
+  if (!user) {
+    throw new UnauthorizedError('User not found');
+  }
+  if (user.deactivatedAt) {
+    throw new UnauthorizedError('Account deactivated', 'ACCOUNT_DEACTIVATED');
   }
+
+  req.user = user;
+  req.sessionId = decoded.sid;
+  next();
 };
 
+// Client metadata stored alongside refresh tokens
+const getSessionMeta = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
 // Multi-Branch Enhancement: attach user's persisted active branch id to request
 const attachActiveBranch = async (req, res, next) => {
   try {
@@ -73,103 +121,397 @@ const resolveBranchId = (req, candidate) => {
   return chosen != null ? parseInt(chosen) : null;
 };
 
+// Order list ?today=true / ?date=YYYY-MM-DD mean the branch-local calendar day, not the server's or UTC's
+const getOrderDateFilter = async (branchId, query) => {
+  const wantsToday = query.today === 'true';
+  if (!wantsToday && !query.date) return {};
+  const branch = branchId
+    ? await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } })
+    : null;
+  const timeZone = getBranchTimeZone(branch);
+  const date = wantsToday ? todayInZone(timeZone) : String(query.date);
+  const { start, end } = getLocalDayRange(date, timeZone);
+  return { createdAt: { gte: start, lt: end } };
+};
+
 // Auth Routes
-app.post('/api/auth/signup', async (req, res) => {
-  try {
-    const { email, password, branchId } = req.body;
-    const hashedPassword = await bcrypt.hash(password, 10);
+app.post('/api/auth/signup', validate(schemas.signup), async (req, res) => {
+  const { email, password, branchId } = req.body;
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const user = await prisma.user.create({
+    data: {
+      email,
+      password: hashedPassword,
+      role: 'CUSTOMER',
+      branchId
+    },
+    select: SAFE_USER_SELECT
+  });
+
+  const session = await issueSession(prisma, user.id, getSessionMeta(req));
+  res.json({ user, ...session });
+});
+
+app.post('/api/auth/login', validate(schemas.login), async (req, res) => {
+  const { email, password } = req.body;
+  // Full row for the password check and login protection; sent through toSafeUser
+  const user = await prisma.user.findUnique({ where: { email } });
+  const attempt = { email, ip: req.ip, user };
+
+  await assertLoginAllowed(prisma, attempt);
+
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    await recordLoginFailure(prisma, attempt);
+    throw new UnauthorizedError('Invalid credentials');
+  }
+  // Checked after the password so the response does not reveal which emails exist
+  if (user.deactivatedAt) {
+    await recordLoginSuccess(prisma, attempt);
+    throw new ForbiddenError('Account deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+
+  await recordLoginSuccess(prisma, attempt);
+  const session = await issueSession(prisma, user.id, getSessionMeta(req));
+  res.json({ user: toSafeUser(user), ...session });
+});
+
+// Exchange a refresh token for a new access/refresh pair (the old refresh token stops working)
+app.post('/api/auth/refresh', validate(schemas.refresh), async (req, res) => {
+  const session = await rotateRefreshToken(prisma, req.body.refreshToken, getSessionMeta(req));
+  res.json(session);
+});
+
+// End a session; { allDevices: true } ends every session of the user.
+// With { refreshToken } the session is that token's, so a client whose access token has expired
+// can still log out; without it the access token names the session.
+const authenticateUnlessRefreshToken = (req, res, next) =>
+  req.body.refreshToken ? next() : authenticateToken(req, res, next);
+
+app.post('/api/auth/logout', validate(schemas.logout), authenticateUnlessRefreshToken, async (req, res) => {
+  let userId = req.user?.id;
+  let sessionId = req.sessionId;
+  if (req.body.refreshToken) {
+    const session = await findRefreshSession(prisma, req.body.refreshToken);
+    // An ended session's token may end itself again, but not every other session
+    if (req.body.allDevices && !session.live) throw new SessionError('Refresh token revoked');
+    userId = session.userId;
+    sessionId = session.familyId;
+  }
+  if (req.body.allDevices) {
+    await revokeAllUserSessions(prisma, userId);
+  } else {
+    await revokeSession(prisma, sessionId);
+  }
+  res.json({ message: 'Logged out' });
+});
+
+// --------------------- Menu Routes ---------------------
+// Staff menu view for the active branch; supports ?category= and ?includeDeleted=true (MANAGER/ADMIN)
+// CHEF: Access denied to menu management (orders only)
+app.get(
+  '/api/menu',
+  authenticateToken,
+  validate(schemas.listMenu),
+  attachActiveBranch,
+  blockChefFromNonOrders(),
+  requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
+  enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId)),
+  async (req, res) => {
+    const role = (req.user.role || '').toUpperCase();
+    const branchId = resolveBranchId(req, req.query.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+
+    const includeDeleted = req.query.includeDeleted === 'true' && ['ADMIN', 'MANAGER'].includes(role);
+    const where = {
+      branchId,
+      ...(req.query.category ? { category: String(req.query.category) } : {}),
+      ...(includeDeleted ? {} : { deletedAt: null })
+    };
+
+    const [menuItems, overrides] = await Promise.all([
+      prisma.menuItem.findMany({
+        where,
+        include: MENU_STOCK_INCLUDE,
+        orderBy: [{ category: 'asc' }, { name: 'asc' }]
+      }),
+      getBranchPriceOverrides(prisma, branchId)
+    ]);
+
+    let result = menuItems.map(item => toMenuResponse(item, overrides));
+    if (req.query.available === 'true') {
+      result = result.filter(item => item.available);
+    }
+    res.json(result);
+  }
+);
+
+app.get(
+  '/api/menu/categories',
+  authenticateToken,
+  validate(schemas.listMenuCategories),
+  attachActiveBranch,
+  blockChefFromNonOrders(),
+  requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
+  enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId)),
+  async (req, res) => {
+    const branchId = resolveBranchId(req, req.query.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+
+    const rows = await prisma.menuItem.findMany({
+      where: { branchId, deletedAt: null },
+      distinct: ['category'],
+      select: { category: true },
+      orderBy: { category: 'asc' }
+    });
+    res.json(rows.map(r => r.category));
+  }
+);
+
+// Public read-only customer menu (no authentication); never exposes stock counts or deleted items
+app.get('/api/menu/public/:branchId', validate(schemas.publicMenu), async (req, res) => {
+  const branchId = parseInt(req.params.branchId);
+  if (Number.isNaN(branchId)) {
+    throw new ValidationError('Invalid branch id');
+  }
+
+  const branch = await prisma.branch.findUnique({
+    where: { id: branchId },
+    select: { id: true, name: true, city: true, openingTime: true, closingTime: true }
+  });
+  if (!branch) throw new NotFoundError('Branch not found');
+
+  const [menuItems, overrides] = await Promise.all([
+    prisma.menuItem.findMany({
+      where: {
+        branchId,
+        deletedAt: null,
+        ...(req.query.category ? { category: String(req.query.category) } : {})
+      },
+      include: MENU_STOCK_INCLUDE,
+      orderBy: [{ category: 'asc' }, { name: 'asc' }]
+    }),
+    getBranchPriceOverrides(prisma, branchId)
+  ]);
+
+  res.json({ branch, items: menuItems.map(item => toPublicMenuItem(item, overrides)) });
+});
+
+app.post(
+  '/api/menu',
+  authenticateToken,
+  validate(schemas.createMenuItem),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER']),
+  enforceBranchAccess((req) => resolveBranchId(req, req.body.branchId)),
+  async (req, res) => {
+    const { name, description, category, price } = req.body;
+    const branchId = resolveBranchId(req, req.body.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+
+    if (!name || !name.toString().trim()) {
+      throw new ValidationError('Item name is required');
+    }
+    const parsedPrice = parseFloat(price);
+    if (Number.isNaN(parsedPrice) || parsedPrice < 0) {
+      throw new ValidationError('price must be a non-negative number');
+    }
 
-    const user = await prisma.user.create({
+    const menuItem = await prisma.menuItem.create({
       data: {
-        email,
-        password: hashedPassword,
-        role: 'CUSTOMER',
+        name: name.toString().trim(),
+        category: category && category.toString().trim() ? category.toString().trim() : 'Other',
+        description: description && description.toString().trim() ? description.toString().trim() : '',
+        price: parsedPrice,
         branchId
-      }
+      },
+      include: MENU_STOCK_INCLUDE
     });
 
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
-    res.json({ user, token });
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(400).json({ message: 'Error creating user' });
+    const overrides = await getBranchPriceOverrides(prisma, branchId, [menuItem.id]);
+    res.status(201).json(toMenuResponse(menuItem, overrides));
   }
-});
+);
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const user = await prisma.user.findUnique({ where: { email } });
+app.patch(
+  '/api/menu/:id',
+  authenticateToken,
+  validate(schemas.updateMenuItem),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER']),
+  async (req, res) => {
+    const { id } = req.params;
+    const existing = await prisma.menuItem.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true, deletedAt: true }
+    });
+    if (!existing || existing.deletedAt) throw new NotFoundError('Menu item not found');
 
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for menu update');
+      }
     }
 
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
-    res.json({ user, token });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(400).json({ message: 'Error during login' });
+    const data = {};
+    for (const key of ['name', 'description', 'category']) {
+      if (key in req.body) {
+        const value = (req.body[key] ?? '').toString().trim();
+        if (key !== 'description' && !value) {
+          throw new ValidationError(`${key} cannot be empty`);
+        }
+        data[key] = value;
+      }
+    }
+    if ('price' in req.body) {
+      const parsedPrice = parseFloat(req.body.price);
+      if (Number.isNaN(parsedPrice) || parsedPrice < 0) {
+        throw new ValidationError('price must be a non-negative number');
+      }
+      data.price = parsedPrice;
+    }
+
+    const updated = await prisma.menuItem.update({
+      where: { id: existing.id },
+      data,
+      include: MENU_STOCK_INCLUDE
+    });
+    const overrides = await getBranchPriceOverrides(prisma, updated.branchId, [updated.id]);
+    res.json(toMenuResponse(updated, overrides));
   }
-});
+);
+
+// Soft delete: historical OrderItem rows keep pointing at the retired MenuItem
+app.delete(
+  '/api/menu/:id',
+  authenticateToken,
+  validate(schemas.deleteMenuItem),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER']),
+  async (req, res) => {
+    const { id } = req.params;
+    const existing = await prisma.menuItem.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true, deletedAt: true }
+    });
+    if (!existing || existing.deletedAt) throw new NotFoundError('Menu item not found');
+
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for menu delete');
+      }
+    }
+
+    await prisma.menuItem.update({
+      where: { id: existing.id },
+      data: { deletedAt: new Date() }
+    });
+    res.json({ message: 'Menu item deleted' });
+  }
+);
 
 // Orders Routes
 app.post(
   '/api/orders/create',
   authenticateToken,
-  attachActiveBranch,
+  validate(schemas.createOrder),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.body.branchId)),
   async (req, res) => {
-    try {
-      const { items, total } = req.body;
-      if (!branchId) return res.status(400).json({ message: 'branchId is required' });
-      const branchId = resolveBranchId(req, req.body.branchId);
-      if (!branchId) return res.status(400).json({ message: 'branchId is required' });
-
-      const result = await prisma.$transaction(async (prismaTx) => {
-        // Create order scoped to branch
-        const order = await prismaTx.order.create({
-          data: {
-            userId: req.user.id,
-            branchId,
-            total,
-            items: {
-              create: items.map(item => ({
-                menuItemId: item.menuItemId,
-                quantity: item.quantity,
-                price: item.price
-              }))
-            }
-          },
-          include: { items: true }
-        });
-
-        // Update inventory for the same branch
-        for (const item of items) {
-          const inventoryItem = await prismaTx.inventoryItem.findFirst({
-            where: { menuItemId: item.menuItemId, branchId }
-          });
-
-          if (!inventoryItem || inventoryItem.quantity < item.quantity) {
-            throw new Error(`Insufficient inventory for item ${item.menuItemId}`);
-          }
+    const { items, total } = req.body;
+    const branchId = resolveBranchId(req, req.body.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
 
-          await prismaTx.inventoryItem.update({
-            where: { id: inventoryItem.id },
-            data: { quantity: inventoryItem.quantity - item.quantity }
-          });
-        }
+    const branch = await prisma.branch.findUnique({
+      where: { id: branchId },
+      select: { id: true, taxRate: true }
+    });
+    if (!branch) throw new NotFoundError('Branch not found');
+
+    const result = await prisma.$transaction(async (prismaTx) => {
+      // Price every line on the server; client prices/total are only checked for mismatch
+      const pricing = await priceOrder(prismaTx, branch, items, total);
 
-        return order;
+      // Create order scoped to branch
+      const order = await prismaTx.order.create({
+        data: {
+          userId: req.user.id,
+          branchId,
+          subtotal: pricing.subtotal,
+          taxRate: pricing.taxRate,
+          tax: pricing.tax,
+          total: pricing.total,
+          items: {
+            create: pricing.lines.map(line => ({
+              menuItemId: line.menuItemId,
+              quantity: line.quantity,
+              price: line.unitPrice,
+              priceSource: line.priceSource
+            }))
+          }
+        },
+        include: { items: { include: { menuItem: { select: { id: true, name: true } } } } }
+      });
+
+      await prismaTx.orderStatusHistory.create({
+        data: { orderId: order.id, fromStatus: null, toStatus: order.status, changedById: req.user.id }
       });
 
-      res.json(result);
-    } catch (error) {
-      console.error('Order creation error:', error);
-      res.status(400).json({ message: error.message });
+      // Reserve stock (plates, or recipe ingredients) for the same branch; on-hand is only consumed
+      // once the kitchen starts preparing
+      await reserveStock(prismaTx, branchId, order.items);
+
+      return order;
+    });
+
+    publishOrderEvent('order-created', branchId, result);
+    res.json(result);
+  }
+);
+
+// Kitchen display feed (SSE): order-created / order-status-changed for the caller's branch only.
+// Must be registered before GET /api/orders/:branchId. Resumes from the Last-Event-ID header.
+app.get(
+  '/api/orders/stream',
+  authenticateToken,
+  validate(schemas.orderStream),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF']),
+  requireChefOrdersOnly(),
+  enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId)),
+  (req, res) => {
+    const branchId = resolveBranchId(req, req.query.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    if (lastEventId) {
+      const { events, complete } = getEventsSince(branchId, lastEventId);
+      if (!complete) {
+        // Missed events are gone; tell the client to refetch GET /api/orders/:branchId
+        res.write(`event: resync\ndata: ${JSON.stringify({ branchId })}\n\n`);
+      }
+      for (const event of events) res.write(formatSseEvent(event));
     }
+
+    const unsubscribe = subscribeToBranch(branchId, (event) => res.write(formatSseEvent(event)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
   }
 );
 
@@ -177,98 +519,162 @@ app.post(
 app.get(
   '/api/orders',
   authenticateToken,
+  validate(schemas.listOrders),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId)),
   async (req, res) => {
-    try {
-      const role = (req.user.role || '').toUpperCase();
-      const branchId = resolveBranchId(req, req.query.branchId);
-
-      const where = {
-        branchId,
-        ...(role === 'CUSTOMER' ? { userId: req.user.id } : {})
-      };
-
-      const orders = await prisma.order.findMany({
-        where: branchId ? { ...where, branchId } : where,
-        include: {
-          items: { include: { menuItem: true } },
-          user: true
-        }
-      });
-      res.json(orders);
-    } catch (error) {
-      console.error('Get orders error:', error);
-      res.status(400).json({ message: 'Error fetching orders' });
-    }
+    const role = (req.user.role || '').toUpperCase();
+    const branchId = resolveBranchId(req, req.query.branchId);
+
+    const where = {
+      branchId,
+      ...(role === 'CUSTOMER' ? { userId: req.user.id } : {}),
+      ...(await getOrderDateFilter(branchId, req.query))
+    };
+
+    const orders = await prisma.order.findMany({
+      where: branchId ? { ...where, branchId } : where,
+      include: {
+        items: { include: { menuItem: true } },
+        user: { select: PUBLIC_USER_SELECT }
+      }
+    });
+    res.json(orders);
   }
 );
 
 app.get(
   '/api/orders/:branchId',
   authenticateToken,
+  validate(schemas.listBranchOrders),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.branchId)),
   async (req, res) => {
-    try {
-      const role = (req.user.role || '').toUpperCase();
-      const branchId = resolveBranchId(req, req.params.branchId);
-      if (!branchId) return res.status(400).json({ message: 'branchId is required' });
-
-      const where = {
-        branchId,
-        ...(role === 'CUSTOMER' ? { userId: req.user.id } : {})
-      };
-
-      const orders = await prisma.order.findMany({
-        where: branchId ? { ...where, branchId } : where,
-        include: {
-          items: { include: { menuItem: true } },
-          user: true
-        }
-      });
-      res.json(orders);
-    } catch (error) {
-      console.error('Get orders error:', error);
-      res.status(400).json({ message: 'Error fetching orders' });
-    }
+    const role = (req.user.role || '').toUpperCase();
+    const branchId = resolveBranchId(req, req.params.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+
+    const where = {
+      branchId,
+      ...(role === 'CUSTOMER' ? { userId: req.user.id } : {}),
+      ...(await getOrderDateFilter(branchId, req.query))
+    };
+
+    const orders = await prisma.order.findMany({
+      where: branchId ? { ...where, branchId } : where,
+      include: {
+        items: { include: { menuItem: true } },
+        user: { select: PUBLIC_USER_SELECT }
+      }
+    });
+    res.json(orders);
   }
 );
 
 app.patch(
   '/api/orders/status/:id',
   authenticateToken,
+  validate(schemas.updateOrderStatus),
   attachActiveBranch,
-  requireRoles(['ADMIN', 'MANAGER', 'CHEF']),
+  requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF']),
+  requireChefOrdersOnly(),
   async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { status } = req.body;
-      const role = (req.user.role || '').toUpperCase();
-
-      const order = await prisma.order.findUnique({
-        where: { id: parseInt(id) },
-        select: { id: true, branchId: true, userId: true }
-      });
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const role = (req.user.role || '').toUpperCase();
 
-      if (!order) return res.status(404).json({ message: 'Order not found' });
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true, userId: true, status: true }
+    });
 
-      const userBranchId = resolveBranchId(req);
-      if (!userBranchId || Number(order.branchId) !== Number(userBranchId)) {
-        return res.status(403).json({ message: 'Branch access denied for order update' });
+    if (!order) throw new NotFoundError('Order not found');
+
+    const userBranchId = resolveBranchId(req);
+    if (!userBranchId || Number(order.branchId) !== Number(userBranchId)) {
+      throw new ForbiddenError('Branch access denied for order update');
+    }
+
+    const toStatus = assertOrderTransition(order.status, status, role);
+
+    const updated = await prisma.$transaction(async (prismaTx) => {
+      // Guard against a concurrent transition having moved the order since we read it
+      const { count } = await prismaTx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: { status: toStatus }
+      });
+      if (count === 0) {
+        throw new OrderTransitionError('Order status changed concurrently, please reload', 409);
       }
 
-      const updated = await prisma.order.update({
-        where: { id: order.id },
-        data: { status }
+      // Consume, release or restock inventory in the same transaction as the status change
+      await applyOrderStatusStock(prismaTx, order, order.status, toStatus, req.user.id);
+
+      // Completed orders are booked once in the branch ledger as SALES revenue
+      if (toStatus === 'COMPLETED') await postOrderRevenue(prismaTx, order.id);
+
+      await prismaTx.orderStatusHistory.create({
+        data: {
+          orderId: order.id,
+          fromStatus: order.status,
+          toStatus,
+          changedById: req.user.id,
+          reason: reason ? reason.toString().trim() : null
+        }
       });
-      res.json(updated);
-    } catch (error) {
-      console.error('Update order status error:', error);
-      res.status(400).json({ message: 'Error updating order status' });
+
+      return prismaTx.order.findUnique({ where: { id: order.id } });
+    });
+
+    publishOrderEvent('order-status-changed', order.branchId, {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      changedById: req.user.id,
+      reason: reason ? reason.toString().trim() : null,
+      updatedAt: updated.updatedAt
+    });
+    res.json(updated);
+  }
+);
+
+// Order status audit trail (who, when, from, to, reason); customers only see their own orders
+app.get(
+  '/api/orders/:id/history',
+  authenticateToken,
+  validate(schemas.orderHistory),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF', 'CUSTOMER']),
+  requireChefOrdersOnly(),
+  async (req, res) => {
+    const role = (req.user.role || '').toUpperCase();
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, branchId: true, userId: true, status: true }
+    });
+    if (!order) throw new NotFoundError('Order not found');
+
+    const userBranchId = resolveBranchId(req);
+    if (!userBranchId || Number(order.branchId) !== Number(userBranchId)) {
+      throw new ForbiddenError('Branch access denied for order history');
+    }
+    if (role === 'CUSTOMER' && order.userId !== req.user.id) {
+      throw new ForbiddenError('Cannot access other user orders');
     }
+
+    const history = await prisma.orderStatusHistory.findMany({
+      where: { orderId: order.id },
+      include: { changedBy: { select: { id: true, email: true, role: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      allowedTransitions: getAllowedTransitions(order.status, role),
+      history
+    });
   }
 );
 
@@ -277,22 +683,18 @@ app.patch(
 app.get(
   '/api/inventory/:branchId',
   authenticateToken,
+  validate(schemas.listInventory),
   attachActiveBranch,
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.branchId)),
   async (req, res) => {
-    try {
-      const branchId = resolveBranchId(req, req.params.branchId);
-      const inventory = await prisma.inventoryItem.findMany({
-        where: { branchId },
-        include: { menuItem: true }
-      });
-      res.json(inventory);
-    } catch (error) {
-      console.error('Get inventory error:', error);
-      res.status(400).json({ message: 'Error fetching inventory' });
-    }
+    const branchId = resolveBranchId(req, req.params.branchId);
+    const inventory = await prisma.inventoryItem.findMany({
+      where: { branchId },
+      include: { menuItem: true }
+    });
+    res.json(inventory.map(item => ({ ...item, ...getStockLevels(item) })));
   }
 );
 
@@ -300,60 +702,59 @@ app.get(
 app.post(
   '/api/inventory/create',
   authenticateToken,
+  validate(schemas.createInventory),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER']),
   async (req, res) => {
-    try {
-      const { menuItemId, quantity = 0, minQuantity = 10 } = req.body;
+    const { menuItemId, quantity = 0, minQuantity = 10 } = req.body;
 
-      if (!menuItemId) {
-        return res.status(400).json({ message: 'Menu item ID is required' });
-      }
+    if (!menuItemId) {
+      throw new ValidationError('Menu item ID is required');
+    }
 
-      const branchId = resolveBranchId(req);
-      if (!branchId) {
-        return res.status(400).json({ message: 'Branch ID required' });
-      }
+    const branchId = resolveBranchId(req);
+    if (!branchId) {
+      throw new ValidationError('Branch ID required');
+    }
 
-      // Verify menu item exists
-      const menuItem = await prisma.menuItem.findUnique({
-        where: { id: parseInt(menuItemId) }
-      });
+    // Verify menu item exists
+    const menuItem = await prisma.menuItem.findUnique({
+      where: { id: parseInt(menuItemId) }
+    });
 
-      if (!menuItem) {
-        return res.status(404).json({ message: 'Menu item not found' });
-      }
+    if (!menuItem) {
+      throw new NotFoundError('Menu item not found');
+    }
 
-      // Check if inventory already exists for this menu item at this branch
-      const existing = await prisma.inventoryItem.findUnique({
-        where: {
-          menuItemId_branchId: {
-            menuItemId: parseInt(menuItemId),
-            branchId: branchId
-          }
+    // Check if inventory already exists for this menu item at this branch
+    const existing = await prisma.inventoryItem.findUnique({
+      where: {
+        menuItemId_branchId: {
+          menuItemId: parseInt(menuItemId),
+          branchId: branchId
         }
-      });
-
-      if (existing) {
-        return res.status(400).json({ message: 'Inventory already exists for this menu item at this branch' });
       }
+    });
 
-      // Create new inventory item
-      const inventory = await prisma.inventoryItem.create({
+    if (existing) {
+      throw new ConflictError('Inventory already exists for this menu item at this branch');
+    }
+
+    // Create new inventory item; the starting quantity is booked as its first movement
+    const inventory = await prisma.$transaction(async (prismaTx) => {
+      const created = await prismaTx.inventoryItem.create({
         data: {
           menuItemId: parseInt(menuItemId),
-          quantity: Math.max(0, quantity),
+          quantity: 0,
           minQuantity: Math.max(0, minQuantity),
           branchId: branchId
-        },
-        include: { menuItem: true }
+        }
       });
+      await recordOpeningStock(prismaTx, { inventoryItemId: created.id }, Math.max(0, quantity), req.user.id);
+      return prismaTx.inventoryItem.findUnique({ where: { id: created.id }, include: { menuItem: true } });
+    });
 
-      res.status(201).json(inventory);
-    } catch (error) {
-      console.error('Create inventory error:', error);
-      res.status(400).json({ message: 'Error creating inventory item' });
-    }
+    res.status(201).json(inventory);
   }
 );
 
@@ -361,144 +762,209 @@ app.post(
 app.post(
   '/api/inventory/create-with-item',
   authenticateToken,
+  validate(schemas.createInventoryWithItem),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER']),
   async (req, res) => {
-    try {
-      const { name, category, description, price, quantity = 0, minQuantity = 10 } = req.body;
+    const { name, category, description, price, quantity = 0, minQuantity = 10 } = req.body;
 
-      if (!name || !name.trim()) {
-        return res.status(400).json({ message: 'Item name is required' });
-      }
+    if (!name || !name.trim()) {
+      throw new ValidationError('Item name is required');
+    }
 
-      const branchId = resolveBranchId(req);
-      if (!branchId) {
-        return res.status(400).json({ message: 'Branch ID required' });
-      }
+    const branchId = resolveBranchId(req);
+    if (!branchId) {
+      throw new ValidationError('Branch ID required');
+    }
 
-      // Create menu item first
-      const menuItem = await prisma.menuItem.create({
-        data: {
-          name: name.trim(),
-          category: category || 'Other',
-          description: description && description.trim() ? description.trim() : `${name.trim()} inventory item`,
-          price: price ? parseFloat(price) : 0,
-          branchId: branchId
-        }
-      });
+    // Create menu item first
+    const menuItem = await prisma.menuItem.create({
+      data: {
+        name: name.trim(),
+        category: category || 'Other',
+        description: description && description.trim() ? description.trim() : `${name.trim()} inventory item`,
+        price: price ? parseFloat(price) : 0,
+        branchId: branchId
+      }
+    });
 
-      // Then create inventory for this menu item
-      const inventory = await prisma.inventoryItem.create({
+    // Then create inventory for this menu item, booking the starting quantity as its first movement
+    const inventory = await prisma.$transaction(async (prismaTx) => {
+      const created = await prismaTx.inventoryItem.create({
         data: {
           menuItemId: menuItem.id,
-          quantity: Math.max(0, quantity),
+          quantity: 0,
           minQuantity: Math.max(0, minQuantity),
           branchId: branchId
-        },
-        include: { menuItem: true }
+        }
       });
+      await recordOpeningStock(prismaTx, { inventoryItemId: created.id }, Math.max(0, quantity), req.user.id);
+      return prismaTx.inventoryItem.findUnique({ where: { id: created.id }, include: { menuItem: true } });
+    });
 
-      res.status(201).json(inventory);
-    } catch (error) {
-      console.error('Create inventory with item error:', error);
-      res.status(400).json({ message: error.message || 'Error creating inventory item' });
-    }
+    res.status(201).json(inventory);
   }
 );
 
 app.patch(
   '/api/inventory/:id',
   authenticateToken,
+  validate(schemas.updateInventory),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER']),
   async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { quantity } = req.body;
+    const { id } = req.params;
+    const { quantity, reason } = req.body;
 
-      const existing = await prisma.inventoryItem.findUnique({
-        where: { id: parseInt(id) },
-        select: { id: true, branchId: true }
-      });
+    const existing = await prisma.inventoryItem.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true }
+    });
 
-      if (!existing) return res.status(404).json({ message: 'Inventory item not found' });
+    if (!existing) throw new NotFoundError('Inventory item not found');
 
-      if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
-        const userBranchId = resolveBranchId(req);
-        if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
-          return res.status(403).json({ message: 'Branch access denied for inventory update' });
-        }
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for inventory update');
       }
+    }
 
-      const inventory = await prisma.inventoryItem.update({
-        where: { id: existing.id },
-        data: { quantity }
+    // The difference to the current count is recorded as an ADJUSTMENT movement
+    const inventory = await prisma.$transaction(async (prismaTx) => {
+      await setStockLevel(prismaTx, { inventoryItemId: existing.id }, quantity, {
+        reason: reason?.trim() || null,
+        userId: req.user.id
       });
-      res.json(inventory);
-    } catch (error) {
-      console.error('Update inventory error:', error);
-      res.status(400).json({ message: 'Error updating inventory' });
-    }
+      return prismaTx.inventoryItem.findUnique({ where: { id: existing.id } });
+    });
+    res.json(inventory);
   }
 );
 
 // Reservation Routes
+// Loads what the capacity engine needs for one branch service day: branch hours/timezone, active tables
+// and live reservations starting anywhere from the local day (minus one seating) until the next day ends
+const loadReservationContext = async (db, branchId, date) => {
+  const branch = await db.branch.findUnique({
+    where: { id: branchId },
+    select: { id: true, openingTime: true, closingTime: true, holidays: true, timezone: true }
+  });
+  if (!branch) return { branch: null, tables: [], reservations: [] };
+
+  const timeZone = getBranchTimeZone(branch);
+  const from = new Date(startOfLocalDay(date, timeZone).getTime() - RESERVATION_DURATION_MINUTES * 60 * 1000);
+  const to = startOfLocalDay(addDays(date, 2), timeZone);
+  const [tables, reservations] = await Promise.all([
+    db.table.findMany({ where: { branchId, active: true }, select: { seats: true, combinable: true } }),
+    db.reservation.findMany({
+      where: { branchId, date: { gte: from, lt: to }, status: { not: 'CANCELLED' } },
+      select: { date: true, guests: true }
+    })
+  ]);
+  return { branch, tables, reservations };
+};
+
+// Adds branch-local date/time to reservations (Reservation.date is the UTC start instant)
+const withLocalReservationTimes = (reservation) => {
+  const { branch, ...rest } = reservation;
+  const timezone = getBranchTimeZone(branch);
+  return {
+    ...rest,
+    timezone,
+    localDate: toLocalDateString(reservation.date, timezone),
+    localTime: toLocalTimeString(reservation.date, timezone)
+  };
+};
+
+// Open reservation slots for a party size on a date (customers included)
+// Must be registered before GET /api/reservations/:branchId
+app.get(
+  '/api/reservations/availability',
+  authenticateToken,
+  validate(schemas.reservationAvailability),
+  attachActiveBranch,
+  blockChefFromNonOrders(),
+  requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
+  enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId)),
+  async (req, res) => {
+    const branchId = resolveBranchId(req, req.query.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+    const date = req.query.date.toString();
+    const guests = Number(req.query.guests);
+
+    const { branch, tables, reservations } = await loadReservationContext(prisma, branchId, date);
+    if (!branch) throw new NotFoundError('Branch not found');
+
+    res.json({
+      branchId,
+      date,
+      guests,
+      durationMinutes: RESERVATION_DURATION_MINUTES,
+      slots: getAvailableSlots({ branch, tables, reservations, date, guests })
+    });
+  }
+);
+
 // CHEF: Access denied to reservations (orders only)
 app.post(
   '/api/reservations/create',
   authenticateToken,
+  validate(schemas.createReservation),
   attachActiveBranch,
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.body.branchId)),
   async (req, res) => {
-    try {
-      const { date, time, guests, notes } = req.body;
-      const branchId = resolveBranchId(req, req.body.branchId);
-      if (!branchId) return res.status(400).json({ message: 'branchId is required' });
+    const { date, time, guests, notes } = req.body;
+    const branchId = resolveBranchId(req, req.body.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
 
-      const reservation = await prisma.reservation.create({
+    const reservation = await prisma.$transaction(async (prismaTx) => {
+      // One booking per branch at a time, so a concurrent one cannot take the same tables unseen
+      await lockForTransaction(prismaTx, LOCK_SCOPES.BRANCH_RESERVATIONS, branchId);
+      const { branch, tables, reservations } = await loadReservationContext(prismaTx, branchId, date);
+      if (!branch) throw new ReservationRejectedError('Branch not found', 404);
+
+      // Stored as the UTC instant of the branch-local start time
+      const start = assertReservationFits({ branch, tables, reservations, date, time, guests });
+
+      return prismaTx.reservation.create({
         data: {
           userId: req.user.id,
           branchId,
-          date: new Date(date),
+          date: start,
           time,
           guests,
           notes
         }
       });
-      res.json(reservation);
-    } catch (error) {
-      console.error('Create reservation error:', error);
-      res.status(400).json({ message: 'Error creating reservation' });
-    }
+    });
+    res.json(reservation);
   }
 );
 
 app.get(
   '/api/reservations',
   authenticateToken,
+  validate(schemas.listReservations),
   attachActiveBranch,
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId ?? req.activeBranchId)),
   async (req, res) => {
-    try {
-      const role = (req.user.role || '').toUpperCase();
-      const branchId = resolveBranchId(req, req.query.branchId ?? req.activeBranchId);
-      const where = {
-        ...(branchId ? { branchId } : {}),
-        ...(role === 'CUSTOMER' ? { userId: req.user.id } : {})
-      };
-      const reservations = await prisma.reservation.findMany({
-        where: branchId ? { ...where, branchId } : where,
-        include: { user: true }
-      });
-      res.json(reservations);
-    } catch (error) {
-      console.error('Get reservations error:', error);
-      res.status(400).json({ message: 'Error fetching reservations' });
-    }
+    const role = (req.user.role || '').toUpperCase();
+    const branchId = resolveBranchId(req, req.query.branchId ?? req.activeBranchId);
+    const where = {
+      ...(branchId ? { branchId } : {}),
+      ...(role === 'CUSTOMER' ? { userId: req.user.id } : {})
+    };
+    const reservations = await prisma.reservation.findMany({
+      where: branchId ? { ...where, branchId } : where,
+      include: { user: { select: PUBLIC_USER_SELECT }, branch: { select: { timezone: true } } },
+      orderBy: { date: 'asc' }
+    });
+    res.json(reservations.map(withLocalReservationTimes));
   }
 );
 
@@ -506,111 +972,214 @@ app.get(
 app.get(
   '/api/reservations/:branchId',
   authenticateToken,
+  validate(schemas.listBranchReservations),
   attachActiveBranch,
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.branchId)),
   async (req, res) => {
-    try {
-      const role = (req.user.role || '').toUpperCase();
-      const branchId = resolveBranchId(req, req.params.branchId);
-      const where = {
-        ...(branchId ? { branchId } : {}),
-        ...(role === 'CUSTOMER' ? { userId: req.user.id } : {})
-      };
-      const reservations = await prisma.reservation.findMany({
-        where: branchId ? { ...where, branchId } : where,
-        include: { user: true }
-      });
-      res.json(reservations);
-    } catch (error) {
-      console.error('Get reservations error:', error);
-      res.status(400).json({ message: 'Error fetching reservations' });
+    const role = (req.user.role || '').toUpperCase();
+    const branchId = resolveBranchId(req, req.params.branchId);
+    const where = {
+      ...(branchId ? { branchId } : {}),
+      ...(role === 'CUSTOMER' ? { userId: req.user.id } : {})
+    };
+    const reservations = await prisma.reservation.findMany({
+      where: branchId ? { ...where, branchId } : where,
+      include: { user: { select: PUBLIC_USER_SELECT }, branch: { select: { timezone: true } } },
+      orderBy: { date: 'asc' }
+    });
+    res.json(reservations.map(withLocalReservationTimes));
+  }
+);
+
+// --------------------- Table Routes ---------------------
+// Dining tables per branch feed the reservation capacity engine (MANAGER/ADMIN manage, STAFF read)
+app.get(
+  '/api/tables',
+  authenticateToken,
+  validate(schemas.listTables),
+  attachActiveBranch,
+  blockChefFromNonOrders(),
+  requireRoles(['ADMIN', 'MANAGER', 'STAFF']),
+  enforceBranchAccess((req) => resolveBranchId(req, req.query.branchId)),
+  async (req, res) => {
+    const branchId = resolveBranchId(req, req.query.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+    const tables = await prisma.table.findMany({
+      where: { branchId },
+      orderBy: [{ zone: 'asc' }, { label: 'asc' }]
+    });
+    res.json(tables);
+  }
+);
+
+app.post(
+  '/api/tables',
+  authenticateToken,
+  validate(schemas.createTable),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER']),
+  enforceBranchAccess((req) => resolveBranchId(req, req.body.branchId)),
+  async (req, res) => {
+    const { label, zone, combinable = false } = req.body;
+    const seats = Number(req.body.seats);
+    const branchId = resolveBranchId(req, req.body.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+    if (!label || !label.toString().trim()) {
+      throw new ValidationError('label is required');
     }
+    if (!Number.isInteger(seats) || seats < 1) {
+      throw new ValidationError('seats must be a positive integer');
+    }
+
+    const table = await prisma.table.create({
+      data: {
+        branchId,
+        label: label.toString().trim(),
+        seats,
+        zone: zone ? zone.toString().trim() : null,
+        combinable: Boolean(combinable)
+      }
+    });
+    res.status(201).json(table);
   }
 );
 
-// Multi-Branch Enhancement: user active branch GET
-app.get('/api/users/:id/active-branch', authenticateToken, async (req, res) => {
-  try {
-    if (!['MANAGER', 'ADMIN'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Unauthorized' });
+app.patch(
+  '/api/tables/:id',
+  authenticateToken,
+  validate(schemas.updateTable),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER']),
+  async (req, res) => {
+    const existing = await prisma.table.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, branchId: true }
+    });
+    if (!existing) throw new NotFoundError('Table not found');
+
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for table update');
+      }
+    }
+
+    const data = {};
+    if ('label' in req.body) data.label = (req.body.label || '').toString().trim();
+    if ('zone' in req.body) data.zone = req.body.zone ? req.body.zone.toString().trim() : null;
+    if ('combinable' in req.body) data.combinable = Boolean(req.body.combinable);
+    if ('active' in req.body) data.active = Boolean(req.body.active);
+    if ('seats' in req.body) {
+      const seats = Number(req.body.seats);
+      if (!Number.isInteger(seats) || seats < 1) {
+        throw new ValidationError('seats must be a positive integer');
+      }
+      data.seats = seats;
     }
-    const userId = parseInt(req.params.id);
-    if (userId !== req.user.id) {
-      return res.status(403).json({ message: 'Cannot access other user active branch' });
+    if ('label' in data && !data.label) {
+      throw new ValidationError('label cannot be empty');
     }
-    const u = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { activeBranchId: true, activeBranch: { select: { id: true, name: true, city: true, country: true } } }
+
+    const updated = await prisma.table.update({ where: { id: existing.id }, data });
+    res.json(updated);
+  }
+);
+
+app.delete(
+  '/api/tables/:id',
+  authenticateToken,
+  validate(schemas.deleteTable),
+  attachActiveBranch,
+  requireRoles(['ADMIN', 'MANAGER']),
+  async (req, res) => {
+    const existing = await prisma.table.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, branchId: true }
     });
-    console.info('[Multi-Branch Enhancement] Fetched active branch for user', userId, u?.activeBranchId);
-    res.json({ activeBranchId: u?.activeBranchId || null, activeBranch: u?.activeBranch || null });
-  } catch (error) {
-    console.error('Active branch fetch error:', error);
-    res.status(400).json({ message: 'Error fetching active branch' });
+    if (!existing) throw new NotFoundError('Table not found');
+
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for table delete');
+      }
+    }
+
+    await prisma.table.delete({ where: { id: existing.id } });
+    res.json({ message: 'Table deleted' });
   }
+);
+
+// Multi-Branch Enhancement: user active branch GET
+app.get('/api/users/:id/active-branch', authenticateToken, validate(schemas.getActiveBranch), async (req, res) => {
+  if (!['MANAGER', 'ADMIN'].includes(req.user.role)) {
+    throw new ForbiddenError('Unauthorized');
+  }
+  const userId = parseInt(req.params.id);
+  if (userId !== req.user.id) {
+    throw new ForbiddenError('Cannot access other user active branch');
+  }
+  const u = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { activeBranchId: true, activeBranch: { select: { id: true, name: true, city: true, country: true } } }
+  });
+  console.info('[Multi-Branch Enhancement] Fetched active branch for user', userId, u?.activeBranchId);
+  res.json({ activeBranchId: u?.activeBranchId || null, activeBranch: u?.activeBranch || null });
 });
 
 // Multi-Branch Enhancement: user active branch PATCH
 // CRITICAL: Only ADMIN can switch active branch per global rules
-app.patch('/api/users/:id/active-branch', authenticateToken, requireRoles(['ADMIN']), async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    if (userId !== req.user.id) {
-      return res.status(403).json({ message: 'Cannot modify other user active branch' });
-    }
-    const { branchId } = req.body;
-    if (!branchId) {
-      return res.status(400).json({ message: 'branchId required' });
-    }
-    const branch = await prisma.branch.findUnique({ where: { id: branchId } });
-    if (!branch) return res.status(404).json({ message: 'Branch not found' });
-    const updated = await prisma.user.update({
-      where: { id: userId },
-      data: { activeBranchId: branchId }
-    });
-    console.info('[Multi-Branch Enhancement] Updated active branch for user', userId, '->', branchId);
-    res.json({ activeBranchId: updated.activeBranchId });
-  } catch (error) {
-    console.error('Active branch update error:', error);
-    res.status(400).json({ message: 'Error updating active branch' });
+app.patch('/api/users/:id/active-branch', authenticateToken, validate(schemas.setActiveBranch), requireRoles(['ADMIN']), async (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (userId !== req.user.id) {
+    throw new ForbiddenError('Cannot modify other user active branch');
   }
+  const { branchId } = req.body;
+  if (!branchId) {
+    throw new ValidationError('branchId required');
+  }
+  const branch = await prisma.branch.findUnique({ where: { id: branchId } });
+  if (!branch) throw new NotFoundError('Branch not found');
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { activeBranchId: branchId },
+    select: { activeBranchId: true }
+  });
+  console.info('[Multi-Branch Enhancement] Updated active branch for user', userId, '->', branchId);
+  res.json({ activeBranchId: updated.activeBranchId });
 });
 
 app.patch(
   '/api/reservations/status/:id',
   authenticateToken,
+  validate(schemas.updateReservationStatus),
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF']),
   async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { status } = req.body;
-      const role = (req.user.role || '').toUpperCase();
-
-      const reservation = await prisma.reservation.findUnique({
-        where: { id: parseInt(id) },
-        select: { id: true, branchId: true }
-      });
-      if (!reservation) return res.status(404).json({ message: 'Reservation not found' });
+    const { id } = req.params;
+    const { status } = req.body;
+    const role = (req.user.role || '').toUpperCase();
 
-      if (role !== 'ADMIN') {
-        const userBranchId = resolveBranchId(req);
-        if (!userBranchId || Number(reservation.branchId) !== Number(userBranchId)) {
-          return res.status(403).json({ message: 'Branch access denied for reservation update' });
-        }
-      }
+    const reservation = await prisma.reservation.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true }
+    });
+    if (!reservation) throw new NotFoundError('Reservation not found');
 
-      const updated = await prisma.reservation.update({
-        where: { id: reservation.id },
-        data: { status }
-      });
-      res.json(updated);
-    } catch (error) {
-      console.error('Update reservation status error:', error);
-      res.status(400).json({ message: 'Error updating reservation status' });
+    if (role !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(reservation.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for reservation update');
+      }
     }
+
+    const updated = await prisma.reservation.update({
+      where: { id: reservation.id },
+      data: { status }
+    });
+    res.json(updated);
   }
 );
 
@@ -620,34 +1189,30 @@ app.patch(
 app.post(
   '/api/feedback/create',
   authenticateToken,
+  validate(schemas.createFeedback),
   attachActiveBranch,
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.body.branchId)),
   async (req, res) => {
-    try {
-      const { rating, comment } = req.body;
-      const branchId = resolveBranchId(req, req.body.branchId);
-      if (!branchId || !rating || !comment) {
-        return res.status(400).json({ message: 'branchId, rating, and comment are required' });
-      }
-      if (rating < 1 || rating > 5) {
-        return res.status(400).json({ message: 'rating must be between 1 and 5' });
-      }
-      const fb = await prisma.feedback.create({
-        data: {
-          userId: req.user.id,
-          branchId,
-          rating,
-          comment
-        },
-        include: { user: true }
-      });
-      res.json(fb);
-    } catch (error) {
-      console.error('Create feedback error:', error);
-      res.status(400).json({ message: 'Error creating feedback' });
+    const { rating, comment } = req.body;
+    const branchId = resolveBranchId(req, req.body.branchId);
+    if (!branchId || !rating || !comment) {
+      throw new ValidationError('branchId, rating, and comment are required');
+    }
+    if (rating < 1 || rating > 5) {
+      throw new ValidationError('rating must be between 1 and 5');
     }
+    const fb = await prisma.feedback.create({
+      data: {
+        userId: req.user.id,
+        branchId,
+        rating,
+        comment
+      },
+      include: { user: { select: PUBLIC_USER_SELECT } }
+    });
+    res.json(fb);
   }
 );
 
@@ -656,28 +1221,24 @@ app.post(
 app.get(
   '/api/feedback/:branchId',
   authenticateToken,
+  validate(schemas.listFeedback),
   attachActiveBranch,
   blockChefFromNonOrders(),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF', 'CUSTOMER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.branchId)),
   async (req, res) => {
-    try {
-      const branchId = resolveBranchId(req, req.params.branchId);
-      if (!branchId) return res.status(400).json({ message: 'branchId is required' });
-      const where = {
-        branchId,
-        ...(req.user.role === 'CUSTOMER' ? { userId: req.user.id } : {})
-      };
-      const list = await prisma.feedback.findMany({
-        where,
-        include: { user: true },
-        orderBy: { createdAt: 'desc' }
-      });
-      res.json(list);
-    } catch (error) {
-      console.error('Get feedback error:', error);
-      res.status(400).json({ message: 'Error fetching feedback' });
-    }
+    const branchId = resolveBranchId(req, req.params.branchId);
+    if (!branchId) throw new ValidationError('branchId is required');
+    const where = {
+      branchId,
+      ...(req.user.role === 'CUSTOMER' ? { userId: req.user.id } : {})
+    };
+    const list = await prisma.feedback.findMany({
+      where,
+      include: { user: { select: PUBLIC_USER_SELECT } },
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(list);
   }
 );
 
@@ -685,38 +1246,34 @@ app.get(
 app.patch(
   '/api/feedback/reply/:id',
   authenticateToken,
+  validate(schemas.replyFeedback),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF']),
   async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { reply } = req.body;
-      if (!reply || !reply.trim()) {
-        return res.status(400).json({ message: 'Reply text is required' });
-      }
+    const { id } = req.params;
+    const { reply } = req.body;
+    if (!reply || !reply.trim()) {
+      throw new ValidationError('Reply text is required');
+    }
 
-      const existing = await prisma.feedback.findUnique({
-        where: { id: parseInt(id) },
-        select: { id: true, branchId: true }
-      });
-      if (!existing) return res.status(404).json({ message: 'Feedback not found' });
+    const existing = await prisma.feedback.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true }
+    });
+    if (!existing) throw new NotFoundError('Feedback not found');
 
-      if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
-        const userBranchId = resolveBranchId(req);
-        if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
-          return res.status(403).json({ message: 'Branch access denied for feedback reply' });
-        }
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for feedback reply');
       }
-
-      const updated = await prisma.feedback.update({
-        where: { id: existing.id },
-        data: { reply: reply.trim() },
-        include: { user: true }
-      });
-      res.json(updated);
-    } catch (error) {
-      console.error('Reply feedback error:', error);
-      res.status(400).json({ message: 'Error replying to feedback' });
     }
+
+    const updated = await prisma.feedback.update({
+      where: { id: existing.id },
+      data: { reply: reply.trim() },
+      include: { user: { select: PUBLIC_USER_SELECT } }
+    });
+    res.json(updated);
   }
 );
 
@@ -724,33 +1281,29 @@ app.patch(
 app.patch(
   '/api/feedback/approve/:id',
   authenticateToken,
+  validate(schemas.approveFeedback),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF']),
   async (req, res) => {
-    try {
-      const { id } = req.params;
-      const existing = await prisma.feedback.findUnique({
-        where: { id: parseInt(id) },
-        select: { id: true, branchId: true }
-      });
-      if (!existing) return res.status(404).json({ message: 'Feedback not found' });
+    const { id } = req.params;
+    const existing = await prisma.feedback.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true }
+    });
+    if (!existing) throw new NotFoundError('Feedback not found');
 
-      if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
-        const userBranchId = resolveBranchId(req);
-        if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
-          return res.status(403).json({ message: 'Branch access denied for feedback approval' });
-        }
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for feedback approval');
       }
-
-      const updated = await prisma.feedback.update({
-        where: { id: existing.id },
-        data: { approved: true },
-        include: { user: true }
-      });
-      res.json(updated);
-    } catch (error) {
-      console.error('Approve feedback error:', error);
-      res.status(400).json({ message: 'Error approving feedback' });
     }
+
+    const updated = await prisma.feedback.update({
+      where: { id: existing.id },
+      data: { approved: true },
+      include: { user: { select: PUBLIC_USER_SELECT } }
+    });
+    res.json(updated);
   }
 );
 
@@ -758,29 +1311,25 @@ app.patch(
 app.delete(
   '/api/feedback/:id',
   authenticateToken,
+  validate(schemas.deleteFeedback),
   requireRoles(['ADMIN', 'MANAGER', 'STAFF']),
   async (req, res) => {
-    try {
-      const { id } = req.params;
-      const existing = await prisma.feedback.findUnique({
-        where: { id: parseInt(id) },
-        select: { id: true, branchId: true }
-      });
-      if (!existing) return res.status(404).json({ message: 'Feedback not found' });
+    const { id } = req.params;
+    const existing = await prisma.feedback.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, branchId: true }
+    });
+    if (!existing) throw new NotFoundError('Feedback not found');
 
-      if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
-        const userBranchId = resolveBranchId(req);
-        if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
-          return res.status(403).json({ message: 'Branch access denied for feedback delete' });
-        }
+    if ((req.user.role || '').toUpperCase() !== 'ADMIN') {
+      const userBranchId = resolveBranchId(req);
+      if (!userBranchId || Number(existing.branchId) !== Number(userBranchId)) {
+        throw new ForbiddenError('Branch access denied for feedback delete');
       }
-
-      await prisma.feedback.delete({ where: { id: existing.id } });
-      res.json({ message: 'Feedback deleted' });
-    } catch (error) {
-      console.error('Delete feedback error:', error);
-      res.status(400).json({ message: 'Error deleting feedback' });
     }
+
+    await prisma.feedback.delete({ where: { id: existing.id } });
+    res.json({ message: 'Feedback deleted' });
   }
 );
 
@@ -789,38 +1338,94 @@ app.delete(
 app.get(
   '/api/branches/:id/analytics',
   authenticateToken,
+  validate(schemas.branchAnalytics),
   attachActiveBranch,
   requireRoles(['ADMIN', 'MANAGER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.id)),
   async (req, res) => {
-    try {
-      const branchId = resolveBranchId(req, req.params.id);
-      if (Number.isNaN(branchId)) {
-        return res.status(400).json({ message: 'Invalid branch id' });
-      }
-
-      const [orderAgg, reservationCount, feedbackAgg] = await Promise.all([
-        prisma.order.aggregate({ where: { branchId }, _sum: { total: true }, _count: true }),
-        prisma.reservation.count({ where: { branchId } }),
-        prisma.feedback.aggregate({ where: { branchId, approved: true }, _avg: { rating: true }, _count: true })
-      ]);
+    const branchId = resolveBranchId(req, req.params.id);
+    if (Number.isNaN(branchId)) {
+      throw new ValidationError('Invalid branch id');
+    }
 
-      const inventoryItems = await prisma.inventoryItem.findMany({
-        where: { branchId },
-        select: { id: true, quantity: true, minQuantity: true }
-      });
-      const lowStockCount = inventoryItems.filter(i => i.quantity < (i.minQuantity ?? 10)).length;
+    // Windows are branch-local calendar days (23/25h across DST changes)
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { timezone: true } });
+    const timezone = getBranchTimeZone(branch);
+    const granularity = req.query.granularity || 'day';
+    const window = resolveAnalyticsWindow(req.query, timezone);
+    const previous = getPreviousWindow(window, timezone);
+    const placed = { gte: window.start, lt: window.end };
+
+    const [reservationCount, feedbackAgg] = await Promise.all([
+      prisma.reservation.count({ where: { branchId, date: placed } }),
+      prisma.feedback.aggregate({
+        where: { branchId, approved: true, createdAt: placed },
+        _avg: { rating: true },
+        _count: true
+      })
+    ]);
+
+    const inventoryItems = await prisma.inventoryItem.findMany({
+      where: { branchId },
+      select: { id: true, quantity: true, minQuantity: true }
+    });
+    const lowStockCount = inventoryItems.filter(i => i.quantity < (i.minQuantity ?? 10)).length;
+
+    const notCancelled = { branchId, status: { not: 'CANCELLED' } };
+    const [windowOrders, previousOrders, lines, menuItems] = await Promise.all([
+      prisma.order.findMany({ where: { ...notCancelled, createdAt: placed }, select: { total: true, subtotal: true, createdAt: true } }),
+      prisma.order.findMany({ where: { ...notCancelled, createdAt: { gte: previous.start, lt: previous.end } }, select: { total: true, createdAt: true } }),
+      prisma.orderItem.findMany({
+        where: { order: { ...notCancelled, createdAt: placed } },
+        select: { menuItemId: true, quantity: true, price: true, menuItem: { select: { name: true, category: true } } }
+      }),
+      prisma.menuItem.findMany({ where: { branchId, deletedAt: null }, select: { id: true, name: true, category: true } })
+    ]);
+
+    const buckets = new Map();
+    for (let i = 0; i < window.days; i++) {
+      const date = addDays(window.from, i);
+      buckets.set(date, { date, total: 0, count: 0, labourCost: 0 });
+    }
+    for (const order of windowOrders) {
+      const bucket = buckets.get(toLocalDateString(order.createdAt, timezone));
+      if (!bucket) continue;
+      bucket.total += order.total;
+      bucket.count += 1;
+    }
 
-      res.json({
-        sales: { count: orderAgg._count, total: orderAgg._sum.total || 0 },
-        reservations: { count: reservationCount },
-        feedback: { count: feedbackAgg._count, averageRating: feedbackAgg._avg.rating || 0 },
-        inventory: { lowStockCount }
-      });
-    } catch (error) {
-      console.error('Branch analytics error:', error);
-      res.status(400).json({ message: 'Error fetching branch analytics' });
+    // Labour over the same window, from closed time entries
+    const labour = await getLabourSummary(prisma, { branchId, start: window.start, end: window.end, timeZone: timezone });
+    for (const day of labour.byDay) {
+      const bucket = buckets.get(day.date);
+      if (bucket) bucket.labourCost = day.cost;
     }
+    const summary = summarizeOrders(windowOrders);
+    // Labour share is taken of revenue net of tax, as posted to the P&L
+    const netRevenue = roundCurrency(windowOrders.reduce((sum, o) => sum + (o.subtotal || o.total), 0));
+
+    res.json({
+      timezone,
+      range: { from: window.from, to: window.to, days: window.days, granularity },
+      sales: { count: summary.orders, total: summary.revenue },
+      reservations: { count: reservationCount },
+      feedback: { count: feedbackAgg._count, averageRating: feedbackAgg._avg.rating || 0 },
+      inventory: { lowStockCount },
+      summary,
+      series: buildSalesSeries(windowOrders, window, granularity, timezone),
+      comparison: { from: previous.from, to: previous.to, ...comparePeriods(summary, summarizeOrders(previousOrders)) },
+      ...rankMenuItems(lines, menuItems, Number(req.query.limit) || 5),
+      heatmap: buildHeatmaps(windowOrders, timezone),
+      dailyRevenue: [...buckets.values()].map(b => ({ ...b, total: roundCurrency(b.total) })),
+      labour: {
+        days: window.days,
+        hours: labour.hours,
+        cost: labour.cost,
+        revenue: netRevenue,
+        percentOfRevenue: labourPercentOfRevenue(labour.cost, netRevenue),
+        unpricedHours: labour.unpricedHours
+      }
+    });
   }
 );
 
@@ -828,509 +1433,218 @@ app.get(
 app.get(
   '/api/branches',
   authenticateToken,
+  validate(schemas.listBranches),
   requireRoles(['ADMIN', 'MANAGER', 'CHEF', 'STAFF']),
   async (req, res) => {
-    try {
-      const role = (req.user.role || '').toUpperCase();
-      const userBranchId = resolveBranchId(req);
-
-      // CRITICAL: Branch selector data
-      // - ADMIN: returns ALL branches
-      // - Non-admin: returns only user's branch
-      const where = role === 'ADMIN' ? {} : { id: userBranchId };
-
-      const branches = await prisma.branch.findMany({
-        where,
-        select: {
-          id: true,
-          name: true,
-          location: true,
-          country: true,
-          city: true,
-          address: true,
-          postalCode: true,
-          phone: true,
-          email: true,
-          timezone: true,
-          latitude: true,
-          longitude: true,
-          openingTime: true,
-          closingTime: true
-        },
-        orderBy: { name: 'asc' }
-      });
-      res.json(branches);
-    } catch (error) {
-      console.error('List branches error:', error);
-      res.status(400).json({ message: 'Error fetching branches' });
-    }
+    const role = (req.user.role || '').toUpperCase();
+    const userBranchId = resolveBranchId(req);
+
+    // CRITICAL: Branch selector data
+    // - ADMIN: returns ALL branches
+    // - Non-admin: returns only user's branch
+    const where = role === 'ADMIN' ? {} : { id: userBranchId };
+
+    const branches = await prisma.branch.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        location: true,
+        country: true,
+        city: true,
+        address: true,
+        postalCode: true,
+        phone: true,
+        email: true,
+        timezone: true,
+        latitude: true,
+        longitude: true,
+        openingTime: true,
+        closingTime: true
+      },
+      orderBy: { name: 'asc' }
+    });
+    res.json(branches);
   }
 );
 
 // Multi-Branch Enhancement: Seed sample branches (ADMIN only, idempotent)
-app.post('/api/branches/seed-sample', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ message: 'Unauthorized' });
-    }
-    const samples = [
-      { name: 'Steakz London', city: 'London', country: 'UK', timezone: 'Europe/London', address: '10 Downing St', postalCode: 'SW1A 2AA', phone: '+44 20 7946 0000', email: 'london@steakz.example', latitude: 51.5034, longitude: -0.1276, openingTime: '09:00', closingTime: '22:00' },
-      { name: 'Steakz Paris', city: 'Paris', country: 'France', timezone: 'Europe/Paris', address: '5 Avenue Anatole France', postalCode: '75007', phone: '+33 1 2345 6789', email: 'paris@steakz.example', latitude: 48.8584, longitude: 2.2945, openingTime: '09:00', closingTime: '22:00' },
-      { name: 'Steakz Madrid', city: 'Madrid', country: 'Spain', timezone: 'Europe/Madrid', address: 'Plaza Mayor', postalCode: '28012', phone: '+34 91 123 4567', email: 'madrid@steakz.example', latitude: 40.4168, longitude: -3.7038, openingTime: '09:00', closingTime: '22:00' }
-    ];
-    const results = [];
-    for (const s of samples) {
-      const existing = await prisma.branch.findFirst({ where: { name: s.name, city: s.city } });
-      if (existing) {
-        results.push({ name: s.name, status: 'skipped', id: existing.id });
-      } else {
-        const created = await prisma.branch.create({ data: { ...s, location: s.city } });
-        results.push({ name: s.name, status: 'created', id: created.id });
-      }
+app.post('/api/branches/seed-sample', authenticateToken, validate(schemas.seedBranches), async (req, res) => {
+  if (req.user.role !== 'ADMIN') {
+    throw new ForbiddenError('Unauthorized');
+  }
+  const samples = [
+    { name: 'Steakz London', city: 'London', country: 'UK', timezone: 'Europe/London', address: '10 Downing St', postalCode: 'SW1A 2AA', phone: '+44 20 7946 0000', email: 'london@steakz.example', latitude: 51.5034, longitude: -0.1276, openingTime: '09:00', closingTime: '22:00' },
+    { name: 'Steakz Paris', city: 'Paris', country: 'France', timezone: 'Europe/Paris', address: '5 Avenue Anatole France', postalCode: '75007', phone: '+33 1 2345 6789', email: 'paris@steakz.example', latitude: 48.8584, longitude: 2.2945, openingTime: '09:00', closingTime: '22:00' },
+    { name: 'Steakz Madrid', city: 'Madrid', country: 'Spain', timezone: 'Europe/Madrid', address: 'Plaza Mayor', postalCode: '28012', phone: '+34 91 123 4567', email: 'madrid@steakz.example', latitude: 40.4168, longitude: -3.7038, openingTime: '09:00', closingTime: '22:00' }
+  ];
+  const results = [];
+  for (const s of samples) {
+    const existing = await prisma.branch.findFirst({ where: { name: s.name, city: s.city } });
+    if (existing) {
+      results.push({ name: s.name, status: 'skipped', id: existing.id });
+    } else {
+      const created = await prisma.branch.create({ data: { ...s, location: s.city } });
+      results.push({ name: s.name, status: 'created', id: created.id });
     }
-    console.info('[Multi-Branch Enhancement] Seed sample branches summary:', results);
-    res.json({ summary: results });
-  } catch (error) {
-    console.error('Seed sample branches error:', error);
-    res.status(400).json({ message: 'Error seeding sample branches' });
   }
+  console.info('[Multi-Branch Enhancement] Seed sample branches summary:', results);
+  res.json({ summary: results });
 });
 
 // Multi-Branch Enhancement: Branch settings update (MANAGER/ADMIN only)
 app.patch(
   '/api/branches/:id/settings',
   authenticateToken,
+  validate(schemas.updateBranchSettings),
   requireRoles(['ADMIN', 'MANAGER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.id)),
   async (req, res) => {
-    try {
-      const branchId = resolveBranchId(req, req.params.id);
-      if (Number.isNaN(branchId)) {
-        return res.status(400).json({ message: 'Invalid branch id' });
-      }
-
-      const allowedFields = ['timezone','latitude','longitude','openingTime','closingTime','holidays','country','city','address','postalCode','phone','email'];
-      const data = {};
-      for (const key of allowedFields) {
-        if (key in req.body) data[key] = req.body[key];
-      }
+    const branchId = resolveBranchId(req, req.params.id);
+    if (Number.isNaN(branchId)) {
+      throw new ValidationError('Invalid branch id');
+    }
 
-      const updated = await prisma.branch.update({
-        where: { id: branchId },
-        data
-      });
-      res.json(updated);
-    } catch (error) {
-      console.error('Branch settings update error:', error);
-      res.status(400).json({ message: 'Error updating branch settings' });
+    const allowedFields = ['timezone','latitude','longitude','openingTime','closingTime','holidays','country','city','address','postalCode','phone','email','taxRate'];
+    const data = {};
+    for (const key of allowedFields) {
+      if (key in req.body) data[key] = req.body[key];
+    }
+    if ('timezone' in data && data.timezone != null && !isValidTimeZone(data.timezone)) {
+      throw new ValidationError(`Unknown timezone ${data.timezone}; use an IANA name such as Europe/Paris`);
     }
+
+    const updated = await prisma.branch.update({
+      where: { id: branchId },
+      data
+    });
+    res.json(updated);
   }
 );
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
-
 // Multi-Branch Enhancement: Branch settings retrieval (MANAGER/ADMIN only)
 app.get(
   '/api/branches/:id/settings',
   authenticateToken,
+  validate(schemas.getBranchSettings),
   requireRoles(['ADMIN', 'MANAGER']),
   enforceBranchAccess((req) => resolveBranchId(req, req.params.id)),
   async (req, res) => {
-    try {
-      const branchId = resolveBranchId(req, req.params.id);
-      if (Number.isNaN(branchId)) {
-        return res.status(400).json({ message: 'Invalid branch id' });
-      }
-      const branch = await prisma.branch.findUnique({
-        where: { id: branchId },
-        select: {
-          id: true,
-          name: true,
-          location: true,
-          country: true,
-          city: true,
-          address: true,
-          postalCode: true,
-          phone: true,
-          email: true,
-          timezone: true,
-          latitude: true,
-          longitude: true,
-          openingTime: true,
-          closingTime: true,
-          holidays: true
-        }
-      });
-      if (!branch) return res.status(404).json({ message: 'Branch not found' });
-      console.info('[Multi-Branch Enhancement] GET settings for branch', branchId);
-      res.json(branch);
-    } catch (error) {
-      console.error('Branch settings fetch error:', error);
-      res.status(400).json({ message: 'Error fetching branch settings' });
+    const branchId = resolveBranchId(req, req.params.id);
+    if (Number.isNaN(branchId)) {
+      throw new ValidationError('Invalid branch id');
     }
-  }
-);
-
-// ADMIN unified staff creation (User + Staff are same entity)
-// Spec: POST /api/admin/staff (ADMIN only)
-app.post(
-  '/api/admin/staff',
-  authenticateToken,
-  requireRoles(['ADMIN']),
-  async (req, res) => {
-    try {
-      const { email, password, role, branchId } = req.body;
-
-      if (!email || !password || !role || !branchId) {
-        return res.status(400).json({ message: 'Missing required fields: email, password, role, branchId' });
+    const branch = await prisma.branch.findUnique({
+      where: { id: branchId },
+      select: {
+        id: true,
+        name: true,
+        location: true,
+        country: true,
+        city: true,
+        address: true,
+        postalCode: true,
+        phone: true,
+        email: true,
+        timezone: true,
+        latitude: true,
+        longitude: true,
+        openingTime: true,
+        closingTime: true,
+        holidays: true,
+        taxRate: true
       }
-
-      const allowedRoles = ['MANAGER', 'CHEF', 'STAFF'];
-      const normalizedRole = role.toString().toUpperCase();
-      if (!allowedRoles.includes(normalizedRole)) {
-        return res.status(400).json({ message: `Invalid role. Must be one of: ${allowedRoles.join(', ')}` });
-      }
-
-      const existing = await prisma.user.findUnique({ where: { email } });
-      if (existing) {
-        return res.status(400).json({ message: 'User with this email already exists' });
-      }
-
-      const parsedBranchId = parseInt(branchId);
-      if (Number.isNaN(parsedBranchId)) {
-        return res.status(400).json({ message: 'Invalid branchId' });
-      }
-
-      const branch = await prisma.branch.findUnique({ where: { id: parsedBranchId } });
-      if (!branch) return res.status(404).json({ message: 'Branch not found' });
-
-      const hashedPassword = await bcrypt.hash(password, 10);
-      const user = await prisma.user.create({
-        data: { email, password: hashedPassword, role: normalizedRole, branchId: parsedBranchId },
-        select: { id: true, email: true, role: true, branchId: true, branch: { select: { id: true, name: true } } }
-      });
-
-      res.status(201).json({ message: 'Staff created', user });
-    } catch (error) {
-      console.error('Admin staff create error:', error);
-      res.status(500).json({ message: 'Error creating staff', error: error.message });
-    }
-  }
-);
-
-// ADMIN password reset for staff
-// Spec: PATCH /api/admin/staff/:id/reset-password (ADMIN only)
-app.patch(
-  '/api/admin/staff/:id/reset-password',
-  authenticateToken,
-  requireRoles(['ADMIN']),
-  async (req, res) => {
-    try {
-      const userId = parseInt(req.params.id);
-      const { password: newPassword } = req.body;
-      if (!newPassword || newPassword.length < 3) {
-        return res.status(400).json({ message: 'Password must be at least 3 characters' });
-      }
-      const existing = await prisma.user.findUnique({ where: { id: userId } });
-      if (!existing) return res.status(404).json({ message: 'User not found' });
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-      const updated = await prisma.user.update({
-        where: { id: userId },
-        data: { password: hashedPassword },
-        select: { id: true, email: true, role: true, branchId: true }
-      });
-      res.json({ message: 'Password reset successfully', user: updated });
-    } catch (error) {
-      console.error('Admin staff password reset error:', error);
-      res.status(500).json({ message: 'Error resetting password', error: error.message });
-    }
+    });
+    if (!branch) throw new NotFoundError('Branch not found');
+    console.info('[Multi-Branch Enhancement] GET settings for branch', branchId);
+    res.json(branch);
   }
 );
 
-// List staff for a branch (ADMIN/MANAGER can view staff for their branch)
+// Lockout/unlock history for a branch (ADMIN/MANAGER can review activity against their staff accounts)
 app.get(
-  '/api/admin/staff/:branchId',
+  '/api/admin/security-events/:branchId',
   authenticateToken,
+  validate(schemas.securityEvents),
   requireRoles(['ADMIN', 'MANAGER']),
   async (req, res) => {
-    try {
-      const branchId = parseInt(req.params.branchId);
-      if (Number.isNaN(branchId)) {
-        return res.status(400).json({ message: 'Invalid branchId' });
-      }
-
-      // CRITICAL: Enforce branch access
-      const role = (req.user?.role || '').toUpperCase();
-      if (role !== 'ADMIN') {
-        const userBranchId = parseInt(req.user?.branchId);
-        if (userBranchId !== branchId) {
-          return res.status(403).json({ message: 'Branch access denied' });
-        }
-      }
-
-      // Fetch staff (non-CUSTOMER, non-ADMIN users) for the branch
-      // Using raw query to avoid Prisma enum issues with string filtering
-      const staff = await prisma.$queryRaw`
-        SELECT id, email, role, "branchId", "createdAt"
-        FROM "User"
-        WHERE "branchId" = ${branchId}
-          AND role IN ('MANAGER', 'CHEF', 'STAFF')
-        ORDER BY "createdAt" DESC
-      `;
-
-      res.json(staff);
-    } catch (error) {
-      console.error('List staff error:', error);
-      res.status(500).json({ message: 'Error fetching staff', error: error.message });
+    const branchId = parseInt(req.params.branchId);
+    if (Number.isNaN(branchId)) {
+      throw new ValidationError('Invalid branchId');
     }
-  }
-);
 
-// Multi-Branch Enhancement: ADMIN-only staff creation endpoint (create staff with specific role and branch)
-app.post(
-  '/api/admin/staff/create',
-  authenticateToken,
-  requireRoles(['ADMIN']),
-  async (req, res) => {
-    try {
-      const { email, password, role, branchId } = req.body;
-      
-      // Validation
-      if (!email || !password || !role || !branchId) {
-        return res.status(400).json({
-          message: 'Missing required fields: email, password, role, branchId'
-        });
+    // CRITICAL: Enforce branch access
+    const role = (req.user?.role || '').toUpperCase();
+    if (role !== 'ADMIN') {
+      const userBranchId = parseInt(req.user?.branchId);
+      if (userBranchId !== branchId) {
+        throw new ForbiddenError('Branch access denied');
       }
+    }
 
-      // Validate role enum
-      const validRoles = ['ADMIN', 'MANAGER', 'CHEF', 'SERVER', 'HOST', 'BARTENDER', 'RUNNER', 'STAFF', 'CUSTOMER'];
-      if (!validRoles.includes(role.toUpperCase())) {
-        return res.status(400).json({
-          message: `Invalid role. Must be one of: ${validRoles.join(', ')}`
-        });
-      }
-
-      // Check if user already exists
-      const existingUser = await prisma.user.findUnique({
-        where: { email }
-      });
-      if (existingUser) {
-        return res.status(400).json({ message: 'User with this email already exists' });
-      }
-
-      // Parse branchId as integer
-      const parsedBranchId = parseInt(branchId);
-      if (Number.isNaN(parsedBranchId)) {
-        return res.status(400).json({ message: 'Invalid branchId' });
-      }
-
-      // Verify branch exists
-      const branch = await prisma.branch.findUnique({
-        where: { id: parsedBranchId }
-      });
-      if (!branch) {
-        return res.status(404).json({ message: 'Branch not found' });
-      }
-
-      // Hash password
-      const hashedPassword = await bcrypt.hash(password, 10);
-
-      // Create user
-      const user = await prisma.user.create({
-        data: {
-          email,
-          password: hashedPassword,
-          role: role.toUpperCase(),
-          branchId: parsedBranchId
-        },
-        select: {
-          id: true,
-          email: true,
-          role: true,
-          branchId: true,
-          branch: {
-            select: {
-              id: true,
-              name: true
-            }
-          }
-        }
-      });
-
-      console.info('[RBAC] ADMIN created new staff member:', {
-        email: user.email,
-        role: user.role,
-        branchId: user.branchId
-      });
+    const take = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const events = await prisma.securityEvent.findMany({
+      where: { branchId, ...(req.query.type ? { type: String(req.query.type) } : {}) },
+      include: {
+        user: { select: { id: true, email: true, role: true } },
+        actor: { select: { id: true, email: true, role: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      take
+    });
 
-      res.status(201).json({
-        message: 'Staff member created successfully',
-        user
-      });
-    } catch (error) {
-      console.error('Staff creation error:', error);
-      res.status(500).json({
-        message: 'Error creating staff member',
-        error: error.message
-      });
-    }
+    res.json(events);
   }
 );
 
-// Multi-Branch Enhancement: ADMIN-only general user creation endpoint
-app.post(
-  '/api/admin/users',
-  authenticateToken,
-  requireRoles(['ADMIN']),
-  async (req, res) => {
-    try {
-      const { email, password, role, branchId } = req.body;
-      
-      // Validation
-      if (!email || !password || !role || !branchId) {
-        return res.status(400).json({
-          message: 'Missing required fields: email, password, role, branchId'
-        });
-      }
+// User management (/api/admin/users and the deprecated /api/admin/staff aliases)
+registerAdminUserRoutes({ app, prisma, authenticateToken });
 
-      // Only allow specific roles (prevent ADMIN role creation via this endpoint)
-      const allowedRoles = ['MANAGER', 'CHEF', 'STAFF'];
-      const normalizedRole = role.toString().toUpperCase();
-      if (!allowedRoles.includes(normalizedRole)) {
-        return res.status(400).json({
-          message: `Invalid role. Must be one of: ${allowedRoles.join(', ')}. ADMIN role creation is restricted.`
-        });
-      }
-
-      // Check if user already exists
-      const existingUser = await prisma.user.findUnique({
-        where: { email }
-      });
-      if (existingUser) {
-        return res.status(400).json({ message: 'User with this email already exists' });
-      }
+// Staff directory and profiles (position, pay rate, contact)
+registerStaffRoutes({ app, prisma, authenticateToken });
 
-      // Parse branchId as integer
-      const parsedBranchId = parseInt(branchId);
-      if (Number.isNaN(parsedBranchId)) {
-        return res.status(400).json({ message: 'Invalid branchId' });
-      }
+// Shift scheduling and weekly rota
+registerShiftRoutes({ app, prisma, authenticateToken });
 
-      // Verify branch exists
-      const branch = await prisma.branch.findUnique({
-        where: { id: parsedBranchId }
-      });
-      if (!branch) {
-        return res.status(404).json({ message: 'Branch not found' });
-      }
+// Time clock, breaks and labour cost
+registerTimeClockRoutes({ app, prisma, authenticateToken });
 
-      // Hash password
-      const hashedPassword = await bcrypt.hash(password, 10);
+// Branch ledger (FinancialRecord) and profit & loss
+registerFinanceRoutes({ app, prisma, authenticateToken });
 
-      // Create user
-      const user = await prisma.user.create({
-        data: {
-          email,
-          password: hashedPassword,
-          role: normalizedRole,
-          branchId: parsedBranchId
-        },
-        select: {
-          id: true,
-          email: true,
-          role: true,
-          branchId: true,
-          branch: {
-            select: {
-              id: true,
-              name: true
-            }
-          }
-        }
-      });
+// ADMIN consolidated (cross-branch) analytics, opt-in only
+registerAnalyticsRoutes({ app, prisma, authenticateToken });
 
-      console.info('[RBAC] ADMIN created new user:', {
-        email: user.email,
-        role: user.role,
-        branchId: user.branchId
-      });
+// Branch data exports (CSV / JSON Lines)
+registerExportRoutes({ app, prisma, authenticateToken });
 
-      res.status(201).json({
-        message: 'User created successfully',
-        user
-      });
-    } catch (error) {
-      console.error('User creation error:', error);
-      res.status(500).json({
-        message: 'Error creating user',
-        error: error.message
-      });
-    }
-  }
-);
+// Ingredients and menu item recipes
+registerRecipeRoutes({ app, prisma, authenticateToken });
 
-// Multi-Branch Enhancement: ADMIN-only password reset endpoint
-app.post(
-  '/api/admin/users/:id/reset-password',
-  authenticateToken,
-  requireRoles(['ADMIN']),
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { newPassword } = req.body;
+// Suppliers, reorder suggestions and purchase orders
+registerPurchasingRoutes({ app, prisma, authenticateToken });
 
-      if (!newPassword || newPassword.length < 3) {
-        return res.status(400).json({ message: 'Password must be at least 3 characters' });
-      }
+// Stock movement history, manual movements and ledger reconciliation
+registerStockLedgerRoutes({ app, prisma, authenticateToken });
 
-      const userId = parseInt(id);
-      if (Number.isNaN(userId)) {
-        return res.status(400).json({ message: 'Invalid user ID' });
-      }
+// Stock transfers between branches
+registerStockTransferRoutes({ app, prisma, authenticateToken });
 
-      // Verify user exists
-      const user = await prisma.user.findUnique({
-        where: { id: userId }
-      });
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
+// Physical stock-takes
+registerStockCountRoutes({ app, prisma, authenticateToken });
 
-      // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-
-      // Update password
-      const updatedUser = await prisma.user.update({
-        where: { id: userId },
-        data: { password: hashedPassword },
-        select: {
-          id: true,
-          email: true,
-          role: true,
-          branchId: true
-        }
-      });
+// SAFE TEST ONLY / Multi-Branch Enhancement: Activate test routes at end
+registerTestRoutes({ app, prisma, authenticateToken }); // SAFE TEST ONLY
 
-      console.info('[RBAC] ADMIN reset password for user:', {
-        userId: updatedUser.id,
-        email: updatedUser.email
-      });
+// Unmatched routes and every thrown error end up here as { code, message, details, requestId }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-      res.json({
-        message: 'Password reset successfully',
-        user: updatedUser
-      });
-    } catch (error) {
-      console.error('Password reset error:', error);
-      res.status(500).json({
-        message: 'Error resetting password',
-        error: error.message
-      });
-    }
-  }
-);
+// Listen only when run directly (npm start / dev); scripts such as testPasswordLeak.js require the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+  });
+}
 
-// SAFE TEST ONLY / Multi-Branch Enhancement: Activate test routes at end
-registerTestRoutes({ app, prisma, authenticateToken }); // SAFE TEST ONLY
\ No newline at end of file
+module.exports = app;
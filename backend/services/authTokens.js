@@ -0,0 +1,167 @@
+// @ts-check
+/**
+ * Session tokens for the JWT auth.
+ * - Access tokens are short-lived JWTs carrying userId and sid (the session id).
+ * - Refresh tokens are opaque random strings; only their SHA-256 hash is stored (RefreshToken).
+ *   Every refresh rotates the token; all tokens of one login share a familyId, which is the sid.
+ * - Presenting an already-rotated refresh token is treated as theft and revokes the whole session.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../errors');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+/**
+ * Error raised for unusable refresh tokens; always maps to 401.
+ */
+class SessionError extends AppError {
+  /** @param {string} message */
+  constructor(message) {
+    super(message, { statusCode: 401, code: 'INVALID_SESSION' });
+    this.name = 'SessionError';
+  }
+}
+
+/** @param {string} token */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @typedef {Object} SessionMeta
+ * @property {string} [ip]
+ * @property {string} [userAgent]
+ */
+
+/**
+ * Signs an access token for a session.
+ * @param {number} userId
+ * @param {string} sessionId
+ */
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: sessionId }, /** @type {string} */ (process.env.JWT_SECRET), { expiresIn: /** @type {any} */ (ACCESS_TOKEN_TTL) });
+
+/**
+ * Stores a new refresh token in a session family and returns the raw token.
+ * @param {any} db
+ * @param {number} userId
+ * @param {string} familyId
+ * @param {SessionMeta} meta
+ */
+const createRefreshToken = async (db, userId, familyId, meta) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await db.refreshToken.create({
+    data: {
+      userId,
+      familyId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      createdByIp: meta.ip || null,
+      userAgent: meta.userAgent || null
+    }
+  });
+  return { token, record };
+};
+
+/**
+ * Starts a new session (login/signup).
+ * @param {any} db
+ * @param {number} userId
+ * @param {SessionMeta} [meta]
+ */
+const issueSession = async (db, userId, meta = {}) => {
+  const familyId = crypto.randomUUID();
+  const { token: refreshToken } = await createRefreshToken(db, userId, familyId, meta);
+  return { token: signAccessToken(userId, familyId), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair, revoking the old one.
+ * @param {any} prisma PrismaClient (runs its own transaction)
+ * @param {string} rawToken
+ * @param {SessionMeta} [meta]
+ */
+const rotateRefreshToken = async (prisma, rawToken, meta = {}) => {
+  if (!rawToken || typeof rawToken !== 'string') throw new SessionError('refreshToken is required');
+
+  const existing = await prisma.refreshToken.findUnique({ where: { tokenHash: hashToken(rawToken) } });
+  if (!existing) throw new SessionError('Invalid refresh token');
+
+  if (existing.revokedAt) {
+    // Reuse of a rotated token: someone else holds this session, end it everywhere
+    if (existing.replacedById) await revokeSession(prisma, existing.familyId);
+    throw new SessionError('Refresh token revoked');
+  }
+  if (existing.expiresAt <= new Date()) throw new SessionError('Refresh token expired');
+
+  return prisma.$transaction(async (/** @type {any} */ tx) => {
+    const { token: refreshToken, record } = await createRefreshToken(tx, existing.userId, existing.familyId, meta);
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date(), replacedById: record.id }
+    });
+    // Lost a race with a concurrent refresh of the same token
+    if (count === 0) throw new SessionError('Refresh token revoked');
+    return {
+      userId: existing.userId,
+      token: signAccessToken(existing.userId, existing.familyId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  });
+};
+
+/**
+ * Revokes every live token of one session (logout).
+ * @param {any} db
+ * @param {string} familyId
+ */
+const revokeSession = (db, familyId) =>
+  db.refreshToken.updateMany({ where: { familyId, revokedAt: null }, data: { revokedAt: new Date() } });
+
+/**
+ * Session a refresh token belongs to, for logging out without a live access token. Any token ever
+ * issued names its session; `live` tells whether it could still be refreshed.
+ * @param {any} db
+ * @param {string} rawToken
+ */
+const findRefreshSession = async (db, rawToken) => {
+  const existing = await db.refreshToken.findUnique({ where: { tokenHash: hashToken(rawToken) } });
+  if (!existing) throw new SessionError('Invalid refresh token');
+  return {
+    userId: existing.userId,
+    familyId: existing.familyId,
+    live: !existing.revokedAt && existing.expiresAt > new Date()
+  };
+};
+
+/**
+ * Revokes every session of a user (password reset, logout everywhere).
+ * @param {any} db
+ * @param {number} userId
+ */
+const revokeAllUserSessions = (db, userId) =>
+  db.refreshToken.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: new Date() } });
+
+/**
+ * Whether a session still has a live refresh token; access tokens of ended sessions are rejected.
+ * @param {any} db
+ * @param {string} familyId
+ */
+const isSessionActive = async (db, familyId) => {
+  const live = await db.refreshToken.findFirst({
+    where: { familyId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true }
+  });
+  return !!live;
+};
+
+module.exports = {
+  SessionError,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  findRefreshSession,
+  revokeAllUserSessions,
+  isSessionActive,
+};
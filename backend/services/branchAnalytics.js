@@ -0,0 +1,98 @@
+// @ts-check
+/**
+ * Consolidated (cross-branch) analytics for head office.
+ * Every branch is measured over the same calendar dates in its own timezone. Revenue and order
+ * counts exclude cancelled orders; covers are guests of non-cancelled reservations starting in the
+ * range; ratings are approved feedback left in the range. Low stock is the current count.
+ */
+const { roundCurrency } = require('./orderPricing');
+const { getBranchTimeZone, startOfLocalDay, addDays } = require('./branchTime');
+
+const DEFAULT_MIN_QUANTITY = 10;
+
+/**
+ * @typedef {Object} BranchAnalyticsRow
+ * @property {number} branchId
+ * @property {string} name
+ * @property {string} timezone
+ * @property {number} revenue
+ * @property {number} orderCount
+ * @property {number} averageTicket
+ * @property {number} reservationCovers
+ * @property {number | null} averageRating
+ * @property {number} ratingCount
+ * @property {number} lowStockCount
+ */
+
+/** @param {number} value */
+const roundRating = (value) => Math.round(value * 100) / 100;
+
+/**
+ * One branch's figures for the local dates from..to (inclusive).
+ * @param {any} db PrismaClient or transaction client
+ * @param {{ id: number, name: string, timezone?: string | null }} branch
+ * @param {{ from: string, to: string }} range
+ * @returns {Promise<BranchAnalyticsRow>}
+ */
+const getBranchAnalyticsRow = async (db, branch, { from, to }) => {
+  const timezone = getBranchTimeZone(branch);
+  const window = { gte: startOfLocalDay(from, timezone), lt: startOfLocalDay(addDays(to, 1), timezone) };
+
+  const [orders, reservations, feedback, inventory] = await Promise.all([
+    db.order.aggregate({
+      where: { branchId: branch.id, status: { not: 'CANCELLED' }, createdAt: window },
+      _sum: { total: true },
+      _count: true
+    }),
+    db.reservation.aggregate({
+      where: { branchId: branch.id, status: { not: 'CANCELLED' }, date: window },
+      _sum: { guests: true }
+    }),
+    db.feedback.aggregate({
+      where: { branchId: branch.id, approved: true, createdAt: window },
+      _avg: { rating: true },
+      _count: true
+    }),
+    db.inventoryItem.findMany({ where: { branchId: branch.id }, select: { quantity: true, minQuantity: true } })
+  ]);
+
+  const revenue = roundCurrency(orders._sum.total || 0);
+  return {
+    branchId: branch.id,
+    name: branch.name,
+    timezone,
+    revenue,
+    orderCount: orders._count,
+    averageTicket: orders._count ? roundCurrency(revenue / orders._count) : 0,
+    reservationCovers: reservations._sum.guests || 0,
+    averageRating: feedback._count ? roundRating(feedback._avg.rating) : null,
+    ratingCount: feedback._count,
+    lowStockCount: inventory.filter(/** @param {any} i */ i => i.quantity < (i.minQuantity ?? DEFAULT_MIN_QUANTITY)).length
+  };
+};
+
+/**
+ * Group totals; averages are weighted by orders and by rating count, not by branch.
+ * @param {BranchAnalyticsRow[]} rows
+ */
+const consolidateBranchRows = (rows) => {
+  const revenue = roundCurrency(rows.reduce((sum, r) => sum + r.revenue, 0));
+  const orderCount = rows.reduce((sum, r) => sum + r.orderCount, 0);
+  const ratingCount = rows.reduce((sum, r) => sum + r.ratingCount, 0);
+  const ratingSum = rows.reduce((sum, r) => sum + (r.averageRating ?? 0) * r.ratingCount, 0);
+  return {
+    branchCount: rows.length,
+    revenue,
+    orderCount,
+    averageTicket: orderCount ? roundCurrency(revenue / orderCount) : 0,
+    reservationCovers: rows.reduce((sum, r) => sum + r.reservationCovers, 0),
+    averageRating: ratingCount ? roundRating(ratingSum / ratingCount) : null,
+    ratingCount,
+    lowStockCount: rows.reduce((sum, r) => sum + r.lowStockCount, 0)
+  };
+};
+
+module.exports = {
+  getBranchAnalyticsRow,
+  consolidateBranchRows,
+};
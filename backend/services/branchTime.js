@@ -0,0 +1,187 @@
+// @ts-check
+/**
+ * Branch-local calendar helpers built on Intl (IANA zones, DST-aware, no dependencies).
+ * Wall-clock values ("YYYY-MM-DD", "HH:mm") are always interpreted in Branch.timezone;
+ * instants are plain Dates (UTC). Branches without a valid timezone fall back to UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/** @param {string} timeZone */
+const getFormatter = (timeZone) => {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+};
+
+/** @param {any} timeZone */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Effective IANA zone for a branch.
+ * @param {{ timezone?: string | null } | null | undefined} branch
+ */
+const getBranchTimeZone = (branch) => (isValidTimeZone(branch?.timezone) ? /** @type {string} */ (branch?.timezone) : 'UTC');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock parts of an instant in a zone. weekday: 0 = Sunday.
+ * @param {Date} instant
+ * @param {string} timeZone
+ */
+const getZonedParts = (instant, timeZone) => {
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const p of getFormatter(timeZone).formatToParts(instant)) parts[p.type] = p.value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of the zone from UTC at an instant, in ms (Paris in summer: +2h).
+ * @param {number} epochMs
+ * @param {string} timeZone
+ */
+const getOffsetMs = (epochMs, timeZone) => {
+  const p = getZonedParts(new Date(epochMs), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(epochMs / 1000) * 1000;
+};
+
+/**
+ * Converts a branch wall-clock date/time to the UTC instant.
+ * Returns null for local times skipped by a DST spring-forward; for repeated times
+ * (fall-back) the earlier occurrence is used.
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:mm
+ * @param {string} timeZone
+ * @returns {Date | null}
+ */
+const zonedDateTimeToUtc = (date, time, timeZone) => {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  // Offsets either side of the wall time cover both sides of any DST change that day
+  const candidates = [...new Set([getOffsetMs(wall - 12 * HOUR_MS, timeZone), getOffsetMs(wall + 12 * HOUR_MS, timeZone)])]
+    .map(offset => wall - offset)
+    .filter(utc => {
+      const p = getZonedParts(new Date(utc), timeZone);
+      return p.year === y && p.month === m && p.day === d && p.hour === hh && p.minute === mm;
+    });
+  return candidates.length ? new Date(Math.min(...candidates)) : null;
+};
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in a zone.
+ * @param {Date} instant
+ * @param {string} timeZone
+ */
+const toLocalDateString = (instant, timeZone) => {
+  const p = getZonedParts(instant, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Local wall-clock time ("HH:mm") of an instant in a zone.
+ * @param {Date} instant
+ * @param {string} timeZone
+ */
+const toLocalTimeString = (instant, timeZone) => {
+  const p = getZonedParts(instant, timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+};
+
+/**
+ * Shifts a YYYY-MM-DD date by whole calendar days.
+ * @param {string} date
+ * @param {number} days
+ */
+const addDays = (date, days) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Monday of the week containing a YYYY-MM-DD date.
+ * @param {string} date
+ */
+const getWeekStart = (date) => {
+  const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+};
+
+/**
+ * First instant of a local day. Zones that skip midnight for DST start at the first valid hour.
+ * @param {string} date
+ * @param {string} timeZone
+ */
+const startOfLocalDay = (date, timeZone) => {
+  for (let hour = 0; hour < 24; hour++) {
+    const instant = zonedDateTimeToUtc(date, `${String(hour).padStart(2, '0')}:00`, timeZone);
+    if (instant) return instant;
+  }
+  return new Date(`${date}T00:00:00.000Z`);
+};
+
+/**
+ * UTC bounds [start, end) of a local calendar day; 23 or 25 hours long on DST change days.
+ * @param {string} date
+ * @param {string} timeZone
+ */
+const getLocalDayRange = (date, timeZone) => ({
+  start: startOfLocalDay(date, timeZone),
+  end: startOfLocalDay(addDays(date, 1), timeZone)
+});
+
+/**
+ * Today's local date in a zone.
+ * @param {string} timeZone
+ * @param {Date} [now]
+ */
+const todayInZone = (timeZone, now = new Date()) => toLocalDateString(now, timeZone);
+
+module.exports = {
+  isValidTimeZone,
+  getBranchTimeZone,
+  getZonedParts,
+  zonedDateTimeToUtc,
+  toLocalDateString,
+  toLocalTimeString,
+  addDays,
+  getWeekStart,
+  startOfLocalDay,
+  getLocalDayRange,
+  todayInZone,
+};
@@ -0,0 +1,186 @@
+// @ts-check
+/**
+ * Branch data exports as CSV or JSON Lines, streamed in id-ordered batches so a large branch never
+ * sits in memory at once. Each resource describes its Prisma model, the date field the from/to range
+ * applies to (none for the inventory snapshot), the CSV columns and the JSONL record. CSV writes one
+ * row per order line (an order without lines gets one row); JSONL writes one object per order.
+ * Instants are ISO 8601 UTC, with branch-local date/time columns where a day matters.
+ */
+const { roundCurrency } = require('./orderPricing');
+const { toLocalDateString, toLocalTimeString } = require('./branchTime');
+
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const EXPORT_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', jsonl: 'application/x-ndjson; charset=utf-8' };
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @typedef {Object} ExportResource
+ * @property {string} model Prisma delegate name
+ * @property {string | null} dateField Field the from/to range filters on; null for snapshots
+ * @property {Record<string, any>} select
+ * @property {string[]} columns
+ * @property {(record: any, timeZone: string) => any[][]} toRows CSV rows of one record
+ * @property {(record: any, timeZone: string) => Record<string, any>} toJson
+ */
+
+/**
+ * @param {Date} instant
+ * @param {string} timeZone
+ */
+const localStamp = (instant, timeZone) => ({ localDate: toLocalDateString(instant, timeZone), localTime: toLocalTimeString(instant, timeZone) });
+
+/** @type {Record<string, ExportResource>} */
+const EXPORT_RESOURCES = {
+  orders: {
+    model: 'order',
+    dateField: 'createdAt',
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      subtotal: true,
+      taxRate: true,
+      tax: true,
+      total: true,
+      createdAt: true,
+      items: { select: { menuItemId: true, quantity: true, price: true, menuItem: { select: { name: true } } }, orderBy: { id: 'asc' } }
+    },
+    columns: ['orderId', 'createdAt', 'localDate', 'localTime', 'status', 'userId', 'subtotal', 'tax', 'total', 'menuItemId', 'itemName', 'quantity', 'unitPrice', 'lineTotal'],
+    toRows: (o, timeZone) => {
+      const { localDate, localTime } = localStamp(o.createdAt, timeZone);
+      const order = [o.id, o.createdAt, localDate, localTime, o.status, o.userId, o.subtotal, o.tax, o.total];
+      if (!o.items.length) return [[...order, null, null, null, null, null]];
+      return o.items.map((/** @type {any} */ i) => [...order, i.menuItemId, i.menuItem.name, i.quantity, i.price, roundCurrency(i.quantity * i.price)]);
+    },
+    toJson: (o, timeZone) => ({
+      ...o,
+      ...localStamp(o.createdAt, timeZone),
+      items: o.items.map((/** @type {any} */ i) => ({ menuItemId: i.menuItemId, name: i.menuItem.name, quantity: i.quantity, unitPrice: i.price, lineTotal: roundCurrency(i.quantity * i.price) }))
+    })
+  },
+  reservations: {
+    model: 'reservation',
+    dateField: 'date',
+    select: { id: true, userId: true, date: true, time: true, guests: true, status: true, notes: true, createdAt: true },
+    columns: ['reservationId', 'startsAt', 'localDate', 'localTime', 'guests', 'status', 'userId', 'notes', 'createdAt'],
+    toRows: (r, timeZone) => [[r.id, r.date, toLocalDateString(r.date, timeZone), r.time, r.guests, r.status, r.userId, r.notes, r.createdAt]],
+    toJson: (r, timeZone) => ({ ...r, localDate: toLocalDateString(r.date, timeZone) })
+  },
+  inventory: {
+    model: 'inventoryItem',
+    dateField: null,
+    select: { id: true, menuItemId: true, quantity: true, reserved: true, minQuantity: true, updatedAt: true, menuItem: { select: { name: true, category: true } } },
+    columns: ['inventoryItemId', 'menuItemId', 'itemName', 'category', 'quantity', 'reserved', 'available', 'minQuantity', 'lowStock', 'updatedAt'],
+    toRows: (i) => [[i.id, i.menuItemId, i.menuItem.name, i.menuItem.category, i.quantity, i.reserved, i.quantity - i.reserved, i.minQuantity, i.quantity < i.minQuantity, i.updatedAt]],
+    toJson: ({ menuItem, ...i }) => ({ ...i, itemName: menuItem.name, category: menuItem.category, available: i.quantity - i.reserved, lowStock: i.quantity < i.minQuantity })
+  },
+  feedback: {
+    model: 'feedback',
+    dateField: 'createdAt',
+    select: { id: true, userId: true, rating: true, comment: true, reply: true, approved: true, createdAt: true },
+    columns: ['feedbackId', 'createdAt', 'localDate', 'rating', 'approved', 'comment', 'reply', 'userId'],
+    toRows: (f, timeZone) => [[f.id, f.createdAt, toLocalDateString(f.createdAt, timeZone), f.rating, f.approved, f.comment, f.reply, f.userId]],
+    toJson: (f, timeZone) => ({ ...f, localDate: toLocalDateString(f.createdAt, timeZone) })
+  },
+  'financial-records': {
+    model: 'financialRecord',
+    dateField: 'date',
+    select: { id: true, type: true, category: true, amount: true, description: true, date: true, orderId: true },
+    columns: ['recordId', 'date', 'localDate', 'type', 'category', 'amount', 'description', 'orderId'],
+    toRows: (r, timeZone) => [[r.id, r.date, toLocalDateString(r.date, timeZone), r.type, r.category, r.amount, r.description, r.orderId]],
+    toJson: (r, timeZone) => ({ ...r, localDate: toLocalDateString(r.date, timeZone) })
+  }
+};
+
+const EXPORT_RESOURCE_NAMES = Object.keys(EXPORT_RESOURCES);
+
+/**
+ * One CSV cell: quoted when needed, formula-looking text prefixed with an apostrophe.
+ * @param {any} value
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** @param {any[]} values */
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+/**
+ * Records of a query in ascending id order, EXPORT_BATCH_SIZE at a time.
+ * @param {any} delegate Prisma model delegate
+ * @param {{ where: Record<string, any>, select: Record<string, any> }} query
+ */
+async function* readInBatches(delegate, { where, select }) {
+  let lastId = 0;
+  for (;;) {
+    const batch = await delegate.findMany({
+      where: { ...where, id: { gt: lastId } },
+      select,
+      orderBy: { id: 'asc' },
+      take: EXPORT_BATCH_SIZE
+    });
+    yield* batch;
+    if (batch.length < EXPORT_BATCH_SIZE) return;
+    lastId = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Resolves once the response can take more data, or the client has gone.
+ * @param {import('express').Response} res
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve(undefined);
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Streams one resource of a branch as an attachment. Stops reading when the client disconnects.
+ * @param {any} db PrismaClient
+ * @param {import('express').Response} res
+ * @param {{ resource: string, format: 'csv' | 'jsonl', branchId: number, timeZone: string, range: { start: Date, end: Date } | null, filename: string }} options
+ */
+const streamExport = async (db, res, { resource, format, branchId, timeZone, range, filename }) => {
+  const spec = EXPORT_RESOURCES[resource];
+  const where = { branchId, ...(spec.dateField && range ? { [spec.dateField]: { gte: range.start, lt: range.end } } : {}) };
+
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+
+  /** @param {string} chunk */
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await waitForDrain(res);
+  };
+
+  if (format === 'csv') await write(toCsvLine(spec.columns));
+  for await (const record of readInBatches(db[spec.model], { where, select: spec.select })) {
+    if (res.destroyed) return;
+    await write(format === 'csv'
+      ? spec.toRows(record, timeZone).map(toCsvLine).join('')
+      : `${JSON.stringify(spec.toJson(record, timeZone))}\n`);
+  }
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_RESOURCES,
+  EXPORT_RESOURCE_NAMES,
+  EXPORT_BATCH_SIZE,
+  toCsvCell,
+  streamExport,
+};
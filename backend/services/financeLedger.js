@@ -0,0 +1,152 @@
+// @ts-check
+/**
+ * Branch ledger (FinancialRecord) and profit & loss.
+ * Amounts are positive; `type` says whether a record is REVENUE or EXPENSE. Completed orders are
+ * posted once each as REVENUE in the SALES category, net of tax (the tax collected is not income);
+ * received purchase orders are posted once each as EXPENSE in the PURCHASES category.
+ * P&L periods are branch-local days, Monday-based weeks or calendar months.
+ */
+const { roundCurrency } = require('./orderPricing');
+const { toLocalDateString, getWeekStart } = require('./branchTime');
+
+const FINANCIAL_RECORD_TYPES = ['REVENUE', 'EXPENSE'];
+const PNL_GROUPINGS = ['day', 'week', 'month'];
+const ORDER_REVENUE_CATEGORY = 'SALES';
+const PURCHASE_EXPENSE_CATEGORY = 'PURCHASES';
+const DEFAULT_CATEGORY = 'GENERAL';
+
+/**
+ * Uppercased, trimmed category; DEFAULT_CATEGORY when empty.
+ * @param {any} category
+ */
+const normalizeCategory = (category) => (category || '').toString().trim().toUpperCase() || DEFAULT_CATEGORY;
+
+/**
+ * Posts a completed order as REVENUE; repeated calls leave the existing record untouched.
+ * Orders priced before server-side pricing have no subtotal, so their total is used.
+ * @param {any} db PrismaClient or transaction client
+ * @param {number} orderId
+ * @param {Date} [completedAt]
+ */
+const postOrderRevenue = async (db, orderId, completedAt = new Date()) => {
+  const order = await db.order.findUnique({ where: { id: orderId }, select: { id: true, branchId: true, subtotal: true, total: true } });
+  if (!order) return null;
+  return db.financialRecord.upsert({
+    where: { orderId: order.id },
+    create: {
+      branchId: order.branchId,
+      orderId: order.id,
+      type: 'REVENUE',
+      category: ORDER_REVENUE_CATEGORY,
+      amount: roundCurrency(order.subtotal || order.total),
+      description: `Order #${order.id}`,
+      date: completedAt
+    },
+    update: {}
+  });
+};
+
+/**
+ * Posts a received purchase order as EXPENSE; repeated calls leave the existing record untouched.
+ * @param {any} db PrismaClient or transaction client
+ * @param {{ id: number, branchId: number, supplier: { name: string } }} purchaseOrder
+ * @param {number} amount cost of the received quantities
+ * @param {Date} [receivedAt]
+ */
+const postPurchaseExpense = (db, purchaseOrder, amount, receivedAt = new Date()) =>
+  db.financialRecord.upsert({
+    where: { purchaseOrderId: purchaseOrder.id },
+    create: {
+      branchId: purchaseOrder.branchId,
+      purchaseOrderId: purchaseOrder.id,
+      type: 'EXPENSE',
+      category: PURCHASE_EXPENSE_CATEGORY,
+      amount: roundCurrency(amount),
+      description: `Purchase order #${purchaseOrder.id} (${purchaseOrder.supplier.name})`,
+      date: receivedAt
+    },
+    update: {}
+  });
+
+/**
+ * P&L bucket key of an instant: YYYY-MM-DD for day, the Monday for week, YYYY-MM for month.
+ * @param {Date} instant
+ * @param {'day' | 'week' | 'month'} groupBy
+ * @param {string} timeZone
+ */
+const getPeriodKey = (instant, groupBy, timeZone) => {
+  const date = toLocalDateString(instant, timeZone);
+  if (groupBy === 'week') return getWeekStart(date);
+  if (groupBy === 'month') return date.slice(0, 7);
+  return date;
+};
+
+/**
+ * @param {Record<string, number>} byCategory
+ */
+const roundCategories = (byCategory) =>
+  Object.fromEntries(Object.entries(byCategory).map(([category, amount]) => [category, roundCurrency(amount)]));
+
+/**
+ * Profit & loss per period and per category.
+ * @param {{ type: string, category: string, amount: number, date: Date }[]} records
+ * @param {'day' | 'week' | 'month'} groupBy
+ * @param {string} timeZone
+ */
+const buildProfitAndLoss = (records, groupBy, timeZone) => {
+  /** @type {Map<string, { period: string, revenue: number, expenses: number, revenueByCategory: Record<string, number>, expensesByCategory: Record<string, number> }>} */
+  const periods = new Map();
+  /** @type {Record<string, number>} */
+  const revenueByCategory = {};
+  /** @type {Record<string, number>} */
+  const expensesByCategory = {};
+
+  for (const record of records) {
+    const key = getPeriodKey(record.date, groupBy, timeZone);
+    const period = periods.get(key) || { period: key, revenue: 0, expenses: 0, revenueByCategory: {}, expensesByCategory: {} };
+    const isExpense = record.type === 'EXPENSE';
+    if (isExpense) period.expenses += record.amount;
+    else period.revenue += record.amount;
+    for (const byCategory of isExpense ? [period.expensesByCategory, expensesByCategory] : [period.revenueByCategory, revenueByCategory]) {
+      byCategory[record.category] = (byCategory[record.category] || 0) + record.amount;
+    }
+    periods.set(key, period);
+  }
+
+  const rows = [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(p => ({
+      period: p.period,
+      revenue: roundCurrency(p.revenue),
+      expenses: roundCurrency(p.expenses),
+      profit: roundCurrency(p.revenue - p.expenses),
+      revenueByCategory: roundCategories(p.revenueByCategory),
+      expensesByCategory: roundCategories(p.expensesByCategory)
+    }));
+  const revenue = roundCurrency(rows.reduce((sum, p) => sum + p.revenue, 0));
+  const expenses = roundCurrency(rows.reduce((sum, p) => sum + p.expenses, 0));
+
+  return {
+    groupBy,
+    periods: rows,
+    totals: {
+      revenue,
+      expenses,
+      profit: roundCurrency(revenue - expenses),
+      revenueByCategory: roundCategories(revenueByCategory),
+      expensesByCategory: roundCategories(expensesByCategory)
+    }
+  };
+};
+
+module.exports = {
+  FINANCIAL_RECORD_TYPES,
+  PNL_GROUPINGS,
+  ORDER_REVENUE_CATEGORY,
+  PURCHASE_EXPENSE_CATEGORY,
+  normalizeCategory,
+  postOrderRevenue,
+  postPurchaseExpense,
+  getPeriodKey,
+  buildProfitAndLoss,
+};
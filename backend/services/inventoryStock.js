@@ -0,0 +1,169 @@
+// @ts-check
+/**
+ * Stock reservation semantics for orders.
+ * - PENDING orders hold a reservation (`reserved`); on-hand quantity is untouched.
+ * - Moving to PREPARING consumes the reservation: both quantity and reserved go down.
+ * - Cancelling releases the reservation (from PENDING) or restocks on-hand (once consumed).
+ * A menu item with a recipe (RecipeLine rows) is stocked through its Ingredients; the ingredient
+ * amounts of each order line are recorded in OrderItemIngredient when the order is placed, so later
+ * recipe edits do not change what that order consumes or gives back. Items without a recipe keep
+ * using their InventoryItem plate count.
+ * All helpers take the transaction client so stock moves with the status change or fail with it.
+ */
+const { ConflictError } = require('../errors');
+const { roundQuantity, recordMovement } = require('./stockLedger');
+
+/**
+ * Splits an InventoryItem or Ingredient into onHand / reserved / available figures.
+ * @param {{ quantity: number, reserved?: number | null }} stock
+ */
+const getStockLevels = (stock) => {
+  const onHand = stock.quantity;
+  const reserved = stock.reserved ?? 0;
+  return { onHand, reserved, available: Math.max(0, roundQuantity(onHand - reserved)) };
+};
+
+/**
+ * Whole plates the ingredients currently allow; the shortest ingredient decides.
+ * @param {{ quantity: number, ingredient: { quantity: number, reserved?: number | null } }[]} recipeLines
+ */
+const getRecipePortions = (recipeLines) =>
+  Math.min(...recipeLines.map(line => Math.floor(roundQuantity(getStockLevels(line.ingredient).available / line.quantity))));
+
+/**
+ * Sums quantities per key so repeated lines are checked against stock once.
+ * @template {string} K
+ * @param {(Record<K, number> & { quantity: number })[]} lines
+ * @param {K} key
+ * @returns {Map<number, number>}
+ */
+const sumQuantities = (lines, key) => {
+  const totals = new Map();
+  for (const line of lines) {
+    totals.set(line[key], roundQuantity((totals.get(line[key]) || 0) + line.quantity));
+  }
+  return totals;
+};
+
+/**
+ * Available stock of a row before `quantity` was reserved on it.
+ * @param {{ quantity: number, reserved: number }} stock the row as returned by the reserving update
+ * @param {number} quantity
+ */
+const availableBefore = (stock, quantity) => Math.max(0, roundQuantity(stock.quantity - stock.reserved + quantity));
+
+/**
+ * Reserves stock for a new PENDING order; throws ConflictError when available stock is short.
+ * @param {any} tx transaction client
+ * @param {number} branchId
+ * @param {{ id: number, menuItemId: number, quantity: number }[]} orderItems the created OrderItem rows
+ */
+const reserveStock = async (tx, branchId, orderItems) => {
+  const recipeLines = await tx.recipeLine.findMany({
+    where: { menuItemId: { in: [...new Set(orderItems.map(i => i.menuItemId))] } },
+    select: { menuItemId: true, ingredientId: true, quantity: true }
+  });
+  const withRecipe = new Set(recipeLines.map((/** @type {any} */ l) => l.menuItemId));
+
+  for (const [menuItemId, quantity] of sumQuantities(orderItems.filter(i => !withRecipe.has(i.menuItemId)), 'menuItemId')) {
+    const inventoryItem = await tx.inventoryItem.findFirst({ where: { menuItemId, branchId }, select: { id: true } });
+    if (!inventoryItem) {
+      throw new ConflictError(`Insufficient inventory for item ${menuItemId}`, { menuItemId, requested: quantity, available: 0 });
+    }
+    const reserved = await tx.inventoryItem.update({
+      where: { id: inventoryItem.id },
+      data: { reserved: { increment: quantity } }
+    });
+    // Checked on the updated row: the update holds the row lock, so concurrent orders see each other's reservations
+    const available = availableBefore(reserved, quantity);
+    if (available < quantity) {
+      throw new ConflictError(`Insufficient inventory for item ${menuItemId}`, { menuItemId, requested: quantity, available });
+    }
+  }
+
+  const usage = orderItems.flatMap(item => recipeLines
+    .filter((/** @type {any} */ l) => l.menuItemId === item.menuItemId)
+    .map((/** @type {any} */ l) => ({ orderItemId: item.id, ingredientId: l.ingredientId, quantity: roundQuantity(l.quantity * item.quantity) })));
+  if (!usage.length) return;
+
+  for (const [ingredientId, quantity] of sumQuantities(usage, 'ingredientId')) {
+    const ingredient = await tx.ingredient.update({
+      where: { id: ingredientId },
+      data: { reserved: { increment: quantity } }
+    });
+    const available = availableBefore(ingredient, quantity);
+    if (available < quantity) {
+      throw new ConflictError(`Insufficient ${ingredient.name} for this order`, {
+        ingredientId,
+        unit: ingredient.unit,
+        requested: quantity,
+        available
+      });
+    }
+  }
+  await tx.orderItemIngredient.createMany({ data: usage });
+};
+
+/**
+ * Applies the stock side effects of an order status change. Consuming and restocking change
+ * on-hand stock and are recorded as SALE movements; releasing a reservation is not a movement.
+ * @param {any} tx transaction client
+ * @param {{ id: number, branchId: number }} order
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @param {number | null} [userId] who changed the status
+ */
+const applyOrderStatusStock = async (tx, order, fromStatus, toStatus, userId = null) => {
+  const consume = fromStatus === 'PENDING' && toStatus === 'PREPARING';
+  const release = fromStatus === 'PENDING' && toStatus === 'CANCELLED';
+  const restock = fromStatus !== 'PENDING' && toStatus === 'CANCELLED';
+  if (!consume && !release && !restock) return;
+
+  /**
+   * @param {{ inventoryItemId?: number, ingredientId?: number }} target
+   * @param {number} quantity
+   */
+  const moveStock = (target, quantity) => {
+    if (release) {
+      const where = { id: target.ingredientId || target.inventoryItemId };
+      const data = { reserved: { decrement: quantity } };
+      return target.ingredientId ? tx.ingredient.update({ where, data }) : tx.inventoryItem.update({ where, data });
+    }
+    return recordMovement(tx, target, {
+      type: 'SALE',
+      delta: consume ? -quantity : quantity,
+      reason: consume ? `Order #${order.id}` : `Order #${order.id} cancelled`,
+      userId,
+      orderId: order.id,
+      extra: consume ? { reserved: { decrement: quantity } } : {}
+    });
+  };
+
+  const items = await tx.orderItem.findMany({
+    where: { orderId: order.id },
+    select: { menuItemId: true, quantity: true, ingredientUsage: { select: { ingredientId: true, quantity: true } } }
+  });
+
+  const plateItems = items.filter((/** @type {any} */ i) => !i.ingredientUsage.length);
+  for (const [menuItemId, quantity] of sumQuantities(plateItems, 'menuItemId')) {
+    const inventoryItem = await tx.inventoryItem.findFirst({
+      where: { menuItemId, branchId: order.branchId },
+      select: { id: true }
+    });
+    // Inventory row removed since the order was placed: nothing to move
+    if (!inventoryItem) continue;
+    await moveStock({ inventoryItemId: inventoryItem.id }, quantity);
+  }
+
+  for (const [ingredientId, quantity] of sumQuantities(items.flatMap((/** @type {any} */ i) => i.ingredientUsage), 'ingredientId')) {
+    await moveStock({ ingredientId }, quantity);
+  }
+};
+
+module.exports = {
+  roundQuantity,
+  getStockLevels,
+  getRecipePortions,
+  reserveStock,
+  applyOrderStatusStock,
+};
@@ -0,0 +1,133 @@
+// @ts-check
+/**
+ * Worked time and labour cost from the time clock.
+ * A TimeEntry runs from clockInAt to clockOutAt minus its breaks; cost is worked hours times the
+ * hourly rate copied from the staff profile at clock-in, so later pay changes do not rewrite history.
+ * Entries are attributed to the branch-local day of their clock-in. Open entries (still clocked in)
+ * are left out of cost figures and only counted.
+ */
+const { roundCurrency } = require('./orderPricing');
+const { toLocalDateString } = require('./branchTime');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} TimeBreakLike
+ * @property {Date} startedAt
+ * @property {Date | null} endedAt
+ */
+
+/**
+ * @typedef {Object} TimeEntryLike
+ * @property {number} userId
+ * @property {Date} clockInAt
+ * @property {Date | null} clockOutAt
+ * @property {number | null} hourlyRate
+ * @property {TimeBreakLike[]} breaks
+ * @property {any} [user]
+ */
+
+/** @param {number} hours */
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Break minutes of an entry; an open break counts until `until`.
+ * @param {TimeBreakLike[]} breaks
+ * @param {Date} until
+ */
+const getBreakMinutes = (breaks, until) =>
+  breaks.reduce((sum, b) => sum + Math.max(0, ((b.endedAt || until).getTime() - b.startedAt.getTime()) / MINUTE_MS), 0);
+
+/**
+ * Worked minutes of an entry, breaks excluded; an open entry counts until `now`.
+ * @param {TimeEntryLike} entry
+ * @param {Date} [now]
+ */
+const getWorkedMinutes = (entry, now = new Date()) => {
+  const end = entry.clockOutAt || now;
+  const gross = (end.getTime() - entry.clockInAt.getTime()) / MINUTE_MS;
+  return Math.max(0, gross - getBreakMinutes(entry.breaks || [], end));
+};
+
+/**
+ * Totals, per staff member and per local day, of closed entries.
+ * @param {TimeEntryLike[]} entries
+ * @param {string} timeZone
+ */
+const summarizeLabour = (entries, timeZone) => {
+  const closed = entries.filter(e => e.clockOutAt);
+  /** @type {Map<number, { user: any, hours: number, cost: number, entries: number }>} */
+  const byUser = new Map();
+  /** @type {Map<string, { date: string, hours: number, cost: number }>} */
+  const byDay = new Map();
+  let hours = 0;
+  let cost = 0;
+  let unpricedHours = 0;
+
+  for (const entry of closed) {
+    const worked = getWorkedMinutes(entry) / 60;
+    const entryCost = entry.hourlyRate != null ? worked * entry.hourlyRate : 0;
+    hours += worked;
+    cost += entryCost;
+    if (entry.hourlyRate == null) unpricedHours += worked;
+
+    const user = byUser.get(entry.userId) || { user: entry.user, hours: 0, cost: 0, entries: 0 };
+    user.hours += worked;
+    user.cost += entryCost;
+    user.entries += 1;
+    byUser.set(entry.userId, user);
+
+    const date = toLocalDateString(entry.clockInAt, timeZone);
+    const day = byDay.get(date) || { date, hours: 0, cost: 0 };
+    day.hours += worked;
+    day.cost += entryCost;
+    byDay.set(date, day);
+  }
+
+  return {
+    hours: roundHours(hours),
+    cost: roundCurrency(cost),
+    unpricedHours: roundHours(unpricedHours),
+    openEntries: entries.length - closed.length,
+    byUser: [...byUser.values()].map(u => ({ ...u, hours: roundHours(u.hours), cost: roundCurrency(u.cost) })),
+    byDay: [...byDay.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(d => ({ ...d, hours: roundHours(d.hours), cost: roundCurrency(d.cost) }))
+  };
+};
+
+/**
+ * Labour figures of a branch for entries clocked in within [start, end).
+ * @param {any} db PrismaClient or transaction client
+ * @param {{ branchId: number, start: Date, end: Date, timeZone: string }} range
+ */
+const getLabourSummary = async (db, { branchId, start, end, timeZone }) => {
+  const entries = await db.timeEntry.findMany({
+    where: { branchId, clockInAt: { gte: start, lt: end } },
+    select: {
+      userId: true,
+      clockInAt: true,
+      clockOutAt: true,
+      hourlyRate: true,
+      breaks: { select: { startedAt: true, endedAt: true } },
+      user: { select: { id: true, email: true, role: true, staffProfile: { select: { displayName: true, position: true } } } }
+    }
+  });
+  return summarizeLabour(entries, timeZone);
+};
+
+/**
+ * Labour cost as a percentage of revenue, null when there was no revenue.
+ * @param {number} labourCost
+ * @param {number} revenue
+ */
+const labourPercentOfRevenue = (labourCost, revenue) =>
+  revenue > 0 ? Math.round((labourCost / revenue) * 10000) / 100 : null;
+
+module.exports = {
+  getBreakMinutes,
+  getWorkedMinutes,
+  summarizeLabour,
+  getLabourSummary,
+  labourPercentOfRevenue,
+};
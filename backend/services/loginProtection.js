@@ -0,0 +1,182 @@
+// @ts-check
+/**
+ * Login brute-force protection.
+ * - Per account: after LOGIN_DELAY_AFTER consecutive failures each further attempt must wait an
+ *   exponentially growing delay; after LOGIN_MAX_ATTEMPTS the account is locked for
+ *   LOGIN_LOCKOUT_MINUTES. Lock and unlock are written to SecurityEvent for managers to review.
+ * - Per IP: more than LOGIN_IP_MAX_FAILURES failures within the lockout window are throttled.
+ * Every attempt is stored in LoginAttempt.
+ */
+const { AppError } = require('../errors');
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_MAX_DELAY_SECONDS = 30;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20');
+
+/**
+ * Error raised when an attempt is refused before the password is checked.
+ * statusCode is 423 for a locked account, 429 for throttling.
+ */
+class LoginBlockedError extends AppError {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {number} retryAfterSeconds
+   */
+  constructor(message, statusCode, retryAfterSeconds) {
+    super(message, {
+      statusCode,
+      code: statusCode === 423 ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+      details: { retryAfter: retryAfterSeconds }
+    });
+    this.name = 'LoginBlockedError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Seconds an account must wait after its last failure, given consecutive failures so far.
+ * @param {number} failures
+ */
+const getLoginDelaySeconds = (failures) =>
+  failures < LOGIN_DELAY_AFTER ? 0 : Math.min(2 ** (failures - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS);
+
+/**
+ * @typedef {Object} LoginContext
+ * @property {string} email
+ * @property {string | undefined} ip
+ * @property {any | null} user User row or null for unknown emails
+ */
+
+/**
+ * Throws LoginBlockedError while the account is locked or must wait after its last failure.
+ * @param {{ failedLoginCount: number, lastFailedLoginAt: Date | null, lockedUntil: Date | null }} user
+ * @param {Date} now
+ */
+const assertAccountOpen = (user, now) => {
+  if (user.lockedUntil && user.lockedUntil > now) {
+    const retryAfter = Math.ceil((user.lockedUntil.getTime() - now.getTime()) / 1000);
+    throw new LoginBlockedError('Account temporarily locked after repeated failed logins', 423, retryAfter);
+  }
+  const delay = getLoginDelaySeconds(user.failedLoginCount);
+  if (delay && user.lastFailedLoginAt) {
+    const waitMs = user.lastFailedLoginAt.getTime() + delay * 1000 - now.getTime();
+    if (waitMs > 0) {
+      throw new LoginBlockedError('Too many failed login attempts, slow down', 429, Math.ceil(waitMs / 1000));
+    }
+  }
+};
+
+/**
+ * Throws LoginBlockedError when this attempt must be refused.
+ * @param {any} db
+ * @param {LoginContext} ctx
+ * @param {Date} [now]
+ */
+const assertLoginAllowed = async (db, { ip, user }, now = new Date()) => {
+  if (ip) {
+    const windowStart = new Date(now.getTime() - LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    const ipFailures = await db.loginAttempt.count({ where: { ip, success: false, createdAt: { gte: windowStart } } });
+    if (ipFailures >= LOGIN_IP_MAX_FAILURES) {
+      throw new LoginBlockedError('Too many failed login attempts from this address, try again later', 429, LOGIN_LOCKOUT_MINUTES * 60);
+    }
+  }
+
+  if (!user) return;
+  // A parallel attempt (a double submit) may claim the count first; the second pass re-reads it
+  for (let pass = 0; pass < 2; pass++) {
+    if (pass) {
+      Object.assign(user, await db.user.findUnique({
+        where: { id: user.id },
+        select: { failedLoginCount: true, lastFailedLoginAt: true, lockedUntil: true }
+      }));
+    }
+    assertAccountOpen(user, now);
+    // The attempt counts as a failure until the password matches. Claimed against the count read,
+    // so parallel attempts cannot all pass on the same count.
+    const { count } = await db.user.updateMany({
+      where: {
+        id: user.id,
+        failedLoginCount: user.failedLoginCount,
+        OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }]
+      },
+      data: { failedLoginCount: { increment: 1 }, lastFailedLoginAt: now }
+    });
+    if (count) return;
+  }
+  throw new LoginBlockedError('Another login attempt for this account is in progress, try again', 429, 1);
+};
+
+/**
+ * Records a failed attempt, locking the account once it reaches LOGIN_MAX_ATTEMPTS.
+ * The failure was already counted when assertLoginAllowed let the attempt through.
+ * @param {any} prisma
+ * @param {LoginContext} ctx
+ */
+const recordLoginFailure = async (prisma, { email, ip, user }) => {
+  const now = new Date();
+  await prisma.loginAttempt.create({ data: { email, ip: ip || null, success: false, userId: user?.id ?? null } });
+  if (!user) return;
+  const failures = user.failedLoginCount + 1;
+  if (failures < LOGIN_MAX_ATTEMPTS) return;
+
+  // Lock and start the count again so the account gets a fresh set of attempts once the lock expires.
+  // Only the failure that still finds the count at the limit locks.
+  const lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+  const locked = await prisma.$transaction(async (prismaTx) => {
+    const { count } = await prismaTx.user.updateMany({
+      where: { id: user.id, failedLoginCount: { gte: LOGIN_MAX_ATTEMPTS } },
+      data: { failedLoginCount: 0, lockedUntil }
+    });
+    if (count === 0) return false;
+    await prismaTx.securityEvent.create({
+      data: {
+        type: 'ACCOUNT_LOCKED',
+        userId: user.id,
+        branchId: user.branchId,
+        ip: ip || null,
+        details: { failures, lockedUntil: lockedUntil.toISOString() }
+      }
+    });
+    return true;
+  });
+  if (!locked) return;
+  console.warn('[Security] Account locked after failed logins:', { userId: user.id, ip });
+};
+
+/**
+ * Records a successful attempt and clears the failure counter. Also for a correct password on an
+ * account that is refused for another reason (deactivated), so it is not counted as a failure.
+ * @param {any} prisma
+ * @param {LoginContext} ctx
+ */
+const recordLoginSuccess = async (prisma, { email, ip, user }) => {
+  await prisma.loginAttempt.create({ data: { email, ip: ip || null, success: true, userId: user.id } });
+  await prisma.user.update({ where: { id: user.id }, data: { failedLoginCount: 0, lockedUntil: null } });
+};
+
+/**
+ * Clears a lock on behalf of an admin and records who did it.
+ * @param {any} prisma
+ * @param {{ id: number, branchId: number }} user
+ * @param {number} actorId
+ * @param {string | undefined} ip
+ */
+const unlockUser = (prisma, user, actorId, ip) =>
+  prisma.$transaction([
+    prisma.user.update({ where: { id: user.id }, data: { failedLoginCount: 0, lockedUntil: null } }),
+    prisma.securityEvent.create({
+      data: { type: 'ACCOUNT_UNLOCKED', userId: user.id, branchId: user.branchId, actorId, ip: ip || null }
+    })
+  ]);
+
+module.exports = {
+  LoginBlockedError,
+  getLoginDelaySeconds,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockUser,
+};
@@ -0,0 +1,90 @@
+// @ts-check
+/**
+ * Menu helpers shared by the menu and order routes.
+ * Effective price: an active BranchPrice override for the branch wins over MenuItem.price.
+ * Availability: a menu item is orderable only while it is not soft-deleted and has unreserved stock;
+ * for an item with a recipe that means enough of every ingredient for one plate.
+ */
+const { getStockLevels, getRecipePortions } = require('./inventoryStock');
+
+// Relations isMenuItemAvailable needs; include them wherever a menu item is returned
+const MENU_STOCK_INCLUDE = {
+  inventoryItem: true,
+  recipeLines: {
+    select: {
+      ingredientId: true,
+      quantity: true,
+      ingredient: { select: { name: true, unit: true, quantity: true, reserved: true } }
+    }
+  }
+};
+
+/**
+ * Loads active BranchPrice overrides for a branch, keyed by menuItemId.
+ * Accepts either the PrismaClient or a transaction client.
+ * @param {any} db
+ * @param {number} branchId
+ * @param {number[]} [menuItemIds] restrict lookup to these items
+ * @returns {Promise<Map<number, number>>}
+ */
+const getBranchPriceOverrides = async (db, branchId, menuItemIds) => {
+  const overrides = await db.branchPrice.findMany({
+    where: {
+      branchId,
+      active: true,
+      ...(menuItemIds ? { menuItemId: { in: menuItemIds } } : {})
+    },
+    select: { menuItemId: true, overridePrice: true }
+  });
+  return new Map(overrides.map((/** @type {any} */ o) => [o.menuItemId, o.overridePrice]));
+};
+
+/**
+ * @param {{ id: number, price: number }} menuItem
+ * @param {Map<number, number>} overrides
+ */
+const getEffectivePrice = (menuItem, overrides) =>
+  overrides.has(menuItem.id) ? /** @type {number} */ (overrides.get(menuItem.id)) : menuItem.price;
+
+/**
+ * @param {{ deletedAt?: Date | null, inventoryItem?: { quantity: number, reserved?: number | null } | null, recipeLines?: any[] }} menuItem
+ */
+const isMenuItemAvailable = (menuItem) => {
+  if (menuItem.deletedAt) return false;
+  if (menuItem.recipeLines?.length) return getRecipePortions(menuItem.recipeLines) >= 1;
+  return !!menuItem.inventoryItem && getStockLevels(menuItem.inventoryItem).available > 0;
+};
+
+/**
+ * Staff-facing menu item: full row plus effectivePrice and available.
+ * @param {any} menuItem MenuItem including MENU_STOCK_INCLUDE
+ * @param {Map<number, number>} overrides
+ */
+const toMenuResponse = (menuItem, overrides) => ({
+  ...menuItem,
+  effectivePrice: getEffectivePrice(menuItem, overrides),
+  available: isMenuItemAvailable(menuItem)
+});
+
+/**
+ * Customer-facing menu item: no stock counts, no base price, no audit fields.
+ * @param {any} menuItem MenuItem including MENU_STOCK_INCLUDE
+ * @param {Map<number, number>} overrides
+ */
+const toPublicMenuItem = (menuItem, overrides) => ({
+  id: menuItem.id,
+  name: menuItem.name,
+  description: menuItem.description,
+  category: menuItem.category,
+  price: getEffectivePrice(menuItem, overrides),
+  available: isMenuItemAvailable(menuItem)
+});
+
+module.exports = {
+  MENU_STOCK_INCLUDE,
+  getBranchPriceOverrides,
+  getEffectivePrice,
+  isMenuItemAvailable,
+  toMenuResponse,
+  toPublicMenuItem,
+};
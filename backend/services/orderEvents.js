@@ -0,0 +1,107 @@
+// @ts-check
+/**
+ * In-process, branch-scoped order event bus backing the kitchen display SSE feed.
+ * Each branch keeps a bounded replay buffer so reconnecting clients can resume from
+ * Last-Event-ID. Event ids are `<bootId>-<seq>`: seq is global and strictly increasing for the
+ * process lifetime and bootId is new on every start, so an id from before a restart is never
+ * mistaken for one of this process. After a restart (or if a client falls behind the buffer)
+ * clients are told to resync.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/** Events retained per branch for Last-Event-ID replay */
+const REPLAY_BUFFER_SIZE = 500;
+
+/**
+ * @typedef {Object} OrderEvent
+ * @property {string} id `<bootId>-<seq>`
+ * @property {number} seq
+ * @property {'order-created' | 'order-status-changed'} type
+ * @property {number} branchId
+ * @property {object} data
+ */
+
+const emitter = new EventEmitter();
+// One listener per connected kitchen screen; the default cap of 10 is far too low
+emitter.setMaxListeners(0);
+
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let lastSeq = 0;
+/** @type {Map<number, { events: OrderEvent[], evictedUpTo: number }>} */
+const buffers = new Map();
+
+/** @param {number} branchId */
+const getBuffer = (branchId) => {
+  let buffer = buffers.get(branchId);
+  if (!buffer) {
+    buffer = { events: [], evictedUpTo: 0 };
+    buffers.set(branchId, buffer);
+  }
+  return buffer;
+};
+
+/**
+ * Publishes an order event to subscribers of its branch.
+ * @param {OrderEvent['type']} type
+ * @param {number} branchId
+ * @param {object} data
+ * @returns {OrderEvent}
+ */
+const publishOrderEvent = (type, branchId, data) => {
+  const seq = ++lastSeq;
+  /** @type {OrderEvent} */
+  const event = { id: `${BOOT_ID}-${seq}`, seq, type, branchId: Number(branchId), data };
+  const buffer = getBuffer(event.branchId);
+  buffer.events.push(event);
+  if (buffer.events.length > REPLAY_BUFFER_SIZE) {
+    const evicted = /** @type {OrderEvent} */ (buffer.events.shift());
+    buffer.evictedUpTo = evicted.seq;
+  }
+  emitter.emit(`branch:${event.branchId}`, event);
+  return event;
+};
+
+/**
+ * Buffered events for a branch newer than lastId.
+ * `complete` is false when events after lastId have already been evicted, or lastId is not an id
+ * of this process (a previous one, or malformed); the client must then refetch state instead of
+ * replaying, and gets every buffered event.
+ * @param {number} branchId
+ * @param {string} lastId
+ */
+const getEventsSince = (branchId, lastId) => {
+  const buffer = getBuffer(Number(branchId));
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(lastId);
+  const seq = match && match[1] === BOOT_ID ? parseInt(match[2]) : NaN;
+  if (!(seq <= lastSeq)) return { events: buffer.events, complete: false };
+  return {
+    events: buffer.events.filter(e => e.seq > seq),
+    complete: seq >= buffer.evictedUpTo
+  };
+};
+
+/**
+ * Subscribes to live events for a branch; returns the unsubscribe function.
+ * @param {number} branchId
+ * @param {(event: OrderEvent) => void} listener
+ */
+const subscribeToBranch = (branchId, listener) => {
+  const channel = `branch:${Number(branchId)}`;
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+/**
+ * Serializes an event in SSE wire format.
+ * @param {OrderEvent} event
+ */
+const formatSseEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+module.exports = {
+  publishOrderEvent,
+  getEventsSince,
+  subscribeToBranch,
+  formatSseEvent,
+};
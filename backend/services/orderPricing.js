@@ -0,0 +1,127 @@
+// @ts-check
+/**
+ * Server-side order pricing.
+ * Line prices come from MenuItem.price or an active BranchPrice override; client-sent
+ * prices and totals are only ever compared against the computed values, never trusted.
+ */
+const { AppError } = require('../errors');
+const { getBranchPriceOverrides, getEffectivePrice } = require('./menu');
+
+/** Tolerance for client/server total comparison (half a cent) */
+const PRICE_TOLERANCE = 0.005;
+
+/** Rounds a currency amount to 2 decimals, avoiding binary float drift */
+const roundCurrency = (/** @type {number} */ amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Error raised when an order cannot be priced or the client's figures disagree with ours.
+ */
+class OrderPricingError extends AppError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(message, details) {
+    super(message, { statusCode: 400, code: 'ORDER_PRICING_ERROR', details });
+    this.name = 'OrderPricingError';
+  }
+}
+
+/**
+ * Resolves the tax rate for a branch (fraction, e.g. 0.2 for 20%).
+ * Falls back to DEFAULT_TAX_RATE from the environment, then 0.
+ * @param {{ taxRate?: number | null } | null} branch
+ */
+const resolveTaxRate = (branch) => {
+  if (branch?.taxRate != null) return Number(branch.taxRate);
+  const fallback = parseFloat(process.env.DEFAULT_TAX_RATE || '0');
+  return Number.isNaN(fallback) ? 0 : fallback;
+};
+
+/**
+ * Pure totals computation from priced lines.
+ * @param {{ unitPrice: number, quantity: number }[]} lines
+ * @param {number} taxRate
+ */
+const computeOrderTotals = (lines, taxRate) => {
+  const subtotal = roundCurrency(lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0));
+  const tax = roundCurrency(subtotal * taxRate);
+  return { subtotal, taxRate, tax, total: roundCurrency(subtotal + tax) };
+};
+
+/**
+ * Prices the requested order lines for a branch.
+ * Rejects unknown, deleted or other-branch menu items, non-positive quantities, and any
+ * client-sent unit price or total that does not match the server computation.
+ * @param {any} db PrismaClient or transaction client
+ * @param {{ id: number, taxRate?: number | null }} branch
+ * @param {{ menuItemId: any, quantity: any, price?: any }[]} items
+ * @param {any} [clientTotal] optional total sent by the client, checked but not used
+ */
+const priceOrder = async (db, branch, items, clientTotal) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new OrderPricingError('Order must contain at least one item');
+  }
+
+  const requested = items.map((item, index) => {
+    const menuItemId = parseInt(item.menuItemId);
+    const quantity = Number(item.quantity);
+    if (Number.isNaN(menuItemId)) {
+      throw new OrderPricingError(`items[${index}].menuItemId is invalid`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new OrderPricingError(`items[${index}].quantity must be a positive integer`);
+    }
+    return { menuItemId, quantity, clientPrice: item.price };
+  });
+
+  const menuItemIds = [...new Set(requested.map(r => r.menuItemId))];
+  const [menuItems, overrides] = await Promise.all([
+    db.menuItem.findMany({
+      where: { id: { in: menuItemIds }, branchId: branch.id, deletedAt: null },
+      select: { id: true, name: true, price: true }
+    }),
+    getBranchPriceOverrides(db, branch.id, menuItemIds)
+  ]);
+  const byId = new Map(menuItems.map((/** @type {any} */ m) => [m.id, m]));
+
+  const lines = requested.map(r => {
+    const menuItem = byId.get(r.menuItemId);
+    if (!menuItem) {
+      throw new OrderPricingError(`Menu item ${r.menuItemId} is not available at this branch`);
+    }
+    const unitPrice = roundCurrency(getEffectivePrice(menuItem, overrides));
+    if (r.clientPrice != null && Math.abs(Number(r.clientPrice) - unitPrice) > PRICE_TOLERANCE) {
+      throw new OrderPricingError(`Price mismatch for ${menuItem.name}: expected ${unitPrice.toFixed(2)}, received ${r.clientPrice}`, {
+        menuItemId: r.menuItemId,
+        expected: unitPrice,
+        received: r.clientPrice
+      });
+    }
+    return {
+      menuItemId: r.menuItemId,
+      quantity: r.quantity,
+      unitPrice,
+      lineTotal: roundCurrency(unitPrice * r.quantity),
+      priceSource: overrides.has(r.menuItemId) ? 'BRANCH_OVERRIDE' : 'MENU'
+    };
+  });
+
+  const totals = computeOrderTotals(lines, resolveTaxRate(branch));
+  if (clientTotal != null && Math.abs(Number(clientTotal) - totals.total) > PRICE_TOLERANCE) {
+    throw new OrderPricingError(`Order total mismatch: expected ${totals.total.toFixed(2)}, received ${clientTotal}`, {
+      expected: totals,
+      received: clientTotal
+    });
+  }
+
+  return { lines, ...totals };
+};
+
+module.exports = {
+  OrderPricingError,
+  roundCurrency,
+  resolveTaxRate,
+  computeOrderTotals,
+  priceOrder,
+};
@@ -0,0 +1,100 @@
+// @ts-check
+/**
+ * Order lifecycle state machine.
+ * PENDING → PREPARING → READY → COMPLETED, with CANCELLED reachable from any open state.
+ * COMPLETED and CANCELLED are terminal.
+ */
+const { AppError } = require('../errors');
+
+/** @typedef {'PENDING' | 'PREPARING' | 'READY' | 'COMPLETED' | 'CANCELLED'} OrderStatus */
+
+/** @type {OrderStatus[]} */
+const ORDER_STATUSES = ['PENDING', 'PREPARING', 'READY', 'COMPLETED', 'CANCELLED'];
+
+/** @type {Record<OrderStatus, OrderStatus[]>} */
+const ORDER_TRANSITIONS = {
+  PENDING: ['PREPARING', 'CANCELLED'],
+  PREPARING: ['READY', 'CANCELLED'],
+  READY: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+/**
+ * Target statuses each role may move an order into.
+ * CHEF drives the kitchen, STAFF hands over, only MANAGER/ADMIN may cancel.
+ * @type {Record<string, OrderStatus[]>}
+ */
+const ROLE_TARGET_STATUSES = {
+  CHEF: ['PREPARING', 'READY'],
+  STAFF: ['COMPLETED'],
+  MANAGER: ['PREPARING', 'READY', 'COMPLETED', 'CANCELLED'],
+  ADMIN: ['PREPARING', 'READY', 'COMPLETED', 'CANCELLED']
+};
+
+/**
+ * Error raised for rejected transitions; statusCode is the HTTP status to return.
+ */
+class OrderTransitionError extends AppError {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   */
+  constructor(message, statusCode) {
+    super(message, { statusCode, code: statusCode === 409 ? 'INVALID_TRANSITION' : undefined });
+    this.name = 'OrderTransitionError';
+  }
+}
+
+/**
+ * Normalizes a requested status, returning null for unknown values.
+ * @param {any} status
+ * @returns {OrderStatus | null}
+ */
+const parseOrderStatus = (status) => {
+  const normalized = (status || '').toString().toUpperCase();
+  return ORDER_STATUSES.includes(/** @type {OrderStatus} */ (normalized)) ? /** @type {OrderStatus} */ (normalized) : null;
+};
+
+/**
+ * Statuses the given role may move an order to from its current status.
+ * @param {string} from
+ * @param {string} role
+ * @returns {OrderStatus[]}
+ */
+const getAllowedTransitions = (from, role) => {
+  const next = ORDER_TRANSITIONS[/** @type {OrderStatus} */ (from)] || [];
+  const permitted = ROLE_TARGET_STATUSES[(role || '').toUpperCase()] || [];
+  return next.filter(s => permitted.includes(s));
+};
+
+/**
+ * Validates a transition, throwing OrderTransitionError when it is not allowed.
+ * @param {string} from current status
+ * @param {any} to requested status
+ * @param {string} role acting user's role
+ * @returns {OrderStatus} the normalized target status
+ */
+const assertOrderTransition = (from, to, role) => {
+  const target = parseOrderStatus(to);
+  if (!target) {
+    throw new OrderTransitionError(`Invalid status ${to}. Must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+  }
+  if (!(ORDER_TRANSITIONS[/** @type {OrderStatus} */ (from)] || []).includes(target)) {
+    throw new OrderTransitionError(`Cannot move order from ${from} to ${target}`, 409);
+  }
+  if (!(ROLE_TARGET_STATUSES[(role || '').toUpperCase()] || []).includes(target)) {
+    throw new OrderTransitionError(`Role ${role} cannot move orders to ${target}`, 403);
+  }
+  return target;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  ROLE_TARGET_STATUSES,
+  OrderTransitionError,
+  parseOrderStatus,
+  getAllowedTransitions,
+  assertOrderTransition,
+};
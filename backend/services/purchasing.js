@@ -0,0 +1,263 @@
+// @ts-check
+/**
+ * Suppliers and purchase orders.
+ * A purchase order goes DRAFT -> SENT -> RECEIVED; only drafts can be edited or deleted. Each line
+ * restocks either a plate-counted InventoryItem (whole plates) or an Ingredient (in its unit).
+ * Receiving adds the delivered quantities to on-hand stock as RESTOCK movements, keeps the price
+ * paid as the ingredient's unitCost and posts the cost to the branch ledger, all in the caller's
+ * transaction.
+ * Reorder suggestions bring stock that is below minQuantity back up to REORDER_PAR_FACTOR times
+ * minQuantity, minus what open (DRAFT or SENT) purchase orders already bring in.
+ */
+const { ValidationError, ConflictError } = require('../errors');
+const { roundCurrency } = require('./orderPricing');
+const { roundQuantity, recordMovement } = require('./stockLedger');
+const { toLocalDateString } = require('./branchTime');
+const { postPurchaseExpense } = require('./financeLedger');
+
+const PURCHASE_ORDER_STATUSES = ['DRAFT', 'SENT', 'RECEIVED'];
+const OPEN_PURCHASE_STATUSES = ['DRAFT', 'SENT'];
+const REORDER_PAR_FACTOR = 2;
+
+const PURCHASE_ORDER_INCLUDE = {
+  supplier: { select: { id: true, name: true, email: true, phone: true } },
+  lines: {
+    include: {
+      inventoryItem: { select: { id: true, menuItemId: true, menuItem: { select: { name: true } } } },
+      ingredient: { select: { id: true, name: true, unit: true } }
+    },
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * @typedef {Object} PurchaseLineInput
+ * @property {number} [inventoryItemId]
+ * @property {number} [ingredientId]
+ * @property {number} quantity
+ * @property {number} [unitCost]
+ */
+
+/**
+ * Purchase order with line names, line totals, the order total and the local delivery date.
+ * @param {any} purchaseOrder loaded with PURCHASE_ORDER_INCLUDE
+ * @param {string} timeZone
+ */
+const toPurchaseOrderResponse = (purchaseOrder, timeZone) => {
+  const lines = purchaseOrder.lines.map((/** @type {any} */ line) => ({
+    ...line,
+    name: line.ingredient ? line.ingredient.name : line.inventoryItem.menuItem.name,
+    unit: line.ingredient ? line.ingredient.unit : 'plates',
+    lineTotal: roundCurrency(line.quantity * line.unitCost)
+  }));
+  return {
+    ...purchaseOrder,
+    expectedDeliveryDate: purchaseOrder.expectedDelivery ? toLocalDateString(purchaseOrder.expectedDelivery, timeZone) : null,
+    lines,
+    total: roundCurrency(lines.reduce((/** @type {number} */ sum, /** @type {any} */ l) => sum + l.lineTotal, 0))
+  };
+};
+
+/**
+ * @param {{ status: string }} purchaseOrder
+ * @param {string} status
+ * @param {string} action
+ */
+const assertPurchaseOrderStatus = (purchaseOrder, status, action) => {
+  if (purchaseOrder.status !== status) {
+    throw new ConflictError(`Only ${status} purchase orders can be ${action}`, { status: purchaseOrder.status });
+  }
+};
+
+/**
+ * Inventory items and ingredients the lines refer to, for normalizePurchaseLines.
+ * @param {any} db
+ * @param {PurchaseLineInput[]} lines
+ */
+const loadLineTargets = async (db, lines) => {
+  const inventoryItemIds = lines.map(l => l.inventoryItemId).filter(id => id != null);
+  const ingredientIds = lines.map(l => l.ingredientId).filter(id => id != null);
+  const [inventoryItems, ingredients] = await Promise.all([
+    inventoryItemIds.length ? db.inventoryItem.findMany({ where: { id: { in: inventoryItemIds } }, select: { id: true, branchId: true } }) : [],
+    ingredientIds.length ? db.ingredient.findMany({ where: { id: { in: ingredientIds } }, select: { id: true, branchId: true } }) : []
+  ]);
+  return { inventoryItems, ingredients };
+};
+
+/**
+ * Checks purchase lines: one stock target each, from the branch, listed once, whole plates for
+ * inventory items. Returns rows ready for PurchaseOrderLine.
+ * @param {PurchaseLineInput[]} lines
+ * @param {{ inventoryItems: { id: number, branchId: number }[], ingredients: { id: number, branchId: number }[] }} targets
+ * @param {number} branchId
+ */
+const normalizePurchaseLines = (lines, { inventoryItems, ingredients }, branchId) => {
+  /** @type {{ location: string, field: string, message: string }[]} */
+  const errors = [];
+  const seen = new Set();
+  const fail = (/** @type {number} */ i, /** @type {string} */ field, /** @type {string} */ message) =>
+    errors.push({ location: 'body', field: `lines[${i}].${field}`, message });
+
+  const normalized = lines.map((line, i) => {
+    const isIngredient = line.ingredientId != null;
+    if (isIngredient === (line.inventoryItemId != null)) fail(i, 'inventoryItemId', 'give exactly one of inventoryItemId or ingredientId');
+    const key = isIngredient ? `ingredient:${line.ingredientId}` : `inventory:${line.inventoryItemId}`;
+    const target = isIngredient
+      ? ingredients.find(g => g.id === line.ingredientId)
+      : inventoryItems.find(item => item.id === line.inventoryItemId);
+    if (!target || target.branchId !== branchId) fail(i, isIngredient ? 'ingredientId' : 'inventoryItemId', 'must belong to the purchase order\'s branch');
+    else if (seen.has(key)) fail(i, isIngredient ? 'ingredientId' : 'inventoryItemId', 'is listed more than once');
+    seen.add(key);
+
+    const quantity = roundQuantity(line.quantity);
+    if (quantity <= 0) fail(i, 'quantity', 'must be greater than 0');
+    if (!isIngredient && !Number.isInteger(quantity)) fail(i, 'quantity', 'must be a whole number of plates');
+    return {
+      inventoryItemId: isIngredient ? null : /** @type {number} */ (line.inventoryItemId),
+      ingredientId: isIngredient ? /** @type {number} */ (line.ingredientId) : null,
+      quantity,
+      unitCost: roundCurrency(line.unitCost ?? 0)
+    };
+  });
+  if (errors.length) throw new ValidationError('Invalid purchase order lines', errors);
+  return normalized;
+};
+
+/**
+ * Stock below minQuantity with the quantity to order; plates are rounded up to whole plates.
+ * Unit costs default to the last price paid.
+ * @param {any} db
+ * @param {number} branchId
+ */
+const getReorderSuggestions = async (db, branchId) => {
+  const [inventoryItems, ingredients, openLines] = await Promise.all([
+    db.inventoryItem.findMany({
+      where: { branchId, menuItem: { deletedAt: null } },
+      select: { id: true, quantity: true, minQuantity: true, menuItem: { select: { name: true } } }
+    }),
+    db.ingredient.findMany({ where: { branchId }, select: { id: true, name: true, unit: true, quantity: true, minQuantity: true, unitCost: true } }),
+    db.purchaseOrderLine.findMany({
+      where: { purchaseOrder: { branchId, status: { in: OPEN_PURCHASE_STATUSES } } },
+      select: { inventoryItemId: true, ingredientId: true, quantity: true }
+    })
+  ]);
+
+  /** @param {(line: any) => boolean} match */
+  const onOrder = (match) => roundQuantity(openLines.filter(match).reduce((/** @type {number} */ sum, /** @type {any} */ l) => sum + l.quantity, 0));
+
+  const lowItems = inventoryItems.filter((/** @type {any} */ i) => i.quantity < i.minQuantity);
+  const lastCosts = lowItems.length
+    ? await db.purchaseOrderLine.findMany({
+      where: { inventoryItemId: { in: lowItems.map((/** @type {any} */ i) => i.id) }, purchaseOrder: { status: 'RECEIVED' } },
+      orderBy: { purchaseOrder: { receivedAt: 'desc' } },
+      distinct: ['inventoryItemId'],
+      select: { inventoryItemId: true, unitCost: true }
+    })
+    : [];
+
+  const plates = lowItems.map((/** @type {any} */ item) => {
+    const ordered = onOrder(l => l.inventoryItemId === item.id);
+    return {
+      inventoryItemId: item.id,
+      ingredientId: null,
+      name: item.menuItem.name,
+      unit: 'plates',
+      onHand: item.quantity,
+      minQuantity: item.minQuantity,
+      onOrder: ordered,
+      suggestedQuantity: Math.ceil(item.minQuantity * REORDER_PAR_FACTOR - item.quantity - ordered),
+      unitCost: lastCosts.find((/** @type {any} */ c) => c.inventoryItemId === item.id)?.unitCost ?? 0
+    };
+  });
+  const ingredientLines = ingredients
+    .filter((/** @type {any} */ g) => g.quantity < g.minQuantity)
+    .map((/** @type {any} */ g) => {
+      const ordered = onOrder(l => l.ingredientId === g.id);
+      return {
+        inventoryItemId: null,
+        ingredientId: g.id,
+        name: g.name,
+        unit: g.unit,
+        onHand: g.quantity,
+        minQuantity: g.minQuantity,
+        onOrder: ordered,
+        suggestedQuantity: roundQuantity(g.minQuantity * REORDER_PAR_FACTOR - g.quantity - ordered),
+        unitCost: g.unitCost ?? 0
+      };
+    });
+
+  return [...plates, ...ingredientLines]
+    .filter(s => s.suggestedQuantity > 0)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Received quantity per line id; lines not listed arrive in full.
+ * @param {{ id: number, quantity: number, inventoryItemId: number | null }[]} lines
+ * @param {{ lineId: number, receivedQuantity: number }[]} received
+ */
+const resolveReceivedQuantities = (lines, received = []) => {
+  /** @type {{ location: string, field: string, message: string }[]} */
+  const errors = [];
+  const quantities = new Map(lines.map(l => [l.id, l.quantity]));
+  received.forEach((r, i) => {
+    const line = lines.find(l => l.id === r.lineId);
+    const quantity = roundQuantity(r.receivedQuantity);
+    if (!line) errors.push({ location: 'body', field: `lines[${i}].lineId`, message: 'is not a line of this purchase order' });
+    else if (line.inventoryItemId != null && !Number.isInteger(quantity)) {
+      errors.push({ location: 'body', field: `lines[${i}].receivedQuantity`, message: 'must be a whole number of plates' });
+    } else quantities.set(line.id, quantity);
+  });
+  if (errors.length) throw new ValidationError('Invalid received quantities', errors);
+  return quantities;
+};
+
+/**
+ * Books a SENT purchase order as RECEIVED: restocks, records what arrived, posts the cost.
+ * @param {any} tx transaction client
+ * @param {any} purchaseOrder loaded with PURCHASE_ORDER_INCLUDE
+ * @param {Map<number, number>} received quantity per line id
+ * @param {number} userId
+ */
+const receivePurchaseOrder = async (tx, purchaseOrder, received, userId) => {
+  const receivedAt = new Date();
+  // Guard against a concurrent receipt having moved the order since it was read
+  const { count } = await tx.purchaseOrder.updateMany({
+    where: { id: purchaseOrder.id, status: 'SENT' },
+    data: { status: 'RECEIVED', receivedAt, receivedById: userId }
+  });
+  if (count === 0) throw new ConflictError('Purchase order changed concurrently, please reload');
+
+  let cost = 0;
+  for (const line of purchaseOrder.lines) {
+    const quantity = /** @type {number} */ (received.get(line.id));
+    cost += quantity * line.unitCost;
+    await tx.purchaseOrderLine.update({ where: { id: line.id }, data: { receivedQuantity: quantity } });
+    const extra = line.ingredientId && line.unitCost > 0 ? { unitCost: line.unitCost } : {};
+    if (quantity > 0) {
+      await recordMovement(tx, { inventoryItemId: line.inventoryItemId, ingredientId: line.ingredientId }, {
+        type: 'RESTOCK',
+        delta: quantity,
+        reason: `Purchase order #${purchaseOrder.id} from ${purchaseOrder.supplier.name}`,
+        userId,
+        purchaseOrderId: purchaseOrder.id,
+        extra
+      });
+    } else if (line.ingredientId && line.unitCost > 0) {
+      await tx.ingredient.update({ where: { id: line.ingredientId }, data: extra });
+    }
+  }
+  await postPurchaseExpense(tx, purchaseOrder, cost, receivedAt);
+};
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  PURCHASE_ORDER_INCLUDE,
+  toPurchaseOrderResponse,
+  assertPurchaseOrderStatus,
+  loadLineTargets,
+  normalizePurchaseLines,
+  getReorderSuggestions,
+  resolveReceivedQuantities,
+  receivePurchaseOrder,
+};
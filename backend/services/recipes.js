@@ -0,0 +1,73 @@
+// @ts-check
+/**
+ * Ingredients and recipes (bill of materials) of a branch.
+ * Units are a fixed list so amounts of one ingredient always add up; a recipe line is the amount of
+ * one ingredient per plate, in that ingredient's unit. How orders reserve and consume ingredients
+ * lives in inventoryStock.js.
+ */
+const { ValidationError } = require('../errors');
+const { roundQuantity, getStockLevels, getRecipePortions } = require('./inventoryStock');
+
+const INGREDIENT_UNITS = ['kg', 'l', 'pcs'];
+
+/**
+ * Ingredient with stock figures; low stock compares on-hand with minQuantity, as for plates.
+ * @param {{ quantity: number, reserved: number, minQuantity: number }} ingredient
+ */
+const toIngredientResponse = (ingredient) => ({
+  ...ingredient,
+  ...getStockLevels(ingredient),
+  lowStock: ingredient.quantity < ingredient.minQuantity
+});
+
+/**
+ * Checks a replacement recipe: positive amounts, each ingredient once, all from the dish's branch.
+ * Returns the lines with amounts rounded to stock precision.
+ * @param {{ ingredientId: number, quantity: number }[]} lines
+ * @param {{ id: number, branchId: number }[]} ingredients rows the lines refer to
+ * @param {number} branchId
+ */
+const normalizeRecipeLines = (lines, ingredients, branchId) => {
+  /** @type {{ location: string, field: string, message: string }[]} */
+  const errors = [];
+  const seen = new Set();
+  const normalized = lines.map((line, i) => {
+    const ingredient = ingredients.find(g => g.id === line.ingredientId);
+    if (!ingredient || ingredient.branchId !== branchId) {
+      errors.push({ location: 'body', field: `lines[${i}].ingredientId`, message: 'must be an ingredient of the menu item\'s branch' });
+    } else if (seen.has(line.ingredientId)) {
+      errors.push({ location: 'body', field: `lines[${i}].ingredientId`, message: 'is listed more than once' });
+    }
+    seen.add(line.ingredientId);
+    const quantity = roundQuantity(line.quantity);
+    if (quantity <= 0) errors.push({ location: 'body', field: `lines[${i}].quantity`, message: 'must be at least 0.001' });
+    return { ingredientId: line.ingredientId, quantity };
+  });
+  if (errors.length) throw new ValidationError('Invalid recipe', errors);
+  return normalized;
+};
+
+/**
+ * A menu item's recipe with what the current stock allows. Without lines the item is plate-counted.
+ * @param {{ id: number, name: string, recipeLines: { ingredientId: number, quantity: number, ingredient: { name: string, unit: string, quantity: number, reserved: number } }[] }} menuItem
+ */
+const toRecipeResponse = (menuItem) => ({
+  menuItemId: menuItem.id,
+  name: menuItem.name,
+  tracking: menuItem.recipeLines.length ? 'RECIPE' : 'PLATES',
+  lines: menuItem.recipeLines.map(line => ({
+    ingredientId: line.ingredientId,
+    name: line.ingredient.name,
+    unit: line.ingredient.unit,
+    quantity: line.quantity,
+    available: getStockLevels(line.ingredient).available
+  })),
+  portionsAvailable: menuItem.recipeLines.length ? getRecipePortions(menuItem.recipeLines) : null
+});
+
+module.exports = {
+  INGREDIENT_UNITS,
+  toIngredientResponse,
+  normalizeRecipeLines,
+  toRecipeResponse,
+};
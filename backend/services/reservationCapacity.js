@@ -0,0 +1,200 @@
+// @ts-check
+/**
+ * Reservation capacity engine.
+ * A reservation occupies its party's seats for RESERVATION_DURATION_MINUTES from its start time.
+ * Slots are offered every SLOT_INTERVAL_MINUTES between Branch.openingTime and the last seating
+ * (closingTime minus the duration). Capacity is checked by seating every overlapping party on the
+ * branch's active tables, combining `combinable` tables when no single table is large enough.
+ * Opening hours are branch wall-clock minutes from midnight (a closingTime earlier than openingTime
+ * runs past midnight); overlaps are measured between UTC instants so DST changes are exact.
+ */
+const { AppError } = require('../errors');
+const { getBranchTimeZone, zonedDateTimeToUtc, addDays } = require('./branchTime');
+
+const RESERVATION_DURATION_MINUTES = 120;
+const SLOT_INTERVAL_MINUTES = 30;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Error raised when a reservation cannot be accepted; statusCode is the HTTP status to return.
+ */
+class ReservationRejectedError extends AppError {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   */
+  constructor(message, statusCode) {
+    super(message, { statusCode, code: statusCode === 409 ? 'NO_CAPACITY' : undefined });
+    this.name = 'ReservationRejectedError';
+  }
+}
+
+/**
+ * Parses "HH:mm" into minutes from midnight; null when malformed.
+ * @param {any} value
+ * @returns {number | null}
+ */
+const parseTimeOfDay = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec((value || '').toString().trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/** @param {number} minutes */
+const formatTimeOfDay = (minutes) => {
+  const m = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Opening window in minutes; close > MINUTES_PER_DAY when the branch closes after midnight.
+ * Branches without configured hours are treated as open all day.
+ * @param {{ openingTime?: string | null, closingTime?: string | null }} branch
+ */
+const getOpeningWindow = (branch) => {
+  const open = parseTimeOfDay(branch.openingTime) ?? 0;
+  let close = parseTimeOfDay(branch.closingTime) ?? MINUTES_PER_DAY;
+  if (close <= open) close += MINUTES_PER_DAY;
+  return { open, close };
+};
+
+/**
+ * Maps a "HH:mm" start time onto the service day that began at `open`.
+ * @param {number} minutes
+ * @param {{ open: number, close: number }} window
+ */
+const toServiceMinutes = (minutes, window) =>
+  minutes < window.open && window.close > MINUTES_PER_DAY ? minutes + MINUTES_PER_DAY : minutes;
+
+/**
+ * UTC instant of a service-day minute in the branch timezone; null inside a DST gap.
+ * @param {string} date service day YYYY-MM-DD
+ * @param {number} minutes service minutes (may exceed a day)
+ * @param {string} timeZone
+ */
+const serviceMinutesToInstant = (date, minutes, timeZone) =>
+  zonedDateTimeToUtc(minutes >= MINUTES_PER_DAY ? addDays(date, 1) : date, formatTimeOfDay(minutes), timeZone);
+
+/**
+ * Branch.holidays holds ISO dates ("2026-12-25") or objects with a `date` field.
+ * @param {{ holidays?: any }} branch
+ * @param {string} date YYYY-MM-DD
+ */
+const isBranchHoliday = (branch, date) => {
+  const holidays = Array.isArray(branch.holidays) ? branch.holidays : [];
+  return holidays.some(h => {
+    const value = typeof h === 'string' ? h : h?.date;
+    return typeof value === 'string' && value.slice(0, 10) === date;
+  });
+};
+
+/**
+ * Whether every party can be seated at once on the given tables.
+ * Largest parties first; each takes the smallest single table that fits, otherwise the
+ * fewest combinable tables (largest first) whose seats add up to the party size.
+ * @param {{ seats: number, combinable: boolean }[]} tables
+ * @param {number[]} parties guest counts
+ */
+const canSeatParties = (tables, parties) => {
+  const free = [...tables].sort((a, b) => a.seats - b.seats);
+  for (const guests of [...parties].sort((a, b) => b - a)) {
+    const single = free.findIndex(t => t.seats >= guests);
+    if (single !== -1) {
+      free.splice(single, 1);
+      continue;
+    }
+    const used = [];
+    let seats = 0;
+    for (const table of free.filter(t => t.combinable).sort((a, b) => b.seats - a.seats)) {
+      if (seats >= guests) break;
+      used.push(table);
+      seats += table.seats;
+    }
+    if (seats < guests) return false;
+    for (const table of used) free.splice(free.indexOf(table), 1);
+  }
+  return true;
+};
+
+/**
+ * Guest counts of reservations overlapping a seating that starts at `start`.
+ * @param {{ date: Date, guests: number }[]} reservations reservation start instants
+ * @param {Date} start
+ */
+const overlappingParties = (reservations, start) => {
+  const durationMs = RESERVATION_DURATION_MINUTES * 60 * 1000;
+  return reservations
+    .filter(r => Math.abs(new Date(r.date).getTime() - start.getTime()) < durationMs)
+    .map(r => r.guests);
+};
+
+/**
+ * Validates a reservation request against opening hours, holidays, the current time and seated
+ * capacity, returning the UTC start instant to store on Reservation.date.
+ * Capacity is only enforced once the branch has at least one active table configured.
+ * @param {{ branch: any, tables: any[], reservations: any[], date: string, time: string, guests: number, now?: Date }} input
+ * @returns {Date}
+ */
+const assertReservationFits = ({ branch, tables, reservations, date, time, guests, now = new Date() }) => {
+  const parsed = parseTimeOfDay(time);
+  if (parsed == null) throw new ReservationRejectedError('time must be in HH:mm format', 400);
+  if (isBranchHoliday(branch, date)) {
+    throw new ReservationRejectedError(`Branch is closed on ${date} (holiday)`, 400);
+  }
+
+  const window = getOpeningWindow(branch);
+  const minutes = toServiceMinutes(parsed, window);
+  if (minutes < window.open || minutes + RESERVATION_DURATION_MINUTES > window.close) {
+    throw new ReservationRejectedError(
+      `Reservations must start between ${formatTimeOfDay(window.open)} and ${formatTimeOfDay(window.close - RESERVATION_DURATION_MINUTES)}`,
+      400
+    );
+  }
+
+  const timeZone = getBranchTimeZone(branch);
+  const start = serviceMinutesToInstant(date, minutes, timeZone);
+  if (!start) {
+    throw new ReservationRejectedError(`${time} does not exist on ${date} in ${timeZone} (daylight saving change)`, 400);
+  }
+  if (start < now) {
+    throw new ReservationRejectedError(`${time} on ${date} is already in the past`, 400);
+  }
+
+  if (tables.length && !canSeatParties(tables, [...overlappingParties(reservations, start), guests])) {
+    throw new ReservationRejectedError(`No capacity for ${guests} guests at ${time} on ${date}`, 409);
+  }
+  return start;
+};
+
+/**
+ * Open slot start times ("HH:mm", branch-local) for a party on a date.
+ * Empty on holidays; skips DST-gap times and slots already in the past.
+ * @param {{ branch: any, tables: any[], reservations: any[], date: string, guests: number, now?: Date }} input
+ * @returns {string[]}
+ */
+const getAvailableSlots = ({ branch, tables, reservations, date, guests, now = new Date() }) => {
+  if (isBranchHoliday(branch, date)) return [];
+  const timeZone = getBranchTimeZone(branch);
+  const window = getOpeningWindow(branch);
+  const slots = [];
+  for (let minutes = window.open; minutes + RESERVATION_DURATION_MINUTES <= window.close; minutes += SLOT_INTERVAL_MINUTES) {
+    const start = serviceMinutesToInstant(date, minutes, timeZone);
+    if (!start || start < now) continue;
+    if (!tables.length || canSeatParties(tables, [...overlappingParties(reservations, start), guests])) {
+      slots.push(formatTimeOfDay(minutes));
+    }
+  }
+  return slots;
+};
+
+module.exports = {
+  RESERVATION_DURATION_MINUTES,
+  SLOT_INTERVAL_MINUTES,
+  ReservationRejectedError,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  getOpeningWindow,
+  isBranchHoliday,
+  canSeatParties,
+  assertReservationFits,
+  getAvailableSlots,
+};
@@ -0,0 +1,49 @@
+// @ts-check
+/**
+ * The single place that decides which User fields may leave the API.
+ * Use SAFE_USER_SELECT for `select`/nested `include` on any relation to User, and toSafeUser()
+ * for User rows that were loaded in full (e.g. for a password check). Never `include: { user: true }`.
+ */
+
+/** Fields returned for the authenticated user themself */
+const SAFE_USER_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  branchId: true,
+  activeBranchId: true,
+  deactivatedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/** Fields returned when a user appears on someone else's record (orders, reservations, feedback) */
+const PUBLIC_USER_SELECT = {
+  id: true,
+  email: true,
+  role: true
+};
+
+/** Columns that must never be serialized: credential hash and login-protection state */
+const SENSITIVE_USER_FIELDS = ['password', 'failedLoginCount', 'lastFailedLoginAt', 'lockedUntil'];
+
+/**
+ * Strips sensitive columns from a fully loaded User row.
+ * @template {Record<string, any>} T
+ * @param {T | null | undefined} user
+ * @returns {Omit<T, 'password' | 'failedLoginCount' | 'lastFailedLoginAt' | 'lockedUntil'> | null}
+ */
+const toSafeUser = (user) => {
+  if (!user) return null;
+  /** @type {Record<string, any>} */
+  const safe = { ...user };
+  for (const field of SENSITIVE_USER_FIELDS) delete safe[field];
+  return /** @type {any} */ (safe);
+};
+
+module.exports = {
+  SAFE_USER_SELECT,
+  PUBLIC_USER_SELECT,
+  SENSITIVE_USER_FIELDS,
+  toSafeUser,
+};
@@ -0,0 +1,243 @@
+// @ts-check
+/**
+ * Time-windowed sales analytics of one branch: revenue/order series, period-over-period change,
+ * best and worst selling menu items and hour/weekday heatmaps.
+ * Windows are inclusive branch-local dates; orders count on the local day and hour they were placed,
+ * cancelled orders excluded. Order revenue is Order.total; item revenue is quantity × charged price.
+ */
+const { ValidationError } = require('../errors');
+const { roundCurrency } = require('./orderPricing');
+const { addDays, getWeekStart, getZonedParts, toLocalDateString, startOfLocalDay, todayInZone } = require('./branchTime');
+
+const ANALYTICS_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const MAX_RANGE_DAYS = 366;
+const MAX_HOURLY_RANGE_DAYS = 31;
+const DEFAULT_RANGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday first, as in the rota and weekly P&L
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * @typedef {Object} AnalyticsWindow
+ * @property {string} from
+ * @property {string} to
+ * @property {number} days
+ * @property {Date} start
+ * @property {Date} end
+ */
+
+/**
+ * @typedef {Object} OrderLike
+ * @property {number} total
+ * @property {Date} createdAt
+ */
+
+/** @param {number} value */
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Inclusive from/to dates in branch time. Default: the `days` days up to today.
+ * @param {{ from?: string, to?: string, days?: string | number, granularity?: string }} query
+ * @param {string} timeZone
+ * @returns {AnalyticsWindow}
+ */
+const resolveAnalyticsWindow = (query, timeZone) => {
+  const to = query.to || todayInZone(timeZone);
+  const from = query.from || addDays(to, -((Number(query.days) || DEFAULT_RANGE_DAYS) - 1));
+  if (to < from) throw new ValidationError('to must not be before from');
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days > MAX_RANGE_DAYS) throw new ValidationError(`Range cannot exceed ${MAX_RANGE_DAYS} days`);
+  if (query.granularity === 'hour' && days > MAX_HOURLY_RANGE_DAYS) {
+    throw new ValidationError(`Hourly granularity is limited to ${MAX_HOURLY_RANGE_DAYS} days`);
+  }
+  return { from, to, days, start: startOfLocalDay(from, timeZone), end: startOfLocalDay(addDays(to, 1), timeZone) };
+};
+
+/**
+ * The window of the same length ending the day before `window` starts.
+ * @param {AnalyticsWindow} window
+ * @param {string} timeZone
+ * @returns {AnalyticsWindow}
+ */
+const getPreviousWindow = (window, timeZone) => {
+  const to = addDays(window.from, -1);
+  const from = addDays(window.from, -window.days);
+  return { from, to, days: window.days, start: startOfLocalDay(from, timeZone), end: window.start };
+};
+
+/**
+ * Bucket of a local date: the date, the Monday of its week or YYYY-MM.
+ * @param {string} date
+ * @param {string} granularity
+ */
+const periodOfDate = (date, granularity) => {
+  if (granularity === 'week') return getWeekStart(date);
+  if (granularity === 'month') return date.slice(0, 7);
+  return date;
+};
+
+/**
+ * Every bucket key of the window, in order, so empty periods are reported as zero.
+ * Hour keys are "YYYY-MM-DD HH:00"; the repeated hour of a DST fall-back day shares one bucket.
+ * @param {AnalyticsWindow} window
+ * @param {string} granularity
+ */
+const listPeriods = (window, granularity) => {
+  /** @type {Set<string>} */
+  const keys = new Set();
+  for (let i = 0; i < window.days; i++) {
+    const date = addDays(window.from, i);
+    if (granularity === 'hour') {
+      for (let hour = 0; hour < 24; hour++) keys.add(`${date} ${pad(hour)}:00`);
+    } else {
+      keys.add(periodOfDate(date, granularity));
+    }
+  }
+  return [...keys];
+};
+
+/**
+ * @param {Date} instant
+ * @param {string} granularity
+ * @param {string} timeZone
+ */
+const getPeriod = (instant, granularity, timeZone) => {
+  if (granularity === 'hour') {
+    const p = getZonedParts(instant, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:00`;
+  }
+  return periodOfDate(toLocalDateString(instant, timeZone), granularity);
+};
+
+/**
+ * Revenue, order count and average ticket of a set of orders.
+ * @param {OrderLike[]} orders
+ */
+const summarizeOrders = (orders) => {
+  const revenue = roundCurrency(orders.reduce((sum, o) => sum + o.total, 0));
+  return { revenue, orders: orders.length, averageTicket: orders.length ? roundCurrency(revenue / orders.length) : 0 };
+};
+
+/**
+ * Revenue and orders per bucket of the window.
+ * @param {OrderLike[]} orders
+ * @param {AnalyticsWindow} window
+ * @param {string} granularity
+ * @param {string} timeZone
+ */
+const buildSalesSeries = (orders, window, granularity, timeZone) => {
+  const buckets = new Map(listPeriods(window, granularity).map(period => [period, { period, revenue: 0, orders: 0 }]));
+  for (const order of orders) {
+    const bucket = buckets.get(getPeriod(order.createdAt, granularity, timeZone));
+    if (!bucket) continue;
+    bucket.revenue += order.total;
+    bucket.orders += 1;
+  }
+  return [...buckets.values()].map(b => ({ ...b, revenue: roundCurrency(b.revenue) }));
+};
+
+/**
+ * Percentage change from previous to current, null when there is nothing to compare with.
+ * @param {number} current
+ * @param {number} previous
+ */
+const percentChange = (current, previous) =>
+  previous ? Math.round(((current - previous) / previous) * 10000) / 100 : null;
+
+/**
+ * The previous period's summary and the change of each figure in percent.
+ * @param {ReturnType<typeof summarizeOrders>} current
+ * @param {ReturnType<typeof summarizeOrders>} previous
+ */
+const comparePeriods = (current, previous) => ({
+  ...previous,
+  change: {
+    revenue: percentChange(current.revenue, previous.revenue),
+    orders: percentChange(current.orders, previous.orders),
+    averageTicket: percentChange(current.averageTicket, previous.averageTicket)
+  }
+});
+
+/**
+ * Orders and revenue by local hour of day, by weekday, and the weekday × hour grid of order counts.
+ * @param {OrderLike[]} orders
+ * @param {string} timeZone
+ */
+const buildHeatmaps = (orders, timeZone) => {
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, orders: 0, revenue: 0 }));
+  const byWeekday = WEEKDAYS.map(weekday => ({ weekday, orders: 0, revenue: 0 }));
+  const grid = WEEKDAYS.map(weekday => ({ weekday, hours: /** @type {number[]} */ (new Array(24).fill(0)) }));
+
+  for (const order of orders) {
+    const p = getZonedParts(order.createdAt, timeZone);
+    const weekday = (p.weekday + 6) % 7;
+    byHour[p.hour].orders += 1;
+    byHour[p.hour].revenue += order.total;
+    byWeekday[weekday].orders += 1;
+    byWeekday[weekday].revenue += order.total;
+    grid[weekday].hours[p.hour] += 1;
+  }
+
+  return {
+    byHour: byHour.map(h => ({ ...h, revenue: roundCurrency(h.revenue) })),
+    byWeekday: byWeekday.map(d => ({ ...d, revenue: roundCurrency(d.revenue) })),
+    grid
+  };
+};
+
+/**
+ * Top and bottom sellers by quantity and by revenue. Every current menu item takes part, so items
+ * that sold nothing are the bottom sellers; retired items only appear among the top sellers.
+ * @param {{ menuItemId: number, quantity: number, price: number, menuItem: { name: string, category: string } }[]} lines
+ * @param {{ id: number, name: string, category: string }[]} menuItems Current (not deleted) items of the branch
+ * @param {number} limit
+ */
+const rankMenuItems = (lines, menuItems, limit) => {
+  /** @type {Map<number, { menuItemId: number, name: string, category: string, quantity: number, revenue: number, retired: boolean }>} */
+  const stats = new Map(menuItems.map(m => [m.id, { menuItemId: m.id, name: m.name, category: m.category, quantity: 0, revenue: 0, retired: false }]));
+  for (const line of lines) {
+    const item = stats.get(line.menuItemId) || {
+      menuItemId: line.menuItemId,
+      name: line.menuItem.name,
+      category: line.menuItem.category,
+      quantity: 0,
+      revenue: 0,
+      retired: true
+    };
+    item.quantity += line.quantity;
+    item.revenue += line.quantity * line.price;
+    stats.set(line.menuItemId, item);
+  }
+
+  const items = [...stats.values()].map(i => ({ ...i, revenue: roundCurrency(i.revenue) }));
+  const current = items.filter(i => !i.retired);
+  /** @param {'quantity' | 'revenue'} key */
+  const descending = (key) => (/** @type {typeof items[number]} */ a, /** @type {typeof items[number]} */ b) =>
+    b[key] - a[key] || a.name.localeCompare(b.name);
+  /** @param {'quantity' | 'revenue'} key */
+  const ascending = (key) => (/** @type {typeof items[number]} */ a, /** @type {typeof items[number]} */ b) =>
+    a[key] - b[key] || a.name.localeCompare(b.name);
+
+  return {
+    topSellers: {
+      byQuantity: [...items].sort(descending('quantity')).slice(0, limit),
+      byRevenue: [...items].sort(descending('revenue')).slice(0, limit)
+    },
+    bottomSellers: {
+      byQuantity: [...current].sort(ascending('quantity')).slice(0, limit),
+      byRevenue: [...current].sort(ascending('revenue')).slice(0, limit)
+    }
+  };
+};
+
+module.exports = {
+  ANALYTICS_GRANULARITIES,
+  resolveAnalyticsWindow,
+  getPreviousWindow,
+  summarizeOrders,
+  buildSalesSeries,
+  comparePeriods,
+  buildHeatmaps,
+  rankMenuItems,
+};
@@ -0,0 +1,187 @@
+// @ts-check
+/**
+ * Shift scheduling rules.
+ * Shifts are entered as a branch-local `date` plus "HH:mm" start and end times; an end at or before
+ * the start runs past midnight. They are stored as UTC instants (startsAt/endsAt) so overlaps are
+ * exact across DST changes. A shift is rejected with 409 SHIFT_CONFLICT, listing every conflict, when
+ * it double-books the staff member (in any branch), falls outside the branch opening hours, or is
+ * placed in a branch other than the staff member's own.
+ */
+const { AppError, ValidationError } = require('../errors');
+const { getBranchTimeZone, zonedDateTimeToUtc, addDays, toLocalDateString, toLocalTimeString, startOfLocalDay } = require('./branchTime');
+const { parseTimeOfDay, formatTimeOfDay, getOpeningWindow } = require('./reservationCapacity');
+
+const MAX_SHIFT_HOURS = 16;
+const MINUTES_PER_DAY = 24 * 60;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ShiftConflict
+ * @property {'DOUBLE_BOOKED' | 'OUTSIDE_OPENING_HOURS' | 'WRONG_BRANCH'} type
+ * @property {string} message
+ * @property {number} [shiftId] the clashing shift for DOUBLE_BOOKED
+ */
+
+/** 409 carrying every conflict found in `details.conflicts` */
+class ShiftConflictError extends AppError {
+  /** @param {ShiftConflict[]} conflicts */
+  constructor(conflicts) {
+    super(conflicts.map(c => c.message).join('; '), { statusCode: 409, code: 'SHIFT_CONFLICT', details: { conflicts } });
+    this.name = 'ShiftConflictError';
+  }
+}
+
+/**
+ * UTC instant of a wall-clock minute counted from midnight of `date` (may run into the next day).
+ * @param {string} date
+ * @param {number} minutes
+ * @param {string} timeZone
+ */
+const localMinutesToInstant = (date, minutes, timeZone) =>
+  zonedDateTimeToUtc(addDays(date, Math.floor(minutes / MINUTES_PER_DAY)), formatTimeOfDay(minutes), timeZone);
+
+/**
+ * Resolves a branch-local shift to its UTC bounds.
+ * @param {{ timezone?: string | null }} branch
+ * @param {{ date: string, startTime: string, endTime: string }} input
+ * @returns {{ startsAt: Date, endsAt: Date, startMinutes: number, endMinutes: number }}
+ */
+const resolveShiftTimes = (branch, { date, startTime, endTime }) => {
+  const startMinutes = parseTimeOfDay(startTime);
+  const end = parseTimeOfDay(endTime);
+  if (startMinutes == null || end == null) throw new ValidationError('startTime and endTime must be in HH:mm format');
+  const endMinutes = end <= startMinutes ? end + MINUTES_PER_DAY : end;
+
+  const timeZone = getBranchTimeZone(branch);
+  const startsAt = localMinutesToInstant(date, startMinutes, timeZone);
+  const endsAt = localMinutesToInstant(date, endMinutes, timeZone);
+  if (!startsAt || !endsAt) {
+    throw new ValidationError(`Shift time does not exist on ${date} in ${timeZone} (daylight saving change)`);
+  }
+  if (endsAt.getTime() - startsAt.getTime() > MAX_SHIFT_HOURS * HOUR_MS) {
+    throw new ValidationError(`Shifts cannot be longer than ${MAX_SHIFT_HOURS} hours`);
+  }
+  return { startsAt, endsAt, startMinutes, endMinutes };
+};
+
+/**
+ * Whether [startMinutes, endMinutes) lies inside the opening window of the service day.
+ * Branches without both openingTime and closingTime accept any shift.
+ * @param {{ openingTime?: string | null, closingTime?: string | null }} branch
+ * @param {number} startMinutes
+ * @param {number} endMinutes
+ */
+const isWithinOpeningHours = (branch, startMinutes, endMinutes) => {
+  if (parseTimeOfDay(branch.openingTime) == null || parseTimeOfDay(branch.closingTime) == null) return true;
+  const window = getOpeningWindow(branch);
+  // An early-morning start belongs to the previous evening's service when the branch closes after midnight
+  const offset = startMinutes < window.open && window.close > MINUTES_PER_DAY ? MINUTES_PER_DAY : 0;
+  return startMinutes + offset >= window.open && endMinutes + offset <= window.close;
+};
+
+/**
+ * Every reason the shift cannot be scheduled as given.
+ * @param {{ branch: any, member: { branchId: number }, startsAt: Date, endsAt: Date, startMinutes: number, endMinutes: number, memberShifts: { id: number, branchId: number, startsAt: Date, endsAt: Date }[] }} input
+ *   memberShifts: the staff member's other shifts (excluding the one being edited)
+ * @returns {ShiftConflict[]}
+ */
+const findShiftConflicts = ({ branch, member, startsAt, endsAt, startMinutes, endMinutes, memberShifts }) => {
+  /** @type {ShiftConflict[]} */
+  const conflicts = [];
+  if (member.branchId !== branch.id) {
+    conflicts.push({ type: 'WRONG_BRANCH', message: `Staff member belongs to branch ${member.branchId}, not ${branch.id}` });
+  }
+  if (!isWithinOpeningHours(branch, startMinutes, endMinutes)) {
+    conflicts.push({
+      type: 'OUTSIDE_OPENING_HOURS',
+      message: `Shift must fall within opening hours ${branch.openingTime}-${branch.closingTime}`
+    });
+  }
+  for (const other of memberShifts) {
+    if (startsAt < new Date(other.endsAt) && endsAt > new Date(other.startsAt)) {
+      conflicts.push({
+        type: 'DOUBLE_BOOKED',
+        message: `Overlaps shift ${other.id} in branch ${other.branchId}`,
+        shiftId: other.id
+      });
+    }
+  }
+  return conflicts;
+};
+
+/**
+ * Throws ShiftConflictError when findShiftConflicts reports anything.
+ * @param {Parameters<typeof findShiftConflicts>[0]} input
+ */
+const assertNoShiftConflicts = (input) => {
+  const conflicts = findShiftConflicts(input);
+  if (conflicts.length) throw new ShiftConflictError(conflicts);
+};
+
+/**
+ * Adds branch-local date/times and the length in hours for responses.
+ * @param {{ startsAt: Date, endsAt: Date }} shift
+ * @param {string} timeZone
+ */
+const withLocalShiftTimes = (shift, timeZone) => ({
+  ...shift,
+  timezone: timeZone,
+  localDate: toLocalDateString(shift.startsAt, timeZone),
+  startTime: toLocalTimeString(shift.startsAt, timeZone),
+  endTime: toLocalTimeString(shift.endsAt, timeZone),
+  hours: Math.round(((shift.endsAt.getTime() - shift.startsAt.getTime()) / HOUR_MS) * 100) / 100
+});
+
+/**
+ * UTC bounds [start, end) of the local Monday-Sunday week starting at weekStart.
+ * @param {string} weekStart
+ * @param {string} timeZone
+ */
+const getWeekRange = (weekStart, timeZone) => ({
+  start: startOfLocalDay(weekStart, timeZone),
+  end: startOfLocalDay(addDays(weekStart, 7), timeZone)
+});
+
+/**
+ * Weekly rota: one entry per day (shifts grouped by local start date) plus hours per staff member.
+ * @param {string} weekStart
+ * @param {string} timeZone
+ * @param {any[]} shifts shifts of the week with `user` loaded, in start order
+ */
+const buildRota = (weekStart, timeZone, shifts) => {
+  const local = shifts.map(s => withLocalShiftTimes(s, timeZone));
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const date = addDays(weekStart, i);
+    return { date, shifts: local.filter(s => s.localDate === date) };
+  });
+
+  /** @type {Map<number, { user: any, shifts: number, hours: number }>} */
+  const byUser = new Map();
+  for (const s of local) {
+    const entry = byUser.get(s.userId) || { user: s.user, shifts: 0, hours: 0 };
+    entry.shifts += 1;
+    entry.hours = Math.round((entry.hours + s.hours) * 100) / 100;
+    byUser.set(s.userId, entry);
+  }
+
+  return {
+    weekStart,
+    weekEnd: addDays(weekStart, 6),
+    timezone: timeZone,
+    days,
+    staff: [...byUser.values()],
+    totals: { shifts: local.length, hours: Math.round(local.reduce((sum, s) => sum + s.hours, 0) * 100) / 100 }
+  };
+};
+
+module.exports = {
+  MAX_SHIFT_HOURS,
+  ShiftConflictError,
+  resolveShiftTimes,
+  isWithinOpeningHours,
+  findShiftConflicts,
+  assertNoShiftConflicts,
+  withLocalShiftTimes,
+  getWeekRange,
+  buildRota,
+};
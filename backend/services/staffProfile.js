@@ -0,0 +1,66 @@
+// @ts-check
+/**
+ * Staff profiles: the employment side of a staff account (position, pay rate, contact, active flag).
+ * A profile belongs to exactly one MANAGER/CHEF/STAFF user; the user's role still decides API access,
+ * the profile's position is the job title used for rotas and labour cost.
+ */
+const { ValidationError } = require('../errors');
+const { STAFF_USER_ROLES } = require('./userManagement');
+
+/** @typedef {'CHEF' | 'SERVER' | 'HOST' | 'BARTENDER' | 'RUNNER' | 'MANAGER'} StaffPosition */
+
+/** @type {StaffPosition[]} Mirrors the StaffRole enum */
+const STAFF_POSITIONS = ['CHEF', 'SERVER', 'HOST', 'BARTENDER', 'RUNNER', 'MANAGER'];
+
+/** Profile fields returned by the API (everything but internal ids) */
+const STAFF_PROFILE_SELECT = {
+  displayName: true,
+  position: true,
+  hourlyRate: true,
+  phone: true,
+  contactEmail: true,
+  active: true,
+  notes: true,
+  updatedAt: true
+};
+
+/** Fields a manager may write through PUT /api/staff/:userId/profile */
+const EDITABLE_FIELDS = ['displayName', 'position', 'hourlyRate', 'phone', 'contactEmail', 'active', 'notes'];
+
+/**
+ * Throws unless the account can carry a staff profile.
+ * @param {{ role: string }} user
+ */
+const assertStaffAccount = (user) => {
+  const role = /** @type {any} */ ((user.role || '').toString().toUpperCase());
+  if (!STAFF_USER_ROLES.includes(role)) {
+    throw new ValidationError(`Staff profiles are only for ${STAFF_USER_ROLES.join(', ')} accounts`);
+  }
+};
+
+/**
+ * Picks the provided profile fields from a request body; omitted fields are left untouched on update.
+ * A new profile needs a position.
+ * @param {Record<string, any>} body
+ * @param {boolean} creating
+ * @returns {Record<string, any>}
+ */
+const buildProfileData = (body, creating) => {
+  /** @type {Record<string, any>} */
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (data.position) data.position = data.position.toUpperCase();
+  if (creating && !data.position) {
+    throw new ValidationError('position is required when creating a staff profile');
+  }
+  return data;
+};
+
+module.exports = {
+  STAFF_POSITIONS,
+  STAFF_PROFILE_SELECT,
+  assertStaffAccount,
+  buildProfileData,
+};
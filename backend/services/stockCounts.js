@@ -0,0 +1,184 @@
+// @ts-check
+/**
+ * Physical stock-takes (cycle counts) of a branch: OPEN -> APPROVED, or CANCELLED.
+ * Opening a count lists every plate-counted InventoryItem and Ingredient of the branch. Counting a
+ * line records the counted quantity together with the live on-hand quantity at that moment
+ * (`expectedQuantity`), so sales during service keep moving stock and the variance stays right.
+ * Approval posts each non-zero variance as a COUNT_CORRECTION movement and values it at
+ * MenuItem.price for plates or Ingredient.unitCost for ingredients; the value used is kept on the
+ * line (`unitValue`).
+ */
+const { ValidationError, ConflictError } = require('../errors');
+const { roundCurrency } = require('./orderPricing');
+const { roundQuantity, recordMovement } = require('./stockLedger');
+
+const STOCK_COUNT_STATUSES = ['OPEN', 'APPROVED', 'CANCELLED'];
+
+const STOCK_COUNT_INCLUDE = {
+  lines: {
+    include: {
+      inventoryItem: { select: { quantity: true, menuItem: { select: { name: true, price: true } } } },
+      ingredient: { select: { name: true, unit: true, quantity: true, unitCost: true } }
+    },
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * Stock rows a new count covers: plates of live menu items and every ingredient.
+ * @param {any} db
+ * @param {number} branchId
+ */
+const buildCountLines = async (db, branchId) => {
+  const [inventoryItems, ingredients] = await Promise.all([
+    db.inventoryItem.findMany({ where: { branchId, menuItem: { deletedAt: null } }, select: { id: true }, orderBy: { id: 'asc' } }),
+    db.ingredient.findMany({ where: { branchId }, select: { id: true }, orderBy: { name: 'asc' } })
+  ]);
+  return [
+    ...inventoryItems.map((/** @type {any} */ i) => ({ inventoryItemId: i.id })),
+    ...ingredients.map((/** @type {any} */ g) => ({ ingredientId: g.id }))
+  ];
+};
+
+/**
+ * Value of one unit of a line's stock: the price kept at approval, else the current one.
+ * Ingredients never bought through a purchase order have no cost and count as 0.
+ * @param {any} line loaded with STOCK_COUNT_INCLUDE
+ */
+const getUnitValue = (line) => {
+  if (line.unitValue != null) return line.unitValue;
+  return line.inventoryItem ? line.inventoryItem.menuItem.price : line.ingredient.unitCost ?? 0;
+};
+
+/**
+ * Count with names and units per line. With `showVariance` (managers) each counted line adds its
+ * variance and value, and the summary the total; without it the count is blind, as staff see it.
+ * @param {any} count loaded with STOCK_COUNT_INCLUDE
+ * @param {{ showVariance: boolean }} options
+ */
+const toStockCountResponse = (count, { showVariance }) => {
+  let totalVarianceValue = 0;
+  const lines = count.lines.map((/** @type {any} */ { inventoryItem, ingredient, expectedQuantity, unitValue, ...line }) => {
+    const base = {
+      ...line,
+      name: inventoryItem ? inventoryItem.menuItem.name : ingredient.name,
+      unit: inventoryItem ? 'plates' : ingredient.unit
+    };
+    if (!showVariance) return base;
+    const value = getUnitValue({ inventoryItem, ingredient, unitValue });
+    if (line.countedQuantity == null) {
+      return { ...base, expectedQuantity: (inventoryItem || ingredient).quantity, variance: null, unitValue: value, varianceValue: null };
+    }
+    const variance = roundQuantity(line.countedQuantity - expectedQuantity);
+    const varianceValue = roundCurrency(variance * value);
+    totalVarianceValue += varianceValue;
+    return { ...base, expectedQuantity, variance, unitValue: value, varianceValue };
+  });
+  const counted = lines.filter((/** @type {any} */ l) => l.countedQuantity != null).length;
+  return {
+    ...count,
+    lines,
+    summary: {
+      lines: lines.length,
+      counted,
+      uncounted: lines.length - counted,
+      ...(showVariance ? { totalVarianceValue: roundCurrency(totalVarianceValue) } : {})
+    }
+  };
+};
+
+/**
+ * @param {{ status: string }} count
+ * @param {string} action
+ */
+const assertCountOpen = (count, action) => {
+  if (count.status !== 'OPEN') throw new ConflictError(`Only OPEN stock counts can be ${action}`, { status: count.status });
+};
+
+/**
+ * Counted quantity per line id; plates are whole numbers.
+ * @param {{ id: number, inventoryItemId: number | null }[]} lines
+ * @param {{ lineId: number, countedQuantity: number }[]} entries
+ */
+const resolveCountedQuantities = (lines, entries) => {
+  /** @type {{ location: string, field: string, message: string }[]} */
+  const errors = [];
+  const quantities = new Map();
+  entries.forEach((entry, i) => {
+    const line = lines.find(l => l.id === entry.lineId);
+    const quantity = roundQuantity(entry.countedQuantity);
+    if (!line) errors.push({ location: 'body', field: `lines[${i}].lineId`, message: 'is not a line of this stock count' });
+    else if (quantities.has(line.id)) errors.push({ location: 'body', field: `lines[${i}].lineId`, message: 'is listed more than once' });
+    else if (line.inventoryItemId != null && !Number.isInteger(quantity)) {
+      errors.push({ location: 'body', field: `lines[${i}].countedQuantity`, message: 'must be a whole number of plates' });
+    } else quantities.set(line.id, quantity);
+  });
+  if (errors.length) throw new ValidationError('Invalid counted quantities', errors);
+  return quantities;
+};
+
+/**
+ * Records counted quantities against the live on-hand stock; a recount replaces the earlier one.
+ * @param {any} tx transaction client
+ * @param {any} count loaded with STOCK_COUNT_INCLUDE
+ * @param {Map<number, number>} counted quantity per line id
+ * @param {number} userId
+ */
+const recordCounts = async (tx, count, counted, userId) => {
+  const countedAt = new Date();
+  for (const line of count.lines.filter((/** @type {any} */ l) => counted.has(l.id))) {
+    const where = { id: line.ingredientId || line.inventoryItemId };
+    const stock = line.ingredientId
+      ? await tx.ingredient.findUnique({ where, select: { quantity: true } })
+      : await tx.inventoryItem.findUnique({ where, select: { quantity: true } });
+    await tx.stockCountLine.update({
+      where: { id: line.id },
+      data: { countedQuantity: counted.get(line.id), expectedQuantity: stock.quantity, countedById: userId, countedAt }
+    });
+  }
+};
+
+/**
+ * Approves an OPEN count: posts each variance as a COUNT_CORRECTION and keeps the unit values.
+ * Uncounted lines are left as they are.
+ * @param {any} tx transaction client
+ * @param {any} count loaded with STOCK_COUNT_INCLUDE
+ * @param {number} userId
+ */
+const approveStockCount = async (tx, count, userId) => {
+  // Guard against a concurrent approval or cancellation since the count was read
+  const { count: updated } = await tx.stockCount.updateMany({
+    where: { id: count.id, status: 'OPEN' },
+    data: { status: 'APPROVED', approvedAt: new Date(), approvedById: userId }
+  });
+  if (updated === 0) throw new ConflictError('Stock count changed concurrently, please reload');
+
+  for (const line of count.lines.filter((/** @type {any} */ l) => l.countedQuantity != null)) {
+    await tx.stockCountLine.update({ where: { id: line.id }, data: { unitValue: getUnitValue(line) } });
+    const variance = roundQuantity(line.countedQuantity - line.expectedQuantity);
+    if (variance === 0) continue;
+    const movement = await recordMovement(tx, { inventoryItemId: line.inventoryItemId, ingredientId: line.ingredientId }, {
+      type: 'COUNT_CORRECTION',
+      delta: variance,
+      reason: `Stock count #${count.id}`,
+      userId,
+      stockCountId: count.id
+    });
+    // Stock sold since the line was counted can leave too little to take the shortfall from
+    if (movement.quantityAfter < 0) {
+      const name = line.inventoryItem ? line.inventoryItem.menuItem.name : line.ingredient.name;
+      throw new ConflictError(`${name} has less stock than its count shortfall; count it again`, { lineId: line.id, variance });
+    }
+  }
+};
+
+module.exports = {
+  STOCK_COUNT_STATUSES,
+  STOCK_COUNT_INCLUDE,
+  buildCountLines,
+  toStockCountResponse,
+  assertCountOpen,
+  resolveCountedQuantities,
+  recordCounts,
+  approveStockCount,
+};
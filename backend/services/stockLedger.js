@@ -0,0 +1,165 @@
+// @ts-check
+/**
+ * Stock movement ledger. Every change of on-hand quantity, of an InventoryItem (plates) or of an
+ * Ingredient, goes through recordMovement, which updates the quantity and writes the
+ * InventoryMovement row in the caller's transaction. `delta` is signed; `quantityAfter` is the
+ * on-hand quantity right after the movement. Reservations of PENDING orders do not change on-hand
+ * stock and are not movements. The quantity column is the running balance; reconcileStock checks it
+ * against the sum of the ledger.
+ */
+const MOVEMENT_TYPES = ['SALE', 'RESTOCK', 'WASTE', 'ADJUSTMENT', 'TRANSFER', 'COUNT_CORRECTION'];
+// Types a manager may record by hand; checkManualDelta enforces their sign
+const MANUAL_MOVEMENT_TYPES = ['RESTOCK', 'WASTE', 'ADJUSTMENT'];
+
+const MOVEMENT_USER_SELECT = { id: true, email: true, role: true };
+
+/**
+ * Ingredient amounts are kept to three decimals (grams, millilitres) so float sums do not drift.
+ * @param {number} value
+ */
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * @typedef {Object} StockTarget exactly one of the two ids
+ * @property {number | null} [inventoryItemId]
+ * @property {number | null} [ingredientId]
+ */
+
+/**
+ * @typedef {Object} Movement
+ * @property {string} type one of MOVEMENT_TYPES
+ * @property {number} delta signed change of on-hand stock
+ * @property {string | null} [reason]
+ * @property {number | null} [userId]
+ * @property {number | null} [orderId]
+ * @property {number | null} [purchaseOrderId]
+ * @property {number | null} [stockTransferId]
+ * @property {number | null} [stockCountId]
+ * @property {Record<string, any>} [extra] other fields of the stock row changed in the same update
+ */
+
+/**
+ * Applies a movement to on-hand stock and records it.
+ * @param {any} tx transaction client
+ * @param {StockTarget} target
+ * @param {Movement} movement
+ */
+const recordMovement = async (tx, { inventoryItemId = null, ingredientId = null }, movement) => {
+  const { type, delta, reason = null, userId = null, orderId = null, purchaseOrderId = null, stockTransferId = null, stockCountId = null, extra = {} } = movement;
+  const change = roundQuantity(delta);
+  const stock = await (ingredientId ? tx.ingredient : tx.inventoryItem).update({
+    where: { id: ingredientId || inventoryItemId },
+    data: { quantity: { increment: change }, ...extra },
+    select: { branchId: true, quantity: true }
+  });
+  return tx.inventoryMovement.create({
+    data: {
+      branchId: stock.branchId,
+      inventoryItemId,
+      ingredientId,
+      type,
+      delta: change,
+      quantityAfter: roundQuantity(stock.quantity),
+      reason,
+      userId,
+      orderId,
+      purchaseOrderId,
+      stockTransferId,
+      stockCountId
+    }
+  });
+};
+
+/**
+ * Books the starting quantity of a stock row created empty.
+ * @param {any} tx transaction client
+ * @param {StockTarget} target
+ * @param {number} quantity
+ * @param {number | null} userId
+ */
+const recordOpeningStock = async (tx, target, quantity, userId) => {
+  if (quantity > 0) await recordMovement(tx, target, { type: 'ADJUSTMENT', delta: quantity, reason: 'Opening stock', userId });
+};
+
+/**
+ * Brings on-hand stock to a counted quantity with one movement for the difference; no movement
+ * when nothing differs. Returns the movement or null.
+ * The row is locked before it is read, so a sale, transfer or movement committed meanwhile waits
+ * and cannot make the difference wrong.
+ * @param {any} tx transaction client
+ * @param {StockTarget} target
+ * @param {number} quantity the new on-hand quantity
+ * @param {{ type?: string, reason?: string | null, userId?: number | null }} [movement]
+ */
+const setStockLevel = async (tx, target, quantity, { type = 'ADJUSTMENT', reason = null, userId = null } = {}) => {
+  const [current] = target.ingredientId
+    ? await tx.$queryRaw`SELECT "quantity" FROM "Ingredient" WHERE "id" = ${target.ingredientId} FOR UPDATE`
+    : await tx.$queryRaw`SELECT "quantity" FROM "InventoryItem" WHERE "id" = ${target.inventoryItemId} FOR UPDATE`;
+  const delta = roundQuantity(quantity - current.quantity);
+  if (delta === 0) return null;
+  return recordMovement(tx, target, { type, delta, reason, userId });
+};
+
+/**
+ * Checks the sign a hand-recorded movement needs; returns an error message or null.
+ * @param {string} type
+ * @param {number} delta
+ */
+const checkManualDelta = (type, delta) => {
+  if (type === 'RESTOCK' && delta <= 0) return 'RESTOCK needs a positive delta';
+  if (type === 'WASTE' && delta >= 0) return 'WASTE needs a negative delta';
+  if (delta === 0) return 'delta must not be 0';
+  return null;
+};
+
+/**
+ * Each stock row of a branch with its ledger balance; `difference` is quantity minus the balance.
+ * @param {any} db
+ * @param {number} branchId
+ */
+const reconcileStock = async (db, branchId) => {
+  const [inventoryItems, ingredients, itemSums, ingredientSums] = await Promise.all([
+    db.inventoryItem.findMany({ where: { branchId }, select: { id: true, quantity: true, menuItem: { select: { name: true } } } }),
+    db.ingredient.findMany({ where: { branchId }, select: { id: true, name: true, unit: true, quantity: true } }),
+    db.inventoryMovement.groupBy({ by: ['inventoryItemId'], where: { branchId, inventoryItemId: { not: null } }, _sum: { delta: true } }),
+    db.inventoryMovement.groupBy({ by: ['ingredientId'], where: { branchId, ingredientId: { not: null } }, _sum: { delta: true } })
+  ]);
+
+  /**
+   * @param {number} quantity
+   * @param {any} sum
+   */
+  const compare = (quantity, sum) => {
+    const ledgerBalance = roundQuantity(sum?._sum.delta ?? 0);
+    return { quantity, ledgerBalance, difference: roundQuantity(quantity - ledgerBalance) };
+  };
+  const items = inventoryItems.map((/** @type {any} */ i) => ({
+    inventoryItemId: i.id,
+    name: i.menuItem.name,
+    ...compare(i.quantity, itemSums.find((/** @type {any} */ s) => s.inventoryItemId === i.id))
+  }));
+  const ingredientRows = ingredients.map((/** @type {any} */ g) => ({
+    ingredientId: g.id,
+    name: g.name,
+    unit: g.unit,
+    ...compare(g.quantity, ingredientSums.find((/** @type {any} */ s) => s.ingredientId === g.id))
+  }));
+
+  return {
+    inventoryItems: items,
+    ingredients: ingredientRows,
+    mismatches: [...items, ...ingredientRows].filter(r => r.difference !== 0).length
+  };
+};
+
+module.exports = {
+  roundQuantity,
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  MOVEMENT_USER_SELECT,
+  recordMovement,
+  recordOpeningStock,
+  setStockLevel,
+  checkManualDelta,
+  reconcileStock,
+};
@@ -0,0 +1,170 @@
+// @ts-check
+/**
+ * Stock transfers between branches, in whole plates of InventoryItem stock.
+ * The receiving branch requests, the source branch approves (or rejects) and ships, and the
+ * receiving branch books the arrival: REQUESTED -> APPROVED -> SHIPPED -> RECEIVED. A request can
+ * be cancelled by the receiving branch until it is approved, and rejected by the source until it
+ * ships. Shipping takes the plates out of the source's on-hand stock and receiving adds them to
+ * the destination's, each as TRANSFER movements in the caller's transaction; in between they are in
+ * transit on the transfer. A shipment that does not arrive is RETURNED by the source, which puts
+ * the plates back into its stock. Lines name the destination's inventory row; the source row is the one
+ * for the menu item of the same name at the source branch.
+ */
+const { ValidationError, ConflictError } = require('../errors');
+const { getStockLevels } = require('./inventoryStock');
+const { recordMovement } = require('./stockLedger');
+
+const STOCK_TRANSFER_STATUSES = ['REQUESTED', 'APPROVED', 'SHIPPED', 'RECEIVED', 'RETURNED', 'REJECTED', 'CANCELLED'];
+const OPEN_TRANSFER_STATUSES = ['REQUESTED', 'APPROVED', 'SHIPPED'];
+
+const STOCK_TRANSFER_INCLUDE = {
+  fromBranch: { select: { id: true, name: true } },
+  toBranch: { select: { id: true, name: true } },
+  lines: {
+    include: { toInventoryItem: { select: { menuItem: { select: { name: true } } } } },
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * Transfer with the dish name on each line.
+ * @param {any} transfer loaded with STOCK_TRANSFER_INCLUDE
+ */
+const toStockTransferResponse = (transfer) => ({
+  ...transfer,
+  lines: transfer.lines.map((/** @type {any} */ { toInventoryItem, ...line }) => ({ ...line, name: toInventoryItem.menuItem.name }))
+});
+
+/**
+ * @param {{ status: string }} transfer
+ * @param {string[]} statuses
+ * @param {string} action
+ */
+const assertTransferStatus = (transfer, statuses, action) => {
+  if (!statuses.includes(transfer.status)) {
+    throw new ConflictError(`Only ${statuses.join(' or ')} transfers can be ${action}`, { status: transfer.status });
+  }
+};
+
+/**
+ * Pairs each requested destination row with the source row of the same dish. Returns rows ready
+ * for StockTransferLine.
+ * @param {{ inventoryItemId: number, quantity: number }[]} lines
+ * @param {{ id: number, branchId: number, menuItem: { name: string } }[]} destinationItems rows the lines refer to
+ * @param {{ id: number, menuItem: { name: string } }[]} sourceItems live inventory rows of the source branch
+ * @param {number} toBranchId
+ */
+const normalizeTransferLines = (lines, destinationItems, sourceItems, toBranchId) => {
+  /** @type {{ location: string, field: string, message: string }[]} */
+  const errors = [];
+  const seen = new Set();
+  const normalized = lines.map((line, i) => {
+    const field = `lines[${i}].inventoryItemId`;
+    const target = destinationItems.find(item => item.id === line.inventoryItemId);
+    if (!target || target.branchId !== toBranchId) {
+      errors.push({ location: 'body', field, message: 'must be an inventory item of the requesting branch' });
+      return null;
+    }
+    if (seen.has(target.id)) errors.push({ location: 'body', field, message: 'is listed more than once' });
+    seen.add(target.id);
+    const name = target.menuItem.name.toLowerCase();
+    const sources = sourceItems.filter(item => item.menuItem.name.toLowerCase() === name);
+    if (!sources.length) errors.push({ location: 'body', field, message: `${target.menuItem.name} is not stocked at the source branch` });
+    if (sources.length > 1) errors.push({ location: 'body', field, message: `${target.menuItem.name} matches more than one dish at the source branch` });
+    return { fromInventoryItemId: sources[0]?.id, toInventoryItemId: target.id, quantity: line.quantity };
+  });
+  if (errors.length) throw new ValidationError('Invalid transfer lines', errors);
+  return /** @type {{ fromInventoryItemId: number, toInventoryItemId: number, quantity: number }[]} */ (normalized);
+};
+
+/**
+ * Moves a transfer on from the status it was read with; fails if it changed concurrently.
+ * @param {any} tx transaction client
+ * @param {{ id: number, status: string }} transfer
+ * @param {Record<string, any>} data
+ */
+const advanceTransfer = async (tx, transfer, data) => {
+  const { count } = await tx.stockTransfer.updateMany({ where: { id: transfer.id, status: transfer.status }, data });
+  if (count === 0) throw new ConflictError('Transfer changed concurrently, please reload');
+};
+
+/**
+ * Ships an APPROVED transfer: takes the plates out of the source branch's available stock.
+ * @param {any} tx transaction client
+ * @param {any} transfer loaded with STOCK_TRANSFER_INCLUDE
+ * @param {number} userId
+ */
+const shipStockTransfer = async (tx, transfer, userId) => {
+  await advanceTransfer(tx, transfer, { status: 'SHIPPED', shippedAt: new Date(), shippedById: userId });
+  for (const line of transfer.lines) {
+    await recordMovement(tx, { inventoryItemId: line.fromInventoryItemId }, {
+      type: 'TRANSFER',
+      delta: -line.quantity,
+      reason: `Transfer #${transfer.id} to ${transfer.toBranch.name}`,
+      userId,
+      stockTransferId: transfer.id
+    });
+    // Checked after the decrement: the update holds the row lock, so reservations made meanwhile are already counted
+    const source = await tx.inventoryItem.findUnique({ where: { id: line.fromInventoryItemId }, select: { quantity: true, reserved: true } });
+    if (source.quantity < source.reserved) {
+      throw new ConflictError(`Insufficient ${line.toInventoryItem.menuItem.name} to ship`, {
+        inventoryItemId: line.fromInventoryItemId,
+        requested: line.quantity,
+        available: getStockLevels({ quantity: source.quantity + line.quantity, reserved: source.reserved }).available
+      });
+    }
+  }
+};
+
+/**
+ * Books a SHIPPED transfer as RECEIVED: adds the plates to the destination branch's stock.
+ * @param {any} tx transaction client
+ * @param {any} transfer loaded with STOCK_TRANSFER_INCLUDE
+ * @param {number} userId
+ */
+const receiveStockTransfer = async (tx, transfer, userId) => {
+  await advanceTransfer(tx, transfer, { status: 'RECEIVED', receivedAt: new Date(), receivedById: userId });
+  for (const line of transfer.lines) {
+    await recordMovement(tx, { inventoryItemId: line.toInventoryItemId }, {
+      type: 'TRANSFER',
+      delta: line.quantity,
+      reason: `Transfer #${transfer.id} from ${transfer.fromBranch.name}`,
+      userId,
+      stockTransferId: transfer.id
+    });
+  }
+};
+
+/**
+ * Books a SHIPPED transfer that will not arrive as RETURNED: puts the plates back into the source
+ * branch's stock.
+ * @param {any} tx transaction client
+ * @param {any} transfer loaded with STOCK_TRANSFER_INCLUDE
+ * @param {number} userId
+ * @param {string | null} reason
+ */
+const returnStockTransfer = async (tx, transfer, userId, reason) => {
+  await advanceTransfer(tx, transfer, { status: 'RETURNED', returnedAt: new Date(), returnedById: userId, reason });
+  for (const line of transfer.lines) {
+    await recordMovement(tx, { inventoryItemId: line.fromInventoryItemId }, {
+      type: 'TRANSFER',
+      delta: line.quantity,
+      reason: `Transfer #${transfer.id} to ${transfer.toBranch.name} returned`,
+      userId,
+      stockTransferId: transfer.id
+    });
+  }
+};
+
+module.exports = {
+  STOCK_TRANSFER_STATUSES,
+  OPEN_TRANSFER_STATUSES,
+  STOCK_TRANSFER_INCLUDE,
+  toStockTransferResponse,
+  assertTransferStatus,
+  normalizeTransferLines,
+  advanceTransfer,
+  shipStockTransfer,
+  receiveStockTransfer,
+  returnStockTransfer,
+};
@@ -0,0 +1,26 @@
+// @ts-check
+/**
+ * PostgreSQL transaction-level advisory locks for checks that read many rows before inserting one
+ * (capacity, overlap), where a row lock has nothing to hold on to. The lock is keyed by a scope and
+ * an id, waits for any other transaction holding the same key and is released at commit or rollback.
+ */
+
+// First key of the lock; one per kind of check so ids of different tables never collide
+const LOCK_SCOPES = {
+  BRANCH_RESERVATIONS: 1,
+  USER_SHIFTS: 2
+};
+
+/**
+ * Serializes the rest of the transaction with every other one locking the same scope and id.
+ * @param {any} tx transaction client
+ * @param {number} scope one of LOCK_SCOPES
+ * @param {number} id
+ */
+const lockForTransaction = (tx, scope, id) =>
+  tx.$executeRaw`SELECT pg_advisory_xact_lock(${scope}::int, ${id}::int)`;
+
+module.exports = {
+  LOCK_SCOPES,
+  lockForTransaction,
+};
@@ -0,0 +1,101 @@
+// @ts-check
+/**
+ * Rules for managing user accounts through /api/admin/users.
+ * An actor may create, change, deactivate or reset only the roles listed for it in MANAGEABLE_ROLES,
+ * and a MANAGER only inside their own branch. Nobody manages their own account here, and ADMIN
+ * accounts are never created or assigned through the API.
+ */
+const { ValidationError, ForbiddenError } = require('../errors');
+
+/** @typedef {'ADMIN' | 'MANAGER' | 'CHEF' | 'STAFF' | 'CUSTOMER'} Role */
+
+/** @type {Role[]} */
+const USER_ROLES = ['CUSTOMER', 'STAFF', 'CHEF', 'MANAGER', 'ADMIN'];
+
+/** @type {Role[]} Roles shown in staff lists (the old /api/admin/staff/:branchId view) */
+const STAFF_USER_ROLES = ['MANAGER', 'CHEF', 'STAFF'];
+
+/** @type {Record<string, Role[]>} */
+const MANAGEABLE_ROLES = {
+  ADMIN: ['MANAGER', 'CHEF', 'STAFF', 'CUSTOMER'],
+  MANAGER: ['CHEF', 'STAFF']
+};
+
+/**
+ * @typedef {Object} Actor
+ * @property {number} id
+ * @property {string} role
+ * @property {number} branchId
+ */
+
+/** @param {any} role */
+const normalizeRole = (role) => (role || '').toString().toUpperCase();
+
+/**
+ * Roles the actor may create or assign.
+ * @param {string} actorRole
+ * @returns {Role[]}
+ */
+const getManageableRoles = (actorRole) => MANAGEABLE_ROLES[normalizeRole(actorRole)] || [];
+
+/**
+ * Validates a requested role and checks the actor may hand it out; returns the normalized role.
+ * @param {Actor} actor
+ * @param {any} role
+ * @returns {Role}
+ */
+const assertCanAssignRole = (actor, role) => {
+  const normalized = /** @type {Role} */ (normalizeRole(role));
+  if (!USER_ROLES.includes(normalized)) {
+    throw new ValidationError(`Invalid role ${role}. Must be one of: ${USER_ROLES.join(', ')}`);
+  }
+  const allowed = getManageableRoles(actor.role);
+  if (!allowed.includes(normalized)) {
+    throw new ForbiddenError(`${normalizeRole(actor.role)} cannot assign role ${normalized}; allowed: ${allowed.join(', ') || 'none'}`);
+  }
+  return normalized;
+};
+
+/**
+ * Branch a new or moved account goes to: ADMIN names it, a MANAGER is limited to their own.
+ * @param {Actor} actor
+ * @param {number | null | undefined} requested
+ * @returns {number}
+ */
+const resolveManagedBranchId = (actor, requested) => {
+  if (normalizeRole(actor.role) === 'ADMIN') {
+    if (!requested) throw new ValidationError('branchId is required');
+    return requested;
+  }
+  if (requested && requested !== actor.branchId) {
+    throw new ForbiddenError('Managers can only manage users of their own branch');
+  }
+  return actor.branchId;
+};
+
+/**
+ * Throws unless the actor may manage the existing account.
+ * @param {Actor} actor
+ * @param {{ id: number, role: string, branchId: number }} target
+ */
+const assertCanManageUser = (actor, target) => {
+  if (target.id === actor.id) {
+    throw new ForbiddenError('You cannot manage your own account here');
+  }
+  if (!getManageableRoles(actor.role).includes(/** @type {Role} */ (normalizeRole(target.role)))) {
+    throw new ForbiddenError(`${normalizeRole(actor.role)} cannot manage ${normalizeRole(target.role)} accounts`);
+  }
+  if (normalizeRole(actor.role) !== 'ADMIN' && target.branchId !== actor.branchId) {
+    throw new ForbiddenError('Managers can only manage users of their own branch');
+  }
+};
+
+module.exports = {
+  USER_ROLES,
+  STAFF_USER_ROLES,
+  MANAGEABLE_ROLES,
+  getManageableRoles,
+  assertCanAssignRole,
+  resolveManagedBranchId,
+  assertCanManageUser,
+};
@@ -0,0 +1,318 @@
+// Regression check: no API response may ever contain a `password` field (or other sensitive User columns).
+// Run with: npm run test:password-leak (all checks) or npm test (checks 1 and 2 only, no database needed).
+// The live check writes to the database, so it only runs against one named in LEAK_CHECK_DATABASE_URL
+// (used instead of DATABASE_URL); JWT_SECRET is needed as for the server. It acts as the first active
+// ADMIN unless a valid ADMIN JWT is exported as STEAKZ_TOKEN; STEAKZ_BRANCH_ID picks the branch (default 1).
+//
+// 1. Unit: toSafeUser strips every sensitive column, and every User column is either in SAFE_USER_SELECT
+//    or in SENSITIVE_USER_FIELDS, so a new column needs a decision. Exported *_SELECT / *_INCLUDE
+//    constants of services/*.js must not select a sensitive column or a User relation in full.
+// 2. Static: server.js, testRoutes.js, routes/*.js and services/*.js must not load a User relation in
+//    full (`user: true`, `approvedBy: { include`, ...), select the password hash, or keep User rows
+//    loaded without `select` unless the line above says the row goes through toSafeUser.
+// 3. Live: starts the app on a free port, calls every registered GET route, then runs the write routes
+//    that return users (signup, login, refresh, feedback, user management, staff profile, shifts) on
+//    throwaway `leakcheck+...@example.com` accounts. The JSON of every response is scanned deeply; a
+//    write step that does not succeed fails the check too. Afterwards, also after a failure, everything
+//    it created is deleted, the admin's active branch is restored and the session it issued is revoked.
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const { SAFE_USER_SELECT, PUBLIC_USER_SELECT, SENSITIVE_USER_FIELDS, toSafeUser } = require('./services/safeUser');
+
+const staticOnly = process.argv.includes('--static');
+const branchId = parseInt(process.env.STEAKZ_BRANCH_ID || '1');
+
+const failures = [];
+
+const SOURCE_FILES = [
+  'server.js',
+  'testRoutes.js',
+  ...fs.readdirSync(path.join(__dirname, 'routes')).map(f => path.join('routes', f)),
+  ...fs.readdirSync(path.join(__dirname, 'services')).map(f => path.join('services', f))
+];
+
+// Scalar columns of User and the names of every relation field pointing at User, from the Prisma schema
+function readUserSchema() {
+  const schema = fs.readFileSync(path.join(__dirname, '..', 'prisma', 'schema.prisma'), 'utf8');
+  const models = [...schema.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)].map(([, name, body]) => ({
+    name,
+    fields: body.split('\n')
+      .map(line => line.trim().match(/^(\w+)\s+(\w+)/))
+      .filter(Boolean)
+      .map(([, field, type]) => ({ field, type }))
+  }));
+  const modelNames = new Set(models.map(m => m.name));
+  const enumNames = new Set([...schema.matchAll(/^enum (\w+)/gm)].map(m => m[1]));
+  const user = models.find(m => m.name === 'User');
+  return {
+    columns: user.fields.filter(f => !modelNames.has(f.type) || enumNames.has(f.type)).map(f => f.field),
+    relations: [...new Set(models.flatMap(m => m.fields.filter(f => f.type === 'User').map(f => f.field)))]
+  };
+}
+
+// Returns the JSON paths of every sensitive key found anywhere in a value
+function findSensitiveKeys(value, at = '$') {
+  if (Array.isArray(value)) return value.flatMap((v, i) => findSensitiveKeys(v, `${at}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, v]) => [
+      ...(SENSITIVE_USER_FIELDS.includes(key) ? [`${at}.${key}`] : []),
+      ...findSensitiveKeys(v, `${at}.${key}`)
+    ]);
+  }
+  return [];
+}
+
+// Paths in a Prisma select/include that pick a sensitive column or take a User relation in full
+function findUnsafeSelections(value, userRelations, at) {
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, v]) => [
+    ...(v === true && (SENSITIVE_USER_FIELDS.includes(key) || userRelations.includes(key)) ? [`${at}.${key}`] : []),
+    ...findUnsafeSelections(v, userRelations, `${at}.${key}`)
+  ]);
+}
+
+function unitChecks({ columns, relations }) {
+  const row = Object.fromEntries(columns.map(c => [c, `${c}-value`]));
+  const safe = toSafeUser(row);
+  const kept = SENSITIVE_USER_FIELDS.filter(f => f in safe);
+  if (kept.length) failures.push(`toSafeUser keeps ${kept.join(', ')}`);
+  if (safe.id !== row.id || safe.email !== row.email) failures.push('toSafeUser drops id or email');
+  if (toSafeUser(null) !== null) failures.push('toSafeUser(null) is not null');
+
+  const missing = SENSITIVE_USER_FIELDS.filter(f => !columns.includes(f));
+  if (missing.length) failures.push(`SENSITIVE_USER_FIELDS names columns User no longer has: ${missing.join(', ')}`);
+  const undecided = columns.filter(c => !(c in SAFE_USER_SELECT) && !SENSITIVE_USER_FIELDS.includes(c));
+  if (undecided.length) failures.push(`User columns neither in SAFE_USER_SELECT nor in SENSITIVE_USER_FIELDS: ${undecided.join(', ')}`);
+
+  const selects = [['safeUser.SAFE_USER_SELECT', SAFE_USER_SELECT], ['safeUser.PUBLIC_USER_SELECT', PUBLIC_USER_SELECT]];
+  for (const file of fs.readdirSync(path.join(__dirname, 'services'))) {
+    const exported = require(path.join(__dirname, 'services', file));
+    for (const [name, value] of Object.entries(exported)) {
+      if (/_(SELECT|INCLUDE)$/.test(name)) selects.push([`${path.basename(file, '.js')}.${name}`, value]);
+    }
+  }
+  for (const [name, value] of selects) {
+    findUnsafeSelections(value, relations, name).forEach(p => failures.push(`${p} selects a sensitive column or a User relation in full`));
+  }
+  console.log(`unit: toSafeUser, ${columns.length} User columns, ${selects.length} exported selects`);
+}
+
+// Text of a call's arguments, from the opening parenthesis at `start` to its match
+function callArguments(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return text.slice(start, i + 1);
+  }
+  return text.slice(start);
+}
+
+function staticScan({ relations }) {
+  const names = relations.join('|');
+  const patterns = [
+    { regex: new RegExp(`\\b(${names}):\\s*true\\b`), reason: 'relation to User without SAFE_USER_SELECT / PUBLIC_USER_SELECT' },
+    { regex: new RegExp(`\\b(${names}):\\s*\\{\\s*include\\b`), reason: 'User relation included in full' },
+    { regex: /\bpassword:\s*true\b/, reason: 'password hash selected' }
+  ];
+  for (const file of SOURCE_FILES) {
+    if (file === path.join('services', 'safeUser.js')) continue;
+    const text = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    const lines = text.split('\n');
+    lines.forEach((line, i) => {
+      for (const { regex, reason } of patterns) {
+        if (regex.test(line)) failures.push(`${file}:${i + 1} ${reason}: ${line.trim()}`);
+      }
+    });
+
+    // Full User rows kept in a variable or returned are only allowed where the code says they go through toSafeUser
+    for (const match of text.matchAll(/\.user\.(find\w*|create|update|upsert|delete)\(/g)) {
+      const args = callArguments(text, match.index + match[0].length - 1);
+      if (/\bselect:/.test(args)) continue;
+      const lineNo = text.slice(0, match.index).split('\n').length;
+      const before = lines[lineNo - 1].slice(0, match.index - text.lastIndexOf('\n', match.index) - 1);
+      if (!/(=|\breturn)\s*(await\s+)?[\w.]*$/.test(before)) continue;
+      const above = lines.slice(0, lineNo - 1).reverse().find(l => l.trim());
+      if (!/\/\/.*toSafeUser/.test(above || '')) {
+        failures.push(`${file}:${lineNo} User row loaded without select: ${lines[lineNo - 1].trim()}`);
+      }
+    }
+  }
+  console.log(`static: ${SOURCE_FILES.length} files, ${relations.length} User relations`);
+}
+
+// Express 5 keeps routes on app.router.stack
+function listGetRoutes(app) {
+  return app.router.stack
+    .filter(layer => layer.route && layer.route.methods.get)
+    .map(layer => layer.route.path);
+}
+
+function fillParams(routePath) {
+  return routePath.replace(/:(\w+)/g, (_, name) => (/branch/i.test(name) ? String(branchId) : '1'));
+}
+
+async function check(base, method, routePath, { token, body } = {}) {
+  const res = await fetch(`${base}${routePath}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const contentType = res.headers.get('content-type') || '';
+  if (contentType.includes('text/event-stream')) {
+    // Streaming endpoint never ends on its own; its payloads come from the same selects as the order routes
+    res.body.destroy();
+    return { status: res.status, label: `${res.status} (stream, skipped)` };
+  }
+  const text = await res.text();
+  let data;
+  try { data = JSON.parse(text); } catch { return { status: res.status, label: `${res.status} (non-JSON)` }; }
+  const leaks = findSensitiveKeys(data);
+  if (leaks.length) failures.push(`${method} ${routePath} leaked ${leaks.slice(0, 5).join(', ')}`);
+  return { status: res.status, data, label: `${res.status}${leaks.length ? ' LEAK' : ''}` };
+}
+
+// The ADMIN to act as: STEAKZ_TOKEN, or a new session of the first active ADMIN (`issued`, revoked afterwards)
+async function resolveAdmin(prisma) {
+  let admin;
+  if (process.env.STEAKZ_TOKEN) {
+    admin = { id: jwt.decode(process.env.STEAKZ_TOKEN)?.userId, token: process.env.STEAKZ_TOKEN, issued: false };
+  } else {
+    const { issueSession } = require('./services/authTokens');
+    const first = await prisma.user.findFirst({ where: { role: 'ADMIN', deactivatedAt: null }, select: { id: true }, orderBy: { id: 'asc' } });
+    if (!first) throw new Error('No active ADMIN user to run the live check as; export STEAKZ_TOKEN');
+    const { token } = await issueSession(prisma, first.id);
+    admin = { id: first.id, token, issued: true };
+  }
+  const row = await prisma.user.findUnique({ where: { id: admin.id }, select: { activeBranchId: true } });
+  return { ...admin, activeBranchId: row?.activeBranchId ?? null };
+}
+
+// Deletes what the write steps created and puts the admin back as it was
+async function cleanUp(prisma, admin, ctx) {
+  const { revokeSession } = require('./services/authTokens');
+  const userIds = ['customerId', 'staffId', 'aliasId', 'legacyId'].map(key => ctx[key]).filter(Boolean);
+  await prisma.$transaction([
+    prisma.feedback.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.shift.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.staffProfile.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.securityEvent.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.loginAttempt.deleteMany({ where: { OR: [{ userId: { in: userIds } }, { email: { in: ctx.emails || [] } }] } }),
+    prisma.refreshToken.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.user.deleteMany({ where: { id: { in: userIds } } }),
+    prisma.user.update({ where: { id: admin.id }, data: { activeBranchId: admin.activeBranchId }, select: { id: true } })
+  ]);
+  if (admin.issued) await revokeSession(prisma, jwt.decode(admin.token).sid);
+  console.log(`clean-up: ${userIds.length} users and their feedback, shifts and profiles deleted`);
+}
+
+// Write routes that return users, run in order on throwaway accounts; `run` returns [method, path, options].
+// Ids of what they create are kept in `ctx` for cleanUp.
+function writeSteps(admin, ctx) {
+  const tag = Date.now();
+  const password = 'LeakCheck!2024';
+  const email = (who) => `leakcheck+${who}-${tag}@example.com`;
+  ctx.emails = ['customer', 'staff', 'alias', 'legacy'].map(email);
+  const shiftDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const keep = (key, pick) => (data) => { ctx[key] = pick(data); };
+  const createdUser = (key) => keep(key, data => data.user.id);
+
+  return [
+    { run: () => ['POST', '/api/auth/signup', { body: { email: email('customer'), password, branchId } }], then: keep('customerId', d => d.user.id) },
+    { run: () => ['POST', '/api/auth/login', { body: { email: email('customer'), password } }], then: keep('customer', d => d) },
+    { run: () => ['POST', '/api/auth/refresh', { body: { refreshToken: ctx.customer.refreshToken } }], then: keep('customer', d => d) },
+    { run: () => ['POST', '/api/feedback/create', { token: ctx.customer.token, body: { branchId, rating: 5, comment: 'Password leak check' } }], then: keep('feedbackId', d => d.id) },
+    { run: () => ['PATCH', `/api/feedback/reply/${ctx.feedbackId}`, { token: admin.token, body: { reply: 'Thanks' } }] },
+    { run: () => ['PATCH', `/api/feedback/approve/${ctx.feedbackId}`, { token: admin.token }] },
+    { run: () => ['POST', '/api/auth/logout', { body: { refreshToken: ctx.customer.refreshToken } }] },
+    { run: () => ['POST', '/api/admin/users', { token: admin.token, body: { email: email('staff'), password, role: 'STAFF', branchId } }], then: createdUser('staffId') },
+    { run: () => ['POST', '/api/admin/staff', { token: admin.token, body: { email: email('alias'), password, role: 'STAFF', branchId } }], then: createdUser('aliasId') },
+    { run: () => ['POST', '/api/admin/staff/create', { token: admin.token, body: { email: email('legacy'), password, role: 'STAFF', branchId } }], then: createdUser('legacyId') },
+    { run: () => ['PATCH', `/api/admin/users/${ctx.staffId}/role`, { token: admin.token, body: { role: 'CHEF' } }] },
+    { run: () => ['PATCH', `/api/admin/users/${ctx.staffId}/branch`, { token: admin.token, body: { branchId } }] },
+    { run: () => ['POST', `/api/admin/users/${ctx.staffId}/reset-password`, { token: admin.token, body: { newPassword: `${password}!` } }] },
+    { run: () => ['PATCH', `/api/admin/staff/${ctx.staffId}/reset-password`, { token: admin.token, body: { password } }] },
+    { run: () => ['POST', `/api/admin/users/${ctx.staffId}/unlock`, { token: admin.token }] },
+    { run: () => ['PUT', `/api/staff/${ctx.staffId}/profile`, { token: admin.token, body: { position: 'CHEF', displayName: 'Leak Check', hourlyRate: 15 } }] },
+    { run: () => ['POST', '/api/shifts', { token: admin.token, body: { branchId, userId: ctx.staffId, date: shiftDate, startTime: '10:00', endTime: '16:00' } }] },
+    { run: () => ['POST', `/api/admin/users/${ctx.staffId}/deactivate`, { token: admin.token }] },
+    { run: () => ['POST', `/api/admin/users/${ctx.staffId}/reactivate`, { token: admin.token }] },
+    { run: () => ['PATCH', `/api/users/${admin.id}/active-branch`, { token: admin.token, body: { branchId } }] }
+  ];
+}
+
+(async () => {
+  let server;
+  let prisma;
+  let admin;
+  const ctx = {};
+  try {
+    console.log('--- PASSWORD LEAK CHECK START ---');
+    const userSchema = readUserSchema();
+    unitChecks(userSchema);
+    staticScan(userSchema);
+
+    if (staticOnly) {
+      console.log('live: skipped (--static)');
+    } else {
+      if (!process.env.LEAK_CHECK_DATABASE_URL) {
+        throw new Error('The live check writes to the database; set LEAK_CHECK_DATABASE_URL to a test database (or run with --static)');
+      }
+      // The app's own PrismaClient reads DATABASE_URL when server.js is loaded below
+      process.env.DATABASE_URL = process.env.LEAK_CHECK_DATABASE_URL;
+      const { PrismaClient } = require('@prisma/client');
+      prisma = new PrismaClient();
+      admin = await resolveAdmin(prisma);
+
+      const app = require('./server');
+      server = app.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      for (const routePath of listGetRoutes(app)) {
+        const filled = fillParams(routePath);
+        console.log('GET', filled, (await check(base, 'GET', filled, { token: admin.token })).label);
+      }
+
+      for (const step of writeSteps(admin, ctx)) {
+        const [method, routePath, options] = step.run();
+        const { status, data, label } = await check(base, method, routePath, options);
+        console.log(method, routePath, label);
+        if (status >= 300) {
+          failures.push(`${method} ${routePath} returned ${status}, so its response was not checked: ${data?.message ?? ''}`);
+          break;
+        }
+        if (step.then) step.then(data);
+      }
+    }
+
+    if (failures.length) {
+      console.error('\nSensitive fields exposed:');
+      failures.forEach(f => console.error(' -', f));
+      process.exitCode = 1;
+    } else {
+      console.log('--- PASSWORD LEAK CHECK PASSED ---');
+    }
+  } catch (e) {
+    console.error('Password leak check failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    if (admin) {
+      await cleanUp(prisma, admin, ctx).catch((e) => {
+        console.error('Clean-up failed, remove the leakcheck+ accounts by hand:', e.message);
+        process.exitCode = 1;
+      });
+    }
+    if (prisma) await prisma.$disconnect();
+    // Prisma keeps the event loop alive
+    setTimeout(() => process.exit(), 100);
+  }
+})();
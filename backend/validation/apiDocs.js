@@ -0,0 +1,73 @@
+// @ts-check
+/**
+ * Generates the API reference from the request schemas, so docs and validation cannot drift.
+ * Run with: node backend/validation/apiDocs.js > API.md
+ */
+const schemas = require('./schemas');
+
+/** @typedef {import('../middleware/validate').FieldSpec} FieldSpec */
+/** @typedef {import('../middleware/validate').RouteSchema} RouteSchema */
+
+/**
+ * One-line description of a field's constraints.
+ * @param {FieldSpec} spec
+ * @returns {string}
+ */
+const describeSpec = (spec) => {
+  const parts = [spec.type === 'array' && spec.items ? `array of ${describeSpec(spec.items)}` : spec.type];
+  if (spec.enum) parts.push(`one of ${spec.enum.join(' | ')}`);
+  if (spec.min != null) parts.push(`>= ${spec.min}`);
+  if (spec.max != null) parts.push(`<= ${spec.max}`);
+  if (spec.minLength != null) parts.push(`min length ${spec.minLength}`);
+  if (spec.maxLength != null) parts.push(`max length ${spec.maxLength}`);
+  if (spec.minItems != null) parts.push(`min ${spec.minItems} items`);
+  if (spec.maxItems != null) parts.push(`max ${spec.maxItems} items`);
+  if (spec.nullable) parts.push('nullable');
+  return parts.join(', ');
+};
+
+/**
+ * Table rows for a set of fields, flattening nested objects as `parent[].child`.
+ * @param {Record<string, FieldSpec>} fields
+ * @param {string} location
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+const fieldRows = (fields, location, prefix = '') =>
+  Object.entries(fields).flatMap(([name, spec]) => {
+    const row = `| ${location} | \`${prefix}${name}\` | ${spec.required ? 'yes' : 'no'} | ${describeSpec(spec)} | ${spec.description || ''} |`;
+    const nested = spec.type === 'array' ? spec.items?.properties : spec.properties;
+    const childPrefix = `${prefix}${name}${spec.type === 'array' ? '[]' : ''}.`;
+    return nested ? [row, ...fieldRows(nested, location, childPrefix)] : [row];
+  });
+
+/**
+ * Markdown reference for every route schema.
+ * @param {Record<string, RouteSchema>} [routeSchemas]
+ * @returns {string}
+ */
+const generateApiDocs = (routeSchemas = schemas) => {
+  const lines = ['# Steakz API Reference', '', 'Generated from backend/validation/schemas.js. Invalid requests get 400 `VALIDATION_ERROR` with `details: [{ location, field, message }]`.', ''];
+  for (const schema of Object.values(routeSchemas)) {
+    lines.push(`## ${schema.method} ${schema.path}`, '', schema.summary, '');
+    if (schema.deprecated) lines.push(`**Deprecated:** use ${schema.deprecated}.`, '');
+    if (schema.auth) lines.push(`Access: ${schema.auth}`, '');
+    const rows = [
+      ...fieldRows(schema.params || {}, 'params'),
+      ...fieldRows(schema.query || {}, 'query'),
+      ...fieldRows(schema.body || {}, 'body')
+    ];
+    if (rows.length) {
+      lines.push('| In | Field | Required | Type | Notes |', '| --- | --- | --- | --- | --- |', ...rows, '');
+    }
+  }
+  return lines.join('\n');
+};
+
+if (require.main === module) {
+  process.stdout.write(generateApiDocs());
+}
+
+module.exports = {
+  generateApiDocs,
+};
@@ -0,0 +1,1434 @@
+// @ts-check
+/**
+ * Request schemas for every API route, consumed by the validate() middleware and by apiDocs.js.
+ * Keep each entry next to its siblings in the same order as the routes in server.js/testRoutes.js.
+ * Schemas describe shape only; branch scoping, existence and role checks stay in the handlers.
+ */
+const { ORDER_STATUSES } = require('../services/orderStatus');
+const { USER_ROLES } = require('../services/userManagement');
+const { STAFF_POSITIONS } = require('../services/staffProfile');
+const { FINANCIAL_RECORD_TYPES, PNL_GROUPINGS } = require('../services/financeLedger');
+const { ANALYTICS_GRANULARITIES } = require('../services/salesAnalytics');
+const { EXPORT_FORMATS, EXPORT_RESOURCE_NAMES } = require('../services/dataExport');
+const { INGREDIENT_UNITS } = require('../services/recipes');
+const { PURCHASE_ORDER_STATUSES } = require('../services/purchasing');
+const { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES } = require('../services/stockLedger');
+const { STOCK_TRANSFER_STATUSES } = require('../services/stockTransfers');
+const { STOCK_COUNT_STATUSES } = require('../services/stockCounts');
+
+/** @typedef {import('../middleware/validate').FieldSpec} FieldSpec */
+/** @typedef {import('../middleware/validate').RouteSchema} RouteSchema */
+
+const RESERVATION_STATUSES = ['PENDING', 'CONFIRMED', 'CANCELLED'];
+
+/** @type {FieldSpec} */
+const ID = { type: 'integer', min: 1, required: true };
+
+/** @type {FieldSpec} */
+const PASSWORD = {
+  type: 'string',
+  required: true,
+  minLength: 8,
+  maxLength: 128,
+  pattern: /^(?=.*[A-Za-z])(?=.*\d)/,
+  patternMessage: 'must contain at least one letter and one digit',
+  description: '8-128 characters with at least one letter and one digit'
+};
+
+/** @type {FieldSpec} */
+const OPTIONAL_BRANCH = { type: 'integer', min: 1, description: 'Defaults to the caller\'s active branch; only ADMIN may target another' };
+
+/** @type {FieldSpec} */
+const INGREDIENT_NAME = { type: 'string', required: true, minLength: 1, maxLength: 100, pattern: /\S/, patternMessage: 'must not be blank' };
+
+/** @type {FieldSpec} */
+const SUPPLIER_NAME = { type: 'string', required: true, minLength: 1, maxLength: 100, pattern: /\S/, patternMessage: 'must not be blank' };
+
+/** @type {Record<string, FieldSpec>} */
+const SUPPLIER_CONTACT = {
+  contactName: { type: 'string', maxLength: 100, nullable: true },
+  email: { type: 'email', maxLength: 254, nullable: true },
+  phone: { type: 'string', maxLength: 40, nullable: true },
+  notes: { type: 'string', maxLength: 500, nullable: true }
+};
+
+/** @type {FieldSpec} */
+const PURCHASE_LINES = {
+  type: 'array',
+  maxItems: 100,
+  items: {
+    type: 'object',
+    properties: {
+      inventoryItemId: { type: 'integer', min: 1, description: 'Plate-counted stock; give this or ingredientId' },
+      ingredientId: { type: 'integer', min: 1 },
+      quantity: { type: 'number', required: true, min: 0.001, description: 'Whole plates, or the ingredient\'s unit' },
+      unitCost: { type: 'number', min: 0, description: 'Default 0' }
+    }
+  }
+};
+
+/** @type {Record<string, FieldSpec>} */
+const MOVEMENT_HISTORY_QUERY = {
+  from: { type: 'date', description: 'Branch-local day; default the whole history' },
+  to: { type: 'date' },
+  type: { type: 'string', enum: MOVEMENT_TYPES, ignoreCase: true }
+};
+
+/** @type {Record<string, FieldSpec>} */
+const MANUAL_MOVEMENT_BODY = {
+  type: { type: 'string', required: true, enum: MANUAL_MOVEMENT_TYPES, ignoreCase: true },
+  delta: { type: 'number', required: true, description: 'Signed: positive for RESTOCK, negative for WASTE' },
+  reason: { type: 'string', required: true, minLength: 1, maxLength: 500, pattern: /\S/, patternMessage: 'must not be blank' }
+};
+
+/** @type {Record<string, FieldSpec>} */
+const TRANSFER_REASON_BODY = { reason: { type: 'string', nullable: true, maxLength: 500 } };
+
+/** @type {FieldSpec} */
+const GUESTS = { type: 'integer', min: 1, max: 50, required: true };
+
+/** @type {Record<string, FieldSpec>} */
+const NEW_USER_BODY = {
+  email: { type: 'email', required: true, maxLength: 254 },
+  password: PASSWORD,
+  role: { type: 'string', required: true, enum: USER_ROLES, ignoreCase: true },
+  branchId: { type: 'integer', min: 1, description: 'Required for ADMIN; managers create in their own branch' }
+};
+
+/** @type {FieldSpec} */
+const CATEGORY = {
+  type: 'string',
+  maxLength: 60,
+  pattern: /^[\w &-]*$/,
+  patternMessage: 'may only contain letters, digits, spaces, _, & and -',
+  description: 'Stored uppercase; default GENERAL'
+};
+
+const idParams = { id: ID };
+const branchParams = { branchId: ID };
+const branchQuery = { branchId: OPTIONAL_BRANCH };
+const orderDayQuery = {
+  date: { type: /** @type {const} */ ('date'), description: 'Orders placed on this branch-local day' },
+  today: { type: /** @type {const} */ ('boolean'), description: 'Orders placed today in the branch timezone' }
+};
+
+/** @type {Record<string, RouteSchema>} */
+const schemas = {
+  // Auth
+  signup: {
+    method: 'POST',
+    path: '/api/auth/signup',
+    summary: 'Register a customer account and start a session',
+    auth: 'Public',
+    body: {
+      email: { type: 'email', required: true, maxLength: 254 },
+      password: PASSWORD,
+      branchId: ID
+    }
+  },
+  login: {
+    method: 'POST',
+    path: '/api/auth/login',
+    summary: 'Log in and start a session',
+    auth: 'Public',
+    body: {
+      email: { type: 'email', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+  refresh: {
+    method: 'POST',
+    path: '/api/auth/refresh',
+    summary: 'Rotate a refresh token for a new access/refresh pair',
+    auth: 'Public',
+    body: { refreshToken: { type: 'string', required: true } }
+  },
+  logout: {
+    method: 'POST',
+    path: '/api/auth/logout',
+    summary: 'End the current session, or every session with allDevices',
+    auth: 'Any authenticated user, or Public with refreshToken',
+    body: { refreshToken: { type: 'string' }, allDevices: { type: 'boolean' } }
+  },
+
+  // Menu
+  listMenu: {
+    method: 'GET',
+    path: '/api/menu',
+    summary: 'Menu of a branch with effective prices and availability',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    query: {
+      branchId: OPTIONAL_BRANCH,
+      category: { type: 'string', maxLength: 80 },
+      available: { type: 'boolean', description: 'Only items in stock' },
+      includeDeleted: { type: 'boolean', description: 'ADMIN/MANAGER only' }
+    }
+  },
+  listMenuCategories: {
+    method: 'GET',
+    path: '/api/menu/categories',
+    summary: 'Distinct menu categories of a branch',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    query: branchQuery
+  },
+  publicMenu: {
+    method: 'GET',
+    path: '/api/menu/public/:branchId',
+    summary: 'Public menu of a branch',
+    auth: 'Public',
+    params: branchParams,
+    query: { category: { type: 'string', maxLength: 80 } }
+  },
+  createMenuItem: {
+    method: 'POST',
+    path: '/api/menu',
+    summary: 'Create a menu item',
+    auth: 'ADMIN, MANAGER',
+    body: {
+      name: { type: 'string', required: true, maxLength: 120 },
+      description: { type: 'string', nullable: true, maxLength: 1000 },
+      category: { type: 'string', nullable: true, maxLength: 80 },
+      price: { type: 'number', required: true, min: 0 },
+      branchId: OPTIONAL_BRANCH
+    }
+  },
+  updateMenuItem: {
+    method: 'PATCH',
+    path: '/api/menu/:id',
+    summary: 'Update a menu item',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 120 },
+      description: { type: 'string', nullable: true, maxLength: 1000 },
+      category: { type: 'string', minLength: 1, maxLength: 80 },
+      price: { type: 'number', min: 0 }
+    }
+  },
+  deleteMenuItem: {
+    method: 'DELETE',
+    path: '/api/menu/:id',
+    summary: 'Soft-delete a menu item',
+    auth: 'ADMIN, MANAGER',
+    params: idParams
+  },
+
+  // Orders
+  createOrder: {
+    method: 'POST',
+    path: '/api/orders/create',
+    summary: 'Place an order; prices and tax are computed server-side',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF, CUSTOMER',
+    body: {
+      branchId: OPTIONAL_BRANCH,
+      items: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: 'object',
+          properties: {
+            menuItemId: ID,
+            quantity: { type: 'integer', required: true, min: 1, max: 100 },
+            price: { type: 'number', min: 0, description: 'Ignored; the server price applies' }
+          }
+        }
+      },
+      total: { type: 'number', min: 0, description: 'Optional client total, rejected if it disagrees with the server' }
+    }
+  },
+  orderStream: {
+    method: 'GET',
+    path: '/api/orders/stream',
+    summary: 'Server-sent events for order changes of a branch',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF',
+    query: {
+      branchId: OPTIONAL_BRANCH,
+      lastEventId: { type: 'string', description: 'Resume after this event id (or send Last-Event-ID)' }
+    }
+  },
+  listOrders: {
+    method: 'GET',
+    path: '/api/orders',
+    summary: 'Orders of the active branch',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF, CUSTOMER',
+    query: { branchId: OPTIONAL_BRANCH, ...orderDayQuery }
+  },
+  listBranchOrders: {
+    method: 'GET',
+    path: '/api/orders/:branchId',
+    summary: 'Orders of a branch',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF, CUSTOMER',
+    params: branchParams,
+    query: orderDayQuery
+  },
+  updateOrderStatus: {
+    method: 'PATCH',
+    path: '/api/orders/status/:id',
+    summary: 'Move an order through its status machine',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF',
+    params: idParams,
+    body: {
+      status: { type: 'string', required: true, enum: ORDER_STATUSES, ignoreCase: true },
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  orderHistory: {
+    method: 'GET',
+    path: '/api/orders/:id/history',
+    summary: 'Status audit trail of an order',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF, CUSTOMER (own orders)',
+    params: idParams
+  },
+
+  // Inventory
+  listInventory: {
+    method: 'GET',
+    path: '/api/inventory/:branchId',
+    summary: 'Inventory of a branch with on-hand, reserved and available stock',
+    auth: 'ADMIN, MANAGER, STAFF',
+    params: branchParams
+  },
+  createInventory: {
+    method: 'POST',
+    path: '/api/inventory/create',
+    summary: 'Start tracking stock for an existing menu item',
+    auth: 'ADMIN, MANAGER',
+    body: {
+      menuItemId: ID,
+      quantity: { type: 'integer', min: 0 },
+      minQuantity: { type: 'integer', min: 0 }
+    }
+  },
+  createInventoryWithItem: {
+    method: 'POST',
+    path: '/api/inventory/create-with-item',
+    summary: 'Create a menu item and its inventory row together',
+    auth: 'ADMIN, MANAGER',
+    body: {
+      name: { type: 'string', required: true, maxLength: 120 },
+      category: { type: 'string', nullable: true, maxLength: 80 },
+      description: { type: 'string', nullable: true, maxLength: 1000 },
+      price: { type: 'number', min: 0 },
+      quantity: { type: 'integer', min: 0 },
+      minQuantity: { type: 'integer', min: 0 }
+    }
+  },
+  updateInventory: {
+    method: 'PATCH',
+    path: '/api/inventory/:id',
+    summary: 'Set the on-hand quantity of an inventory row; the difference is recorded as an ADJUSTMENT movement',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    body: {
+      quantity: { type: 'integer', required: true, min: 0 },
+      reason: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+
+  // Reservations and tables
+  reservationAvailability: {
+    method: 'GET',
+    path: '/api/reservations/availability',
+    summary: 'Bookable time slots for a party size on a day',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    query: {
+      branchId: OPTIONAL_BRANCH,
+      date: { type: 'date', required: true },
+      guests: GUESTS
+    }
+  },
+  createReservation: {
+    method: 'POST',
+    path: '/api/reservations/create',
+    summary: 'Book a table; rejected outside opening hours or when full',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    body: {
+      branchId: OPTIONAL_BRANCH,
+      date: { type: 'date', required: true, description: 'Branch-local day' },
+      time: { type: 'time', required: true, description: 'Branch-local start time' },
+      guests: GUESTS,
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  listReservations: {
+    method: 'GET',
+    path: '/api/reservations',
+    summary: 'Reservations of the active branch',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    query: branchQuery
+  },
+  listBranchReservations: {
+    method: 'GET',
+    path: '/api/reservations/:branchId',
+    summary: 'Reservations of a branch',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    params: branchParams
+  },
+  listTables: {
+    method: 'GET',
+    path: '/api/tables',
+    summary: 'Tables of a branch',
+    auth: 'ADMIN, MANAGER, STAFF',
+    query: branchQuery
+  },
+  createTable: {
+    method: 'POST',
+    path: '/api/tables',
+    summary: 'Add a table',
+    auth: 'ADMIN, MANAGER',
+    body: {
+      branchId: OPTIONAL_BRANCH,
+      label: { type: 'string', required: true, maxLength: 40 },
+      seats: { type: 'integer', required: true, min: 1, max: 50 },
+      zone: { type: 'string', nullable: true, maxLength: 40 },
+      combinable: { type: 'boolean' }
+    }
+  },
+  updateTable: {
+    method: 'PATCH',
+    path: '/api/tables/:id',
+    summary: 'Update a table',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    body: {
+      label: { type: 'string', minLength: 1, maxLength: 40 },
+      seats: { type: 'integer', min: 1, max: 50 },
+      zone: { type: 'string', nullable: true, maxLength: 40 },
+      combinable: { type: 'boolean' },
+      active: { type: 'boolean' }
+    }
+  },
+  deleteTable: {
+    method: 'DELETE',
+    path: '/api/tables/:id',
+    summary: 'Remove a table',
+    auth: 'ADMIN, MANAGER',
+    params: idParams
+  },
+
+  // Users
+  getActiveBranch: {
+    method: 'GET',
+    path: '/api/users/:id/active-branch',
+    summary: 'Active branch of the calling user',
+    auth: 'ADMIN, MANAGER (self only)',
+    params: idParams
+  },
+  setActiveBranch: {
+    method: 'PATCH',
+    path: '/api/users/:id/active-branch',
+    summary: 'Switch the active branch of the calling admin',
+    auth: 'ADMIN (self only)',
+    params: idParams,
+    body: { branchId: ID }
+  },
+  updateReservationStatus: {
+    method: 'PATCH',
+    path: '/api/reservations/status/:id',
+    summary: 'Confirm or cancel a reservation',
+    auth: 'ADMIN, MANAGER, STAFF',
+    params: idParams,
+    body: { status: { type: 'string', required: true, enum: RESERVATION_STATUSES } }
+  },
+
+  // Feedback
+  createFeedback: {
+    method: 'POST',
+    path: '/api/feedback/create',
+    summary: 'Leave feedback for a branch',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    body: {
+      branchId: OPTIONAL_BRANCH,
+      rating: { type: 'integer', required: true, min: 1, max: 5 },
+      comment: { type: 'string', required: true, maxLength: 2000 }
+    }
+  },
+  listFeedback: {
+    method: 'GET',
+    path: '/api/feedback/:branchId',
+    summary: 'Feedback of a branch',
+    auth: 'ADMIN, MANAGER, STAFF, CUSTOMER',
+    params: branchParams
+  },
+  replyFeedback: {
+    method: 'PATCH',
+    path: '/api/feedback/reply/:id',
+    summary: 'Reply to feedback',
+    auth: 'ADMIN, MANAGER, STAFF',
+    params: idParams,
+    body: { reply: { type: 'string', required: true, maxLength: 2000 } }
+  },
+  approveFeedback: {
+    method: 'PATCH',
+    path: '/api/feedback/approve/:id',
+    summary: 'Approve feedback for display',
+    auth: 'ADMIN, MANAGER, STAFF',
+    params: idParams
+  },
+  deleteFeedback: {
+    method: 'DELETE',
+    path: '/api/feedback/:id',
+    summary: 'Delete feedback',
+    auth: 'ADMIN, MANAGER, STAFF',
+    params: idParams
+  },
+
+  // Branches
+  branchAnalytics: {
+    method: 'GET',
+    path: '/api/branches/:id/analytics',
+    summary: 'Revenue, order, feedback and labour figures, sales trends, sellers and heatmaps of a branch',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    query: {
+      from: { type: 'date', description: 'Branch-local, inclusive; default `days` days before to' },
+      to: { type: 'date', description: 'Branch-local, inclusive; default today. Range up to 366 days' },
+      granularity: { type: 'string', enum: ANALYTICS_GRANULARITIES, description: 'Series bucket, default day; hour is limited to 31 days' },
+      days: { type: 'integer', min: 1, max: 90, description: 'Window length when from is not given (default 7)' },
+      limit: { type: 'integer', min: 1, max: 50, description: 'Items per top/bottom seller list (default 5)' }
+    }
+  },
+  listBranches: {
+    method: 'GET',
+    path: '/api/branches',
+    summary: 'Branches visible to the caller',
+    auth: 'ADMIN, MANAGER, CHEF, STAFF'
+  },
+  seedBranches: {
+    method: 'POST',
+    path: '/api/branches/seed-sample',
+    summary: 'Create the sample branches if missing',
+    auth: 'ADMIN'
+  },
+  updateBranchSettings: {
+    method: 'PATCH',
+    path: '/api/branches/:id/settings',
+    summary: 'Update branch location, hours, holidays and tax rate',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    body: {
+      timezone: { type: 'timezone', nullable: true },
+      latitude: { type: 'number', nullable: true, min: -90, max: 90 },
+      longitude: { type: 'number', nullable: true, min: -180, max: 180 },
+      openingTime: { type: 'time', nullable: true },
+      closingTime: { type: 'time', nullable: true },
+      holidays: { type: 'array', nullable: true, description: 'ISO dates or { date, name } objects' },
+      country: { type: 'string', nullable: true, maxLength: 80 },
+      city: { type: 'string', nullable: true, maxLength: 80 },
+      address: { type: 'string', nullable: true, maxLength: 200 },
+      postalCode: { type: 'string', nullable: true, maxLength: 20 },
+      phone: { type: 'string', nullable: true, maxLength: 40 },
+      email: { type: 'email', nullable: true, maxLength: 254 },
+      taxRate: { type: 'number', nullable: true, min: 0, max: 1, description: 'Fraction, e.g. 0.2 for 20%' }
+    }
+  },
+  getBranchSettings: {
+    method: 'GET',
+    path: '/api/branches/:id/settings',
+    summary: 'Branch location, hours, holidays and tax rate',
+    auth: 'ADMIN, MANAGER',
+    params: idParams
+  },
+
+  // Admin user management (routes/adminUserRoutes.js)
+  listUsers: {
+    method: 'GET',
+    path: '/api/admin/users',
+    summary: 'User accounts; managers only see their own branch',
+    auth: 'ADMIN, MANAGER',
+    query: {
+      branchId: { type: 'integer', min: 1, description: 'ADMIN only; omit for every branch' },
+      role: { type: 'string', enum: USER_ROLES, ignoreCase: true },
+      status: { type: 'string', enum: ['active', 'deactivated', 'all'], description: 'Default active' }
+    }
+  },
+  createUser: {
+    method: 'POST',
+    path: '/api/admin/users',
+    summary: 'Create an account; ADMIN may create MANAGER/CHEF/STAFF/CUSTOMER, MANAGER only CHEF/STAFF in their branch',
+    auth: 'ADMIN, MANAGER',
+    body: NEW_USER_BODY
+  },
+  updateUserRole: {
+    method: 'PATCH',
+    path: '/api/admin/users/:id/role',
+    summary: 'Change the role of an account the caller manages',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    body: { role: { type: 'string', required: true, enum: USER_ROLES, ignoreCase: true } }
+  },
+  moveUserBranch: {
+    method: 'PATCH',
+    path: '/api/admin/users/:id/branch',
+    summary: 'Move an account to another branch',
+    auth: 'ADMIN',
+    params: idParams,
+    body: { branchId: ID }
+  },
+  deactivateUser: {
+    method: 'POST',
+    path: '/api/admin/users/:id/deactivate',
+    summary: 'Block login and end every session of an account',
+    auth: 'ADMIN, MANAGER',
+    params: idParams
+  },
+  reactivateUser: {
+    method: 'POST',
+    path: '/api/admin/users/:id/reactivate',
+    summary: 'Allow a deactivated account to log in again',
+    auth: 'ADMIN, MANAGER',
+    params: idParams
+  },
+  resetUserPassword: {
+    method: 'POST',
+    path: '/api/admin/users/:id/reset-password',
+    summary: 'Set a new password and end every session of the account',
+    auth: 'ADMIN, MANAGER',
+    params: idParams,
+    body: {
+      password: { ...PASSWORD, required: false },
+      newPassword: { ...PASSWORD, required: false, description: 'Older name for password' }
+    }
+  },
+  unlockUser: {
+    method: 'POST',
+    path: '/api/admin/users/:id/unlock',
+    summary: 'Clear a login lockout',
+    auth: 'ADMIN, MANAGER',
+    params: idParams
+  },
+  createStaffAlias: {
+    method: 'POST',
+    path: '/api/admin/staff',
+    summary: 'Create an account',
+    auth: 'ADMIN, MANAGER',
+    deprecated: 'POST /api/admin/users',
+    body: NEW_USER_BODY
+  },
+  createStaffLegacyAlias: {
+    method: 'POST',
+    path: '/api/admin/staff/create',
+    summary: 'Create an account',
+    auth: 'ADMIN, MANAGER',
+    deprecated: 'POST /api/admin/users',
+    body: NEW_USER_BODY
+  },
+  resetStaffPasswordAlias: {
+    method: 'PATCH',
+    path: '/api/admin/staff/:id/reset-password',
+    summary: 'Set a new password and end every session of the account',
+    auth: 'ADMIN, MANAGER',
+    deprecated: 'POST /api/admin/users/:id/reset-password',
+    params: idParams,
+    body: { password: PASSWORD }
+  },
+  listStaffAlias: {
+    method: 'GET',
+    path: '/api/admin/staff/:branchId',
+    summary: 'Active MANAGER/CHEF/STAFF accounts of a branch',
+    auth: 'ADMIN, MANAGER (own branch)',
+    deprecated: 'GET /api/admin/users?branchId=',
+    params: branchParams
+  },
+  securityEvents: {
+    method: 'GET',
+    path: '/api/admin/security-events/:branchId',
+    summary: 'Lockout and unlock events of a branch',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      type: { type: 'string', maxLength: 40 },
+      limit: { type: 'integer', min: 1, max: 500 }
+    }
+  },
+
+  // Staff directory (routes/staffRoutes.js)
+  listBranchStaff: {
+    method: 'GET',
+    path: '/api/branches/:branchId/staff',
+    summary: 'Active MANAGER/CHEF/STAFF accounts of a branch with their staff profile',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      position: { type: 'string', enum: STAFF_POSITIONS, ignoreCase: true },
+      active: { type: 'boolean', description: 'Filter on the profile active flag' }
+    }
+  },
+  getStaffProfile: {
+    method: 'GET',
+    path: '/api/staff/:userId/profile',
+    summary: 'A staff account with its profile',
+    auth: 'Own profile; ADMIN, MANAGER (own branch)',
+    params: { userId: ID }
+  },
+  upsertStaffProfile: {
+    method: 'PUT',
+    path: '/api/staff/:userId/profile',
+    summary: 'Create or update a staff profile; only the fields sent are changed',
+    auth: 'ADMIN, MANAGER (CHEF/STAFF of own branch)',
+    params: { userId: ID },
+    body: {
+      position: { type: 'string', enum: STAFF_POSITIONS, ignoreCase: true, description: 'Required when the profile is created' },
+      displayName: { type: 'string', nullable: true, minLength: 1, maxLength: 120 },
+      hourlyRate: { type: 'number', nullable: true, min: 0 },
+      phone: { type: 'string', nullable: true, maxLength: 40 },
+      contactEmail: { type: 'email', nullable: true, maxLength: 254 },
+      active: { type: 'boolean' },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+
+  // Shift scheduling (routes/shiftRoutes.js)
+  myShifts: {
+    method: 'GET',
+    path: '/api/shifts/mine',
+    summary: 'The caller\'s own shifts, read-only',
+    auth: 'MANAGER, CHEF, STAFF',
+    query: {
+      from: { type: 'date', description: 'Default today (branch-local)' },
+      to: { type: 'date', description: 'Default four weeks after from' }
+    }
+  },
+  branchRota: {
+    method: 'GET',
+    path: '/api/branches/:branchId/rota',
+    summary: 'Monday-Sunday rota with shifts per day and hours per staff member',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: { week: { type: 'date', description: 'Any date in the week; default this week' } }
+  },
+  createShift: {
+    method: 'POST',
+    path: '/api/shifts',
+    summary: 'Schedule a shift; rejected with 409 SHIFT_CONFLICT on double-booking, outside opening hours or another branch\'s staff',
+    auth: 'ADMIN, MANAGER (own branch)',
+    body: {
+      branchId: { type: 'integer', min: 1, description: 'Defaults to the caller\'s branch' },
+      userId: ID,
+      date: { type: 'date', required: true, description: 'Branch-local start date' },
+      startTime: { type: 'time', required: true },
+      endTime: { type: 'time', required: true, description: 'At or before startTime means the next day' },
+      position: { type: 'string', enum: STAFF_POSITIONS, ignoreCase: true, description: 'Defaults to the staff profile position' },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  getShift: {
+    method: 'GET',
+    path: '/api/shifts/:id',
+    summary: 'A single shift',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  updateShift: {
+    method: 'PATCH',
+    path: '/api/shifts/:id',
+    summary: 'Change a shift; omitted fields keep their value and conflicts are re-checked',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      userId: { type: 'integer', min: 1 },
+      date: { type: 'date' },
+      startTime: { type: 'time' },
+      endTime: { type: 'time' },
+      position: { type: 'string', enum: STAFF_POSITIONS, ignoreCase: true },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  deleteShift: {
+    method: 'DELETE',
+    path: '/api/shifts/:id',
+    summary: 'Remove a shift',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+
+  // Time clock and labour cost (routes/timeClockRoutes.js)
+  timeClockStatus: {
+    method: 'GET',
+    path: '/api/time-clock/status',
+    summary: 'Whether the caller is clocked in, with the open entry and its breaks',
+    auth: 'MANAGER, CHEF, STAFF'
+  },
+  clockIn: {
+    method: 'POST',
+    path: '/api/time-clock/clock-in',
+    summary: 'Start a time entry in the caller\'s branch, linked to the current shift if any',
+    auth: 'MANAGER, CHEF, STAFF',
+    body: {
+      shiftId: { type: 'integer', min: 1, description: 'Default: the caller\'s shift running now or starting within 60 minutes' },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  startBreak: {
+    method: 'POST',
+    path: '/api/time-clock/break/start',
+    summary: 'Start a break in the open time entry',
+    auth: 'MANAGER, CHEF, STAFF'
+  },
+  endBreak: {
+    method: 'POST',
+    path: '/api/time-clock/break/end',
+    summary: 'End the running break',
+    auth: 'MANAGER, CHEF, STAFF'
+  },
+  clockOut: {
+    method: 'POST',
+    path: '/api/time-clock/clock-out',
+    summary: 'Close the open time entry (and any running break)',
+    auth: 'MANAGER, CHEF, STAFF',
+    body: { notes: { type: 'string', nullable: true, maxLength: 500 } }
+  },
+  listTimeEntries: {
+    method: 'GET',
+    path: '/api/branches/:branchId/time-entries',
+    summary: 'Time entries clocked in between from and to',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      from: { type: 'date', description: 'Default six days before to' },
+      to: { type: 'date', description: 'Default today (branch-local)' },
+      userId: { type: 'integer', min: 1 }
+    }
+  },
+  labourCost: {
+    method: 'GET',
+    path: '/api/branches/:branchId/labour-cost',
+    summary: 'Worked hours x hourly rate per staff member and per day',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      from: { type: 'date', description: 'Default six days before to' },
+      to: { type: 'date', description: 'Default today (branch-local)' }
+    }
+  },
+
+  // Branch ledger (routes/financeRoutes.js)
+  listFinancialRecords: {
+    method: 'GET',
+    path: '/api/branches/:branchId/financial-records',
+    summary: 'Ledger records dated between from and to',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      from: { type: 'date', description: 'Default 29 days before to' },
+      to: { type: 'date', description: 'Default today (branch-local)' },
+      type: { type: 'string', enum: FINANCIAL_RECORD_TYPES, ignoreCase: true },
+      category: CATEGORY
+    }
+  },
+  createFinancialRecord: {
+    method: 'POST',
+    path: '/api/branches/:branchId/financial-records',
+    summary: 'Record revenue or an expense',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: {
+      type: { type: 'string', required: true, enum: FINANCIAL_RECORD_TYPES, ignoreCase: true },
+      category: CATEGORY,
+      amount: { type: 'number', required: true, min: 0.01, max: 100000000, description: 'Positive; type gives the direction' },
+      description: { type: 'string', required: true, maxLength: 500, pattern: /\S/, patternMessage: 'must not be blank' },
+      date: { type: 'date', description: 'Branch-local day; default now' }
+    }
+  },
+  profitAndLoss: {
+    method: 'GET',
+    path: '/api/branches/:branchId/profit-loss',
+    summary: 'Revenue, expenses and profit per period and per category',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      from: { type: 'date', description: 'Default 29 days before to' },
+      to: { type: 'date', description: 'Default today (branch-local)' },
+      groupBy: { type: 'string', enum: PNL_GROUPINGS, description: 'Default month; weeks start on Monday' }
+    }
+  },
+  getFinancialRecord: {
+    method: 'GET',
+    path: '/api/financial-records/:id',
+    summary: 'A single ledger record',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  updateFinancialRecord: {
+    method: 'PATCH',
+    path: '/api/financial-records/:id',
+    summary: 'Change a manual ledger record; revenue posted from orders is read-only (409)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      type: { type: 'string', enum: FINANCIAL_RECORD_TYPES, ignoreCase: true },
+      category: CATEGORY,
+      amount: { type: 'number', min: 0.01, max: 100000000 },
+      description: { type: 'string', maxLength: 500, pattern: /\S/, patternMessage: 'must not be blank' },
+      date: { type: 'date' }
+    }
+  },
+  deleteFinancialRecord: {
+    method: 'DELETE',
+    path: '/api/financial-records/:id',
+    summary: 'Remove a manual ledger record; revenue posted from orders is read-only (409)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+
+  // Consolidated analytics (routes/analyticsRoutes.js)
+  consolidatedAnalytics: {
+    method: 'GET',
+    path: '/api/analytics/consolidated',
+    summary: 'Per-branch figures side by side with group totals; the only cross-branch endpoint',
+    auth: 'ADMIN',
+    query: {
+      crossBranch: { type: 'boolean', required: true, description: 'Must be true: explicit opt-in to mixed-branch data' },
+      from: { type: 'date', required: true, description: 'Branch-local, inclusive' },
+      to: { type: 'date', required: true, description: 'Branch-local, inclusive; at most 366 days after from' },
+      branchIds: { type: 'string', pattern: /^\d+(,\d+)*$/, patternMessage: 'must be comma-separated ids', description: 'Default every branch' }
+    }
+  },
+
+  // Data exports (routes/exportRoutes.js)
+  exportBranchData: {
+    method: 'GET',
+    path: '/api/branches/:branchId/exports/:resource',
+    summary: 'Download branch orders (with lines), reservations, inventory, feedback or financial records',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: { branchId: ID, resource: { type: 'string', required: true, enum: EXPORT_RESOURCE_NAMES } },
+    query: {
+      format: { type: 'string', enum: EXPORT_FORMATS, description: 'Default csv' },
+      from: { type: 'date', description: 'Branch-local, inclusive; default 29 days before to. Ignored for inventory' },
+      to: { type: 'date', description: 'Branch-local, inclusive; default today. Ignored for inventory' }
+    }
+  },
+
+  // Ingredients and recipes (routes/recipeRoutes.js)
+  listIngredients: {
+    method: 'GET',
+    path: '/api/branches/:branchId/ingredients',
+    summary: 'Ingredients of a branch with on-hand, reserved and available amounts',
+    auth: 'ADMIN, MANAGER, STAFF (own branch)',
+    params: branchParams,
+    query: { lowStock: { type: 'boolean', description: 'Only ingredients below minQuantity' } }
+  },
+  createIngredient: {
+    method: 'POST',
+    path: '/api/branches/:branchId/ingredients',
+    summary: 'Add an ingredient; names are unique per branch',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: {
+      name: INGREDIENT_NAME,
+      unit: { type: 'string', required: true, enum: INGREDIENT_UNITS },
+      quantity: { type: 'number', min: 0, description: 'On hand, default 0' },
+      minQuantity: { type: 'number', min: 0, description: 'Low-stock threshold, default 0' }
+    }
+  },
+  updateIngredient: {
+    method: 'PATCH',
+    path: '/api/ingredients/:id',
+    summary: 'Rename, restock or change the threshold; the unit is fixed while recipes use it',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      name: { ...INGREDIENT_NAME, required: false },
+      unit: { type: 'string', enum: INGREDIENT_UNITS },
+      quantity: { type: 'number', min: 0, description: 'New on-hand amount; the difference is recorded as an ADJUSTMENT movement' },
+      reason: { type: 'string', nullable: true, maxLength: 500, description: 'Why the amount changed' },
+      minQuantity: { type: 'number', min: 0 }
+    }
+  },
+  deleteIngredient: {
+    method: 'DELETE',
+    path: '/api/ingredients/:id',
+    summary: 'Remove an ingredient no recipe, order or purchase order uses (409 otherwise)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  getRecipe: {
+    method: 'GET',
+    path: '/api/menu/:id/recipe',
+    summary: 'Recipe of a menu item and the whole plates current stock allows',
+    auth: 'ADMIN, MANAGER, STAFF (own branch)',
+    params: idParams
+  },
+  replaceRecipe: {
+    method: 'PUT',
+    path: '/api/menu/:id/recipe',
+    summary: 'Replace the recipe of a menu item; an empty list returns it to its plate count',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      lines: {
+        type: 'array',
+        required: true,
+        maxItems: 50,
+        items: {
+          type: 'object',
+          properties: {
+            ingredientId: ID,
+            quantity: { type: 'number', required: true, min: 0.001, description: 'Per plate, in the ingredient\'s unit' }
+          }
+        }
+      }
+    }
+  },
+
+  // Suppliers and purchase orders (routes/purchasingRoutes.js)
+  listSuppliers: {
+    method: 'GET',
+    path: '/api/branches/:branchId/suppliers',
+    summary: 'Suppliers of a branch',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: { active: { type: 'boolean' } }
+  },
+  createSupplier: {
+    method: 'POST',
+    path: '/api/branches/:branchId/suppliers',
+    summary: 'Add a supplier; names are unique per branch',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: { name: SUPPLIER_NAME, ...SUPPLIER_CONTACT }
+  },
+  updateSupplier: {
+    method: 'PATCH',
+    path: '/api/suppliers/:id',
+    summary: 'Edit or deactivate a supplier (null clears a contact field)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: { name: { ...SUPPLIER_NAME, required: false }, ...SUPPLIER_CONTACT, active: { type: 'boolean' } }
+  },
+  reorderSuggestions: {
+    method: 'GET',
+    path: '/api/branches/:branchId/reorder-suggestions',
+    summary: 'Inventory items and ingredients below minQuantity with a suggested order quantity',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams
+  },
+  listPurchaseOrders: {
+    method: 'GET',
+    path: '/api/branches/:branchId/purchase-orders',
+    summary: 'Purchase orders of a branch, newest first',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: { status: { type: 'string', enum: PURCHASE_ORDER_STATUSES } }
+  },
+  createPurchaseOrder: {
+    method: 'POST',
+    path: '/api/branches/:branchId/purchase-orders',
+    summary: 'Draft a purchase order',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: {
+      supplierId: ID,
+      expectedDelivery: { type: 'date', description: 'Branch-local day' },
+      notes: { type: 'string', maxLength: 500 },
+      lines: { ...PURCHASE_LINES, required: true, minItems: 1 }
+    }
+  },
+  draftLowStockPurchaseOrder: {
+    method: 'POST',
+    path: '/api/branches/:branchId/purchase-orders/from-low-stock',
+    summary: 'Draft a purchase order from every reorder suggestion (400 when nothing is low)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: {
+      supplierId: ID,
+      expectedDelivery: { type: 'date', description: 'Branch-local day' },
+      notes: { type: 'string', maxLength: 500 }
+    }
+  },
+  getPurchaseOrder: {
+    method: 'GET',
+    path: '/api/purchase-orders/:id',
+    summary: 'One purchase order with lines and total',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  updatePurchaseOrder: {
+    method: 'PATCH',
+    path: '/api/purchase-orders/:id',
+    summary: 'Edit a DRAFT purchase order; lines replaces every line',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      supplierId: { ...ID, required: false },
+      expectedDelivery: { type: 'date', nullable: true },
+      notes: { type: 'string', maxLength: 500, nullable: true },
+      lines: { ...PURCHASE_LINES, minItems: 1 }
+    }
+  },
+  deletePurchaseOrder: {
+    method: 'DELETE',
+    path: '/api/purchase-orders/:id',
+    summary: 'Delete a DRAFT purchase order',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  sendPurchaseOrder: {
+    method: 'POST',
+    path: '/api/purchase-orders/:id/send',
+    summary: 'Mark a DRAFT purchase order as SENT to the supplier',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  receivePurchaseOrder: {
+    method: 'POST',
+    path: '/api/purchase-orders/:id/receive',
+    summary: 'Receive a SENT purchase order: restock and post the cost as an EXPENSE',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      lines: {
+        type: 'array',
+        maxItems: 100,
+        description: 'Short or over deliveries; unlisted lines arrive in full',
+        items: {
+          type: 'object',
+          properties: {
+            lineId: ID,
+            receivedQuantity: { type: 'number', required: true, min: 0 }
+          }
+        }
+      }
+    }
+  },
+
+  // Stock ledger (routes/stockLedgerRoutes.js)
+  listInventoryMovements: {
+    method: 'GET',
+    path: '/api/inventory/:id/movements',
+    summary: 'Movement history of an inventory item, newest first',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    query: MOVEMENT_HISTORY_QUERY
+  },
+  recordInventoryMovement: {
+    method: 'POST',
+    path: '/api/inventory/:id/movements',
+    summary: 'Record a restock, waste or adjustment of an inventory item (whole plates)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: MANUAL_MOVEMENT_BODY
+  },
+  listIngredientMovements: {
+    method: 'GET',
+    path: '/api/ingredients/:id/movements',
+    summary: 'Movement history of an ingredient, newest first',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    query: MOVEMENT_HISTORY_QUERY
+  },
+  recordIngredientMovement: {
+    method: 'POST',
+    path: '/api/ingredients/:id/movements',
+    summary: 'Record a restock, waste or adjustment of an ingredient',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: MANUAL_MOVEMENT_BODY
+  },
+  stockReconciliation: {
+    method: 'GET',
+    path: '/api/branches/:branchId/stock-reconciliation',
+    summary: 'On-hand quantities against the sum of their movements',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams
+  },
+
+  // Stock transfers (routes/stockTransferRoutes.js)
+  listBranchStockTransfers: {
+    method: 'GET',
+    path: '/api/branches/:branchId/stock-transfers',
+    summary: 'Transfers into and out of a branch, newest first',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    query: {
+      direction: { type: 'string', enum: ['in', 'out'], ignoreCase: true, description: 'Default both' },
+      status: { type: 'string', enum: STOCK_TRANSFER_STATUSES, ignoreCase: true }
+    }
+  },
+  listStockTransfers: {
+    method: 'GET',
+    path: '/api/stock-transfers',
+    summary: 'Transfers of every branch; open ones (REQUESTED, APPROVED, SHIPPED) unless status is given',
+    auth: 'ADMIN',
+    query: { status: { type: 'string', enum: STOCK_TRANSFER_STATUSES, ignoreCase: true } }
+  },
+  requestStockTransfer: {
+    method: 'POST',
+    path: '/api/branches/:branchId/stock-transfers',
+    summary: 'Request plates from another branch; :branchId is the receiving branch',
+    auth: 'ADMIN, MANAGER (receiving branch)',
+    params: branchParams,
+    body: {
+      fromBranchId: ID,
+      notes: { type: 'string', nullable: true, maxLength: 500 },
+      lines: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: 'object',
+          properties: {
+            inventoryItemId: { ...ID, description: 'Receiving branch\'s row; matched to the source by dish name' },
+            quantity: { type: 'integer', required: true, min: 1, description: 'Whole plates' }
+          }
+        }
+      }
+    }
+  },
+  getStockTransfer: {
+    method: 'GET',
+    path: '/api/stock-transfers/:id',
+    summary: 'One transfer with its lines',
+    auth: 'ADMIN, MANAGER (either branch)',
+    params: idParams
+  },
+  approveStockTransfer: {
+    method: 'POST',
+    path: '/api/stock-transfers/:id/approve',
+    summary: 'Approve a requested transfer (REQUESTED -> APPROVED)',
+    auth: 'ADMIN, MANAGER (source branch)',
+    params: idParams
+  },
+  rejectStockTransfer: {
+    method: 'POST',
+    path: '/api/stock-transfers/:id/reject',
+    summary: 'Reject a transfer that has not shipped',
+    auth: 'ADMIN, MANAGER (source branch)',
+    params: idParams,
+    body: TRANSFER_REASON_BODY
+  },
+  cancelStockTransfer: {
+    method: 'POST',
+    path: '/api/stock-transfers/:id/cancel',
+    summary: 'Withdraw a request that is not approved yet',
+    auth: 'ADMIN, MANAGER (receiving branch)',
+    params: idParams,
+    body: TRANSFER_REASON_BODY
+  },
+  shipStockTransfer: {
+    method: 'POST',
+    path: '/api/stock-transfers/:id/ship',
+    summary: 'Ship an approved transfer; takes the plates out of source stock (APPROVED -> SHIPPED)',
+    auth: 'ADMIN, MANAGER (source branch)',
+    params: idParams
+  },
+  receiveStockTransfer: {
+    method: 'POST',
+    path: '/api/stock-transfers/:id/receive',
+    summary: 'Book a shipped transfer as arrived; adds the plates to receiving stock (SHIPPED -> RECEIVED)',
+    auth: 'ADMIN, MANAGER (receiving branch)',
+    params: idParams
+  },
+  returnStockTransfer: {
+    method: 'POST',
+    path: '/api/stock-transfers/:id/return',
+    summary: 'Take back a shipment that will not arrive; puts the plates back into source stock (SHIPPED -> RETURNED)',
+    auth: 'ADMIN, MANAGER (source branch)',
+    params: idParams,
+    body: TRANSFER_REASON_BODY
+  },
+
+  // Stock counts (routes/stockCountRoutes.js)
+  listStockCounts: {
+    method: 'GET',
+    path: '/api/branches/:branchId/stock-counts',
+    summary: 'Stock counts of a branch, newest first; variance for ADMIN and MANAGER only',
+    auth: 'ADMIN, MANAGER, STAFF (own branch)',
+    params: branchParams,
+    query: { status: { type: 'string', enum: STOCK_COUNT_STATUSES, ignoreCase: true } }
+  },
+  openStockCount: {
+    method: 'POST',
+    path: '/api/branches/:branchId/stock-counts',
+    summary: 'Open a count of every plate and ingredient; one open count per branch',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: { notes: { type: 'string', nullable: true, maxLength: 500 } }
+  },
+  getStockCount: {
+    method: 'GET',
+    path: '/api/stock-counts/:id',
+    summary: 'One stock count; STAFF see it without expected quantities or variance',
+    auth: 'ADMIN, MANAGER, STAFF (own branch)',
+    params: idParams
+  },
+  submitStockCountLines: {
+    method: 'POST',
+    path: '/api/stock-counts/:id/lines',
+    summary: 'Submit counted quantities; a recount replaces the earlier one',
+    auth: 'ADMIN, MANAGER, STAFF (own branch)',
+    params: idParams,
+    body: {
+      lines: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 500,
+        items: {
+          type: 'object',
+          properties: {
+            lineId: ID,
+            countedQuantity: { type: 'number', required: true, min: 0, description: 'Whole plates, or the ingredient\'s unit' }
+          }
+        }
+      }
+    }
+  },
+  approveStockCount: {
+    method: 'POST',
+    path: '/api/stock-counts/:id/approve',
+    summary: 'Post each counted variance as a COUNT_CORRECTION movement (OPEN -> APPROVED)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  cancelStockCount: {
+    method: 'POST',
+    path: '/api/stock-counts/:id/cancel',
+    summary: 'Discard an open count without touching stock',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+
+  // Test routes (testRoutes.js)
+  testListPrices: {
+    method: 'GET',
+    path: '/api/test/branches/:branchId/prices',
+    summary: 'Branch price overrides',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams
+  },
+  testUpsertPrice: {
+    method: 'POST',
+    path: '/api/test/branches/:branchId/prices',
+    summary: 'Create or replace a branch price override',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: {
+      menuItemId: ID,
+      overridePrice: { type: 'number', required: true, min: 0 },
+      currency: { type: 'string', nullable: true, minLength: 3, maxLength: 3 },
+      active: { type: 'boolean' },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  testUpdatePrice: {
+    method: 'PATCH',
+    path: '/api/test/prices/:id',
+    summary: 'Update a branch price override',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      overridePrice: { type: 'number', min: 0 },
+      currency: { type: 'string', nullable: true, minLength: 3, maxLength: 3 },
+      active: { type: 'boolean' },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  testDeletePrice: {
+    method: 'DELETE',
+    path: '/api/test/prices/:id',
+    summary: 'Remove a branch price override',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  testListInventory: {
+    method: 'GET',
+    path: '/api/test/branches/:branchId/inventory',
+    summary: 'Branch inventory (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams
+  },
+  testCreateInventory: {
+    method: 'POST',
+    path: '/api/test/branches/:branchId/inventory',
+    summary: 'Add a branch inventory row (test); needs name or menuItemId',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: branchParams,
+    body: {
+      name: { type: 'string', maxLength: 120 },
+      menuItemId: { type: 'integer', nullable: true, min: 1 },
+      quantity: { type: 'integer', min: 0 },
+      minQuantity: { type: 'integer', min: 0 },
+      unit: { type: 'string', nullable: true, maxLength: 20 },
+      status: { type: 'string', nullable: true, maxLength: 40 },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  testUpdateInventory: {
+    method: 'PATCH',
+    path: '/api/test/inventory/:id',
+    summary: 'Update a branch inventory row (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams,
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 120 },
+      quantity: { type: 'integer', min: 0 },
+      minQuantity: { type: 'integer', min: 0 },
+      unit: { type: 'string', nullable: true, maxLength: 20 },
+      status: { type: 'string', nullable: true, maxLength: 40 },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  testDeleteInventory: {
+    method: 'DELETE',
+    path: '/api/test/inventory/:id',
+    summary: 'Remove a branch inventory row (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    params: idParams
+  },
+  testListStaff: {
+    method: 'GET',
+    path: '/api/test/branches/:branchId/staff',
+    summary: 'Staff roster of a branch (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    deprecated: 'GET /api/branches/:branchId/staff',
+    params: branchParams
+  },
+  testCreateStaff: {
+    method: 'POST',
+    path: '/api/test/branches/:branchId/staff',
+    summary: 'Add a staff roster entry (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    deprecated: 'PUT /api/staff/:userId/profile',
+    params: branchParams,
+    body: {
+      name: { type: 'string', required: true, maxLength: 120 },
+      role: { type: 'string', required: true, enum: STAFF_POSITIONS },
+      email: { type: 'email', nullable: true, maxLength: 254 },
+      phone: { type: 'string', nullable: true, maxLength: 40 },
+      active: { type: 'boolean' },
+      hourlyRate: { type: 'number', nullable: true, min: 0 },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  testUpdateStaff: {
+    method: 'PATCH',
+    path: '/api/test/staff/:id',
+    summary: 'Update a staff roster entry (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    deprecated: 'PUT /api/staff/:userId/profile',
+    params: idParams,
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 120 },
+      role: { type: 'string', enum: STAFF_POSITIONS },
+      email: { type: 'email', nullable: true, maxLength: 254 },
+      phone: { type: 'string', nullable: true, maxLength: 40 },
+      active: { type: 'boolean' },
+      hourlyRate: { type: 'number', nullable: true, min: 0 },
+      notes: { type: 'string', nullable: true, maxLength: 500 }
+    }
+  },
+  testDeleteStaff: {
+    method: 'DELETE',
+    path: '/api/test/staff/:id',
+    summary: 'Remove a staff roster entry (test)',
+    auth: 'ADMIN, MANAGER (own branch)',
+    deprecated: 'PUT /api/staff/:userId/profile',
+    params: idParams
+  }
+};
+
+module.exports = schemas;
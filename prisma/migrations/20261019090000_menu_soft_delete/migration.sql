@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "MenuItem" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "MenuItem_branchId_category_idx" ON "MenuItem"("branchId", "category");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Branch" ADD COLUMN     "taxRate" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "subtotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "tax" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "priceSource" TEXT;
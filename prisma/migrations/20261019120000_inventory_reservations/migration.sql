@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "InventoryItem" ADD COLUMN     "reserved" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: PENDING orders were previously deducted from on-hand stock at creation.
+-- Give that stock back to on-hand and hold it as a reservation instead.
+UPDATE "InventoryItem" AS i
+SET "reserved" = p."qty",
+    "quantity" = i."quantity" + p."qty"
+FROM (
+    SELECT oi."menuItemId", o."branchId", SUM(oi."quantity") AS "qty"
+    FROM "OrderItem" oi
+    JOIN "Order" o ON o."id" = oi."orderId"
+    WHERE o."status" = 'PENDING'
+    GROUP BY oi."menuItemId", o."branchId"
+) AS p
+WHERE i."menuItemId" = p."menuItemId" AND i."branchId" = p."branchId";
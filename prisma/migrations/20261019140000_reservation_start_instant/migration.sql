@@ -0,0 +1,14 @@
+-- Reservation.date now holds the UTC instant of the branch-local start time
+-- (previously UTC midnight of the requested date, with the local time only in "time").
+-- Branches without a timezone PostgreSQL knows are converted as UTC, the same fallback the app uses.
+UPDATE "Reservation" AS r
+SET "date" = ((r."date"::date + r."time"::time) AT TIME ZONE b."zone") AT TIME ZONE 'UTC'
+FROM (
+  SELECT "id", COALESCE(
+    (SELECT z."name" FROM pg_timezone_names AS z WHERE lower(z."name") = lower("Branch"."timezone") LIMIT 1),
+    'UTC'
+  ) AS "zone"
+  FROM "Branch"
+) AS b
+WHERE b."id" = r."branchId"
+  AND r."time" ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$';
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "Staff" ADD COLUMN     "userId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "StaffProfile" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "displayName" TEXT,
+    "position" "StaffRole" NOT NULL,
+    "hourlyRate" DOUBLE PRECISION,
+    "phone" TEXT,
+    "contactEmail" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StaffProfile_userId_key" ON "StaffProfile"("userId");
+
+-- CreateIndex
+CREATE INDEX "StaffProfile_position_idx" ON "StaffProfile"("position");
+
+-- AddForeignKey
+ALTER TABLE "StaffProfile" ADD CONSTRAINT "StaffProfile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Staff" ADD CONSTRAINT "Staff_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Link sandbox Staff rows to the staff account with the same email (case-insensitive).
+-- Customer accounts are never linked.
+UPDATE "Staff" AS s
+SET "userId" = u."id"
+FROM "User" AS u
+WHERE s."email" IS NOT NULL
+  AND lower(trim(s."email")) = lower(u."email")
+  AND u."role" IN ('MANAGER', 'CHEF', 'STAFF');
+
+-- One profile per linked account, taken from its most recently updated Staff row.
+INSERT INTO "StaffProfile" ("userId", "displayName", "position", "hourlyRate", "phone", "contactEmail", "active", "notes", "createdAt", "updatedAt")
+SELECT DISTINCT ON (s."userId")
+  s."userId", s."name", s."role", s."hourlyRate", s."phone", s."email", s."active", s."notes", s."createdAt", CURRENT_TIMESTAMP
+FROM "Staff" AS s
+WHERE s."userId" IS NOT NULL
+ORDER BY s."userId", s."updatedAt" DESC, s."id" DESC;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Shift" (
+    "id" SERIAL NOT NULL,
+    "branchId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "position" "StaffRole" NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Shift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Shift_branchId_startsAt_idx" ON "Shift"("branchId", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "Shift_userId_startsAt_idx" ON "Shift"("userId", "startsAt");
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
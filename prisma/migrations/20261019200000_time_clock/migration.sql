@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "TimeEntry" (
+    "id" SERIAL NOT NULL,
+    "branchId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "shiftId" INTEGER,
+    "clockInAt" TIMESTAMP(3) NOT NULL,
+    "clockOutAt" TIMESTAMP(3),
+    "hourlyRate" DOUBLE PRECISION,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TimeEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TimeBreak" (
+    "id" SERIAL NOT NULL,
+    "timeEntryId" INTEGER NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "TimeBreak_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TimeEntry_branchId_clockInAt_idx" ON "TimeEntry"("branchId", "clockInAt");
+
+-- CreateIndex
+CREATE INDEX "TimeEntry_userId_clockOutAt_idx" ON "TimeEntry"("userId", "clockOutAt");
+
+-- CreateIndex
+CREATE INDEX "TimeBreak_timeEntryId_idx" ON "TimeBreak"("timeEntryId");
+
+-- AddForeignKey
+ALTER TABLE "TimeEntry" ADD CONSTRAINT "TimeEntry_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TimeEntry" ADD CONSTRAINT "TimeEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TimeEntry" ADD CONSTRAINT "TimeEntry_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "Shift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TimeBreak" ADD CONSTRAINT "TimeBreak_timeEntryId_fkey" FOREIGN KEY ("timeEntryId") REFERENCES "TimeEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "FinancialRecord" ADD COLUMN     "category" TEXT NOT NULL DEFAULT 'GENERAL',
+ADD COLUMN     "orderId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FinancialRecord_orderId_key" ON "FinancialRecord"("orderId");
+
+-- CreateIndex
+CREATE INDEX "FinancialRecord_branchId_date_idx" ON "FinancialRecord"("branchId", "date");
+
+-- AddForeignKey
+ALTER TABLE "FinancialRecord" ADD CONSTRAINT "FinancialRecord_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Post orders completed before this migration as SALES revenue (net of tax), dated when they were completed.
+INSERT INTO "FinancialRecord" ("branchId", "type", "category", "amount", "description", "date", "orderId", "updatedAt")
+SELECT o."branchId", 'REVENUE', 'SALES', ROUND(CAST(CASE WHEN o."subtotal" > 0 THEN o."subtotal" ELSE o."total" END AS NUMERIC), 2),
+       'Order #' || o."id",
+       COALESCE((SELECT MAX(h."createdAt") FROM "OrderStatusHistory" h WHERE h."orderId" = o."id" AND h."toStatus" = 'COMPLETED'), o."updatedAt"),
+       o."id", CURRENT_TIMESTAMP
+FROM "Order" AS o
+WHERE o."status" = 'COMPLETED';
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "InventoryMovement" (
+    "id" SERIAL NOT NULL,
+    "branchId" INTEGER NOT NULL,
+    "inventoryItemId" INTEGER,
+    "ingredientId" INTEGER,
+    "type" TEXT NOT NULL,
+    "delta" DOUBLE PRECISION NOT NULL,
+    "quantityAfter" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT,
+    "userId" INTEGER,
+    "orderId" INTEGER,
+    "purchaseOrderId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryMovement_pkey" PRIMARY KEY ("id"),
+    -- Exactly one stock target per movement
+    CONSTRAINT "InventoryMovement_target_check" CHECK (("inventoryItemId" IS NULL) <> ("ingredientId" IS NULL))
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_inventoryItemId_createdAt_idx" ON "InventoryMovement"("inventoryItemId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_ingredientId_createdAt_idx" ON "InventoryMovement"("ingredientId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_branchId_createdAt_idx" ON "InventoryMovement"("branchId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_ingredientId_fkey" FOREIGN KEY ("ingredientId") REFERENCES "Ingredient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing stock opens the ledger so it reconciles from the start
+INSERT INTO "InventoryMovement" ("branchId", "inventoryItemId", "type", "delta", "quantityAfter", "reason")
+SELECT "branchId", "id", 'ADJUSTMENT', "quantity", "quantity", 'Opening balance' FROM "InventoryItem" WHERE "quantity" <> 0;
+
+INSERT INTO "InventoryMovement" ("branchId", "ingredientId", "type", "delta", "quantityAfter", "reason")
+SELECT "branchId", "id", 'ADJUSTMENT', "quantity", "quantity", 'Opening balance' FROM "Ingredient" WHERE "quantity" <> 0;
@@ -0,0 +1,76 @@
+-- AlterTable
+ALTER TABLE "InventoryMovement" ADD COLUMN "stockTransferId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "StockTransfer" (
+    "id" SERIAL NOT NULL,
+    "fromBranchId" INTEGER NOT NULL,
+    "toBranchId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'REQUESTED',
+    "notes" TEXT,
+    "reason" TEXT,
+    "requestedById" INTEGER,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "shippedById" INTEGER,
+    "shippedAt" TIMESTAMP(3),
+    "receivedById" INTEGER,
+    "receivedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockTransfer_pkey" PRIMARY KEY ("id"),
+    -- Stock moves between two different branches
+    CONSTRAINT "StockTransfer_branches_check" CHECK ("fromBranchId" <> "toBranchId")
+);
+
+-- CreateTable
+CREATE TABLE "StockTransferLine" (
+    "id" SERIAL NOT NULL,
+    "transferId" INTEGER NOT NULL,
+    "fromInventoryItemId" INTEGER NOT NULL,
+    "toInventoryItemId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "StockTransferLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_fromBranchId_status_idx" ON "StockTransfer"("fromBranchId", "status");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_toBranchId_status_idx" ON "StockTransfer"("toBranchId", "status");
+
+-- CreateIndex
+CREATE INDEX "StockTransferLine_transferId_idx" ON "StockTransferLine"("transferId");
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_stockTransferId_fkey" FOREIGN KEY ("stockTransferId") REFERENCES "StockTransfer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_fromBranchId_fkey" FOREIGN KEY ("fromBranchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_toBranchId_fkey" FOREIGN KEY ("toBranchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_shippedById_fkey" FOREIGN KEY ("shippedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_receivedById_fkey" FOREIGN KEY ("receivedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferLine" ADD CONSTRAINT "StockTransferLine_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "StockTransfer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferLine" ADD CONSTRAINT "StockTransferLine_fromInventoryItemId_fkey" FOREIGN KEY ("fromInventoryItemId") REFERENCES "InventoryItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferLine" ADD CONSTRAINT "StockTransferLine_toInventoryItemId_fkey" FOREIGN KEY ("toInventoryItemId") REFERENCES "InventoryItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE "InventoryMovement" ADD COLUMN "stockCountId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "StockCount" (
+    "id" SERIAL NOT NULL,
+    "branchId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "notes" TEXT,
+    "openedById" INTEGER,
+    "approvedById" INTEGER,
+    "approvedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockCount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockCountLine" (
+    "id" SERIAL NOT NULL,
+    "countId" INTEGER NOT NULL,
+    "inventoryItemId" INTEGER,
+    "ingredientId" INTEGER,
+    "countedQuantity" DOUBLE PRECISION,
+    "expectedQuantity" DOUBLE PRECISION,
+    "countedById" INTEGER,
+    "countedAt" TIMESTAMP(3),
+    "unitValue" DOUBLE PRECISION,
+
+    CONSTRAINT "StockCountLine_pkey" PRIMARY KEY ("id"),
+    -- Exactly one stock target per line
+    CONSTRAINT "StockCountLine_target_check" CHECK (("inventoryItemId" IS NULL) <> ("ingredientId" IS NULL))
+);
+
+-- CreateIndex
+CREATE INDEX "StockCount_branchId_status_idx" ON "StockCount"("branchId", "status");
+
+-- CreateIndex: at most one OPEN count per branch
+CREATE UNIQUE INDEX "StockCount_branchId_open_key" ON "StockCount"("branchId") WHERE "status" = 'OPEN';
+
+-- CreateIndex
+CREATE INDEX "StockCountLine_countId_idx" ON "StockCountLine"("countId");
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_stockCountId_fkey" FOREIGN KEY ("stockCountId") REFERENCES "StockCount"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCount" ADD CONSTRAINT "StockCount_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCount" ADD CONSTRAINT "StockCount_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCount" ADD CONSTRAINT "StockCount_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountLine" ADD CONSTRAINT "StockCountLine_countId_fkey" FOREIGN KEY ("countId") REFERENCES "StockCount"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountLine" ADD CONSTRAINT "StockCountLine_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountLine" ADD CONSTRAINT "StockCountLine_ingredientId_fkey" FOREIGN KEY ("ingredientId") REFERENCES "Ingredient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountLine" ADD CONSTRAINT "StockCountLine_countedById_fkey" FOREIGN KEY ("countedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
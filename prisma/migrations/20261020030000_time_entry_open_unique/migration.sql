@@ -0,0 +1,17 @@
+-- Close every open entry but a user's latest one, which a double clock-in may have left behind.
+-- Closed at their own clock-in so they add no hours; their open breaks end where they started.
+UPDATE "TimeBreak" b
+SET "endedAt" = b."startedAt"
+FROM "TimeEntry" t
+WHERE b."timeEntryId" = t."id"
+  AND b."endedAt" IS NULL
+  AND t."clockOutAt" IS NULL
+  AND EXISTS (SELECT 1 FROM "TimeEntry" o WHERE o."userId" = t."userId" AND o."clockOutAt" IS NULL AND o."id" > t."id");
+
+UPDATE "TimeEntry" t
+SET "clockOutAt" = t."clockInAt", "updatedAt" = CURRENT_TIMESTAMP
+WHERE t."clockOutAt" IS NULL
+  AND EXISTS (SELECT 1 FROM "TimeEntry" o WHERE o."userId" = t."userId" AND o."clockOutAt" IS NULL AND o."id" > t."id");
+
+-- CreateIndex: at most one open entry (clockOutAt null) per user
+CREATE UNIQUE INDEX "TimeEntry_userId_open_key" ON "TimeEntry"("userId") WHERE "clockOutAt" IS NULL;
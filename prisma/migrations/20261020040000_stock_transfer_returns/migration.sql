@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "StockTransfer" ADD COLUMN "returnedById" INTEGER,
+ADD COLUMN "returnedAt" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_returnedById_fkey" FOREIGN KEY ("returnedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
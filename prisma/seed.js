@@ -35,7 +35,8 @@ async function main() {
         email: 'manager@steakz.com',
         password,
         role: UserRole.MANAGER,
-        branchId: branchA.id
+        branchId: branchA.id,
+        staffProfile: { create: { position: 'MANAGER', hourlyRate: 32 } }
       }
     }),
     prisma.user.create({
@@ -43,7 +44,8 @@ async function main() {
         email: 'chef@steakz.com',
         password,
         role: UserRole.CHEF,
-        branchId: branchA.id
+        branchId: branchA.id,
+        staffProfile: { create: { position: 'CHEF', hourlyRate: 26 } }
       }
     }),
     prisma.user.create({
@@ -51,7 +53,8 @@ async function main() {
         email: 'staff@steakz.com',
         password,
         role: UserRole.STAFF,
-        branchId: branchA.id
+        branchId: branchA.id,
+        staffProfile: { create: { position: 'SERVER', hourlyRate: 18 } }
       }
     }),
     prisma.user.create({
@@ -123,6 +126,33 @@ async function main() {
     });
   }
 
+  // Ribeye Steak is stocked through its ingredients instead of a plate count
+  const [beef, butter, fries] = await Promise.all([
+    prisma.ingredient.create({ data: { branchId: branchA.id, name: 'Beef ribeye', unit: 'kg', quantity: 20, minQuantity: 5 } }),
+    prisma.ingredient.create({ data: { branchId: branchA.id, name: 'Butter', unit: 'kg', quantity: 2, minQuantity: 0.5 } }),
+    prisma.ingredient.create({ data: { branchId: branchA.id, name: 'Fries', unit: 'kg', quantity: 15, minQuantity: 3 } })
+  ]);
+  const ribeye = await prisma.menuItem.findFirst({ where: { branchId: branchA.id, name: 'Ribeye Steak' } });
+  await prisma.recipeLine.createMany({
+    data: [
+      { menuItemId: ribeye.id, ingredientId: beef.id, quantity: 0.3 },
+      { menuItemId: ribeye.id, ingredientId: butter.id, quantity: 0.02 },
+      { menuItemId: ribeye.id, ingredientId: fries.id, quantity: 0.2 }
+    ]
+  });
+
+  // Open the stock ledger with the seeded quantities so on-hand stock reconciles
+  const [seededItems, seededIngredients] = await Promise.all([
+    prisma.inventoryItem.findMany({ where: { branchId: branchA.id } }),
+    prisma.ingredient.findMany({ where: { branchId: branchA.id } })
+  ]);
+  await prisma.inventoryMovement.createMany({
+    data: [
+      ...seededItems.map(i => ({ inventoryItemId: i.id, branchId: i.branchId, delta: i.quantity, quantityAfter: i.quantity })),
+      ...seededIngredients.map(g => ({ ingredientId: g.id, branchId: g.branchId, delta: g.quantity, quantityAfter: g.quantity }))
+    ].map(m => ({ ...m, type: 'ADJUSTMENT', reason: 'Opening stock' }))
+  });
+
   console.log('Seed data created successfully!');
 }
 